@@ -1,33 +1,66 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
 const cookieParser = require('cookie-parser');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
-const fs = require('fs');
-const crypto = require('crypto');
+const http = require('http');
+const socketIo = require('socket.io');
 
 // Cargar variables de entorno
 require('dotenv').config();
 
+const {
+  authMiddleware,
+  requireRole,
+  verifyPassword,
+  signAdminToken,
+  ensureInitialAdmin
+} = require('./lib/auth');
+const { dbAll, dbGet, dbRun } = require('./lib/db');
+const { hasMasterKey } = require('./lib/secrets');
+const { parseTimeseriesQuery, getTimeseries } = require('./lib/stats');
+const { seedDictionary, getPublishedEntries } = require('./lib/dictionary');
+const { getWordOfTheDay, scheduleWordOfTheDay } = require('./lib/word_of_the_day');
+const { seedTrivia } = require('./lib/trivia');
+const { registerTriviaRooms } = require('./lib/trivia_rooms');
+const { voterRateKey } = require('./lib/votes');
+const {
+  CACHE_KEY: API_CONFIG_CACHE_KEY,
+  getAPIConfig: loadAPIConfig,
+  saveSecret,
+  describeSecrets
+} = require('./lib/api_config');
+
 const app = express();
+const server = http.createServer(app);
 const port = process.env.PORT || 3001;
+const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'];
 
-// Generar SECRET_KEY si no existe
-const SECRET_KEY = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
+// WebSocket para tiempo real
+const io = socketIo(server, {
+  cors: {
+    origin: allowedOrigins,
+    methods: ['GET', 'POST']
+  }
+});
+
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
 
 // Configuración de seguridad
 app.use(helmet({
   contentSecurityPolicy: {
     directives: {
       defaultSrc: ["'self'"],
-      styleSrc: ["'self'", "'unsafe-inline'", "fonts.googleapis.com", "cdn.tailwindcss.com"],
-      scriptSrc: ["'self'", "cdn.tailwindcss.com", "cdn.jsdelivr.net"],
-      fontSrc: ["'self'", "fonts.gstatic.com"],
-      imgSrc: ["'self'", "data:", "https:"],
-      connectSrc: ["'self'", "api.groq.com", "api-inference.huggingface.co"]
+      styleSrc: ["'self'", "'unsafe-inline'", "fonts.googleapis.com", "cdn.tailwindcss.com", "cdnjs.cloudflare.com"],
+      scriptSrc: ["'self'", "cdn.tailwindcss.com", "cdn.jsdelivr.net", "cdnjs.cloudflare.com"],
+      fontSrc: ["'self'", "fonts.gstatic.com", "cdnjs.cloudflare.com"],
+      imgSrc: ["'self'", "data:", "https:", "blob:"],
+      mediaSrc: ["'self'", "data:", "blob:"],
+      connectSrc: ["'self'", "api.groq.com", "api-inference.huggingface.co", "ws:", "wss:"]
     }
   }
 }));
@@ -51,17 +84,58 @@ const chatLimiter = rateLimit({
   }
 });
 
+// Votos: por IP con margen (en una peña votan muchos desde la misma wifi) y
+// por votante, con su identidad
+const voteIpLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutos
+  max: 30,
+  message: {
+    error: '¡Quieto parao! Demasiados votos desde esta conexión.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const voterVoteLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 10,
+  keyGenerator: voterRateKey,
+  message: {
+    error: '¡Quieto parao! Demasiados votos seguidos, pisha.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Identidades de votante nuevas por IP
+const voterLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: 10,
+  message: {
+    error: 'Ya has pedido muchas identidades de votante, pisha. Usa la que tienes.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 app.use(limiter);
 app.use('/api/ai/chat', chatLimiter);
+app.use('/api/ai/compose', chatLimiter);
+app.use('/api/ai/vote', voteIpLimiter);
+app.use('/api/ai/voter', voterLimiter);
 
 // Middleware
 app.use(bodyParser.json({ limit: '10mb' }));
+// Después del body parser, que la clave sale del voterToken
+app.use('/api/ai/vote', voterVoteLimiter);
 app.use(cors({ 
-  origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
+  origin: allowedOrigins,
   credentials: true 
 }));
 app.use(cookieParser());
-app.use(express.static('public'));
+// Sin redirección de directorios: /admin es la API de estadísticas y el
+// panel web se sirve en /admin/
+app.use(express.static(path.join(__dirname, 'public'), { redirect: false }));
 
 // Logging middleware
 app.use((req, res, next) => {
@@ -87,91 +161,291 @@ const db = new sqlite3.Database(dbPath, (err) => {
 });
 
 function initializeTables() {
-  // Tabla de conversaciones con más campos
-  db.run(`
-    CREATE TABLE IF NOT EXISTS conversations (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      userId TEXT NOT NULL,
-      message TEXT NOT NULL,
-      response TEXT NOT NULL,
-      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-      ip_address TEXT,
-      session_id TEXT,
-      sentiment TEXT,
-      topic TEXT
-    )
-  `);
+  db.serialize(() => {
+    // Tabla de conversaciones con más campos
+    db.run(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId TEXT NOT NULL,
+        message TEXT NOT NULL,
+        response TEXT NOT NULL,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        ip_address TEXT,
+        session_id TEXT,
+        sentiment TEXT,
+        topic TEXT
+      )
+    `);
   
-  // Tabla de usuarios con estadísticas
-  db.run(`
-    CREATE TABLE IF NOT EXISTS users (
-      userId TEXT PRIMARY KEY,
-      first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
-      last_active DATETIME DEFAULT CURRENT_TIMESTAMP,
-      total_messages INTEGER DEFAULT 0,
-      total_sessions INTEGER DEFAULT 1,
-      preferred_features TEXT,
-      user_agent TEXT
-    )
-  `);
+    // Tabla de usuarios con estadísticas
+    db.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        userId TEXT PRIMARY KEY,
+        first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_active DATETIME DEFAULT CURRENT_TIMESTAMP,
+        total_messages INTEGER DEFAULT 0,
+        total_sessions INTEGER DEFAULT 1,
+        preferred_features TEXT,
+        user_agent TEXT
+      )
+    `);
   
-  // Tabla de votos mejorada
-  db.run(`
-    CREATE TABLE IF NOT EXISTS votes (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      userId TEXT,
-      agrupacion TEXT NOT NULL,
-      categoria TEXT NOT NULL,
-      puntuacion INTEGER NOT NULL CHECK(puntuacion >= 1 AND puntuacion <= 10),
-      comentario TEXT,
-      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-      ip_address TEXT
-    )
-  `);
+    // Tabla de votos mejorada
+    db.run(`
+      CREATE TABLE IF NOT EXISTS votes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId TEXT,
+        agrupacion TEXT NOT NULL,
+        categoria TEXT NOT NULL,
+        puntuacion INTEGER NOT NULL CHECK(puntuacion >= 1 AND puntuacion <= 10),
+        comentario TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        ip_address TEXT
+      )
+    `);
+
+    // Identidades de votante firmadas por el servidor (una por usuario)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS voters (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        ip_address TEXT,
+        user_agent TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_vote_at DATETIME
+      )
+    `);
+
+    db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_voters_user ON voters (userId)');
   
-  // Tabla de análisis poéticos
-  db.run(`
-    CREATE TABLE IF NOT EXISTS poetry_analysis (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      userId TEXT,
-      text TEXT NOT NULL,
-      analysis_result TEXT,
-      verses_count INTEGER,
-      syllables_analysis TEXT,
-      rhyme_scheme TEXT,
-      sentiment TEXT,
-      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
+    // Tabla de análisis poéticos
+    db.run(`
+      CREATE TABLE IF NOT EXISTS poetry_analysis (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId TEXT,
+        text TEXT NOT NULL,
+        analysis_result TEXT,
+        verses_count INTEGER,
+        syllables_analysis TEXT,
+        rhyme_scheme TEXT,
+        sentiment TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
   
-  // Tabla de configuración del sistema
-  db.run(`
-    CREATE TABLE IF NOT EXISTS system_config (
-      key TEXT PRIMARY KEY,
-      value TEXT,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
+    // Tabla de configuración del sistema
+    db.run(`
+      CREATE TABLE IF NOT EXISTS system_config (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Sesiones de conversación
+    db.run(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        title TEXT,
+        summary TEXT,
+        summarized_until INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (userId, updated_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_conversations_session ON conversations (session_id, timestamp)');
+    
+    // Cuentas de administración con roles
+    db.run(`
+      CREATE TABLE IF NOT EXISTS admins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL CHECK(role IN ('superadmin', 'moderator', 'viewer')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_login DATETIME
+      )
+    `);
+    
+    // Moderación: estado de conversaciones y comentarios, y vetos
+    for (const table of ['conversations', 'votes']) {
+      addColumnIfMissing(table, 'moderation_status', "TEXT DEFAULT 'visible'");
+      addColumnIfMissing(table, 'moderation_note', 'TEXT');
+      addColumnIfMissing(table, 'moderated_by', 'TEXT');
+      addColumnIfMissing(table, 'moderated_at', 'DATETIME');
+    }
+
+    // Integridad de los votos: votante, sospechas y anulaciones
+    addColumnIfMissing('votes', 'voter_id', 'TEXT');
+    addColumnIfMissing('votes', 'suspicious_reason', 'TEXT');
+    addColumnIfMissing('votes', 'flagged_at', 'DATETIME');
+    addColumnIfMissing('votes', 'voided_at', 'DATETIME');
+    addColumnIfMissing('votes', 'voided_by', 'TEXT');
+    addColumnIfMissing('votes', 'void_reason', 'TEXT');
+    db.run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_votes_voter
+      ON votes (voter_id, agrupacion, categoria) WHERE voter_id IS NOT NULL
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_votes_agrupacion ON votes (agrupacion, categoria, timestamp)');
+    
+    db.run(`
+      CREATE TABLE IF NOT EXISTS bans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL CHECK(type IN ('user', 'ip')),
+        value TEXT NOT NULL,
+        reason TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME,
+        UNIQUE(type, value)
+      )
+    `);
+    
+    // Borradores de coplas con su historial de versiones
+    db.run(`
+      CREATE TABLE IF NOT EXISTS drafts (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        title TEXT,
+        current_version INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS draft_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        draft_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        analysis_id INTEGER,
+        restored_from INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(draft_id, version)
+      )
+    `);
+
+    db.run('CREATE INDEX IF NOT EXISTS idx_drafts_user ON drafts (userId, updated_at)');
+    addColumnIfMissing('poetry_analysis', 'draft_id', 'TEXT');
+    addColumnIfMissing('poetry_analysis', 'draft_version', 'INTEGER');
+
+    // Diccionario gaditano: palabras y frases, publicadas o pendientes de revisión
+    db.run(`
+      CREATE TABLE IF NOT EXISTS dictionary_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL DEFAULT 'word' CHECK(kind IN ('word', 'phrase')),
+        term TEXT NOT NULL,
+        meaning TEXT NOT NULL,
+        etymology TEXT,
+        examples TEXT,
+        synonyms TEXT,
+        register TEXT,
+        audio_url TEXT,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('published', 'pending', 'rejected')),
+        submitted_by TEXT,
+        submitted_ip TEXT,
+        reviewed_by TEXT,
+        reviewed_at DATETIME,
+        review_note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.run('CREATE INDEX IF NOT EXISTS idx_dictionary_status ON dictionary_entries (status, created_at)');
+    db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_dictionary_published
+      ON dictionary_entries (kind, term COLLATE NOCASE) WHERE status = 'published'`);
+
+    // Palabra del día ya elegida, con copia del término por si luego se borra la entrada
+    db.run(`
+      CREATE TABLE IF NOT EXISTS word_of_the_day (
+        day TEXT PRIMARY KEY,
+        entry_id INTEGER,
+        term TEXT NOT NULL,
+        meaning TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Banco de preguntas de trivia (opciones y etiquetas en JSON)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS trivia_questions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        question TEXT NOT NULL,
+        options TEXT NOT NULL,
+        correct_index INTEGER NOT NULL,
+        category TEXT NOT NULL DEFAULT 'carnaval',
+        difficulty TEXT NOT NULL DEFAULT 'medium' CHECK(difficulty IN ('easy', 'medium', 'hard')),
+        tags TEXT,
+        source TEXT,
+        explanation TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.run('CREATE INDEX IF NOT EXISTS idx_trivia_pick ON trivia_questions (active, category, difficulty)');
+    db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_trivia_question ON trivia_questions (question COLLATE NOCASE)');
+
+    // Rondas de trivia: pregunta servida, respuesta, puntos y racha por usuario
+    db.run(`
+      CREATE TABLE IF NOT EXISTS trivia_rounds (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        question_id INTEGER NOT NULL,
+        category TEXT NOT NULL,
+        difficulty TEXT NOT NULL,
+        level TEXT,
+        correct_index INTEGER NOT NULL,
+        issued_at_ms INTEGER NOT NULL,
+        answered_at DATETIME,
+        answer_index INTEGER,
+        outcome TEXT CHECK(outcome IN ('correct', 'wrong', 'timeout', 'skipped')),
+        correct INTEGER NOT NULL DEFAULT 0,
+        time_ms INTEGER,
+        points INTEGER NOT NULL DEFAULT 0,
+        streak INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.run('CREATE INDEX IF NOT EXISTS idx_trivia_rounds_user ON trivia_rounds (userId, answered_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_trivia_rounds_answered ON trivia_rounds (answered_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_trivia_rounds_question ON trivia_rounds (userId, question_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_trivia_rounds_category ON trivia_rounds (userId, category, answered_at)');
+    addColumnIfMissing('trivia_rounds', 'level', 'TEXT');
+
+    seedDictionary(db).catch(err => {
+      console.error('❌ Error cargando el diccionario gaditano:', err);
+    });
+
+    seedTrivia(db).catch(err => {
+      console.error('❌ Error cargando las preguntas de trivia:', err);
+    });
+
+    ensureInitialAdmin(db).catch(err => {
+      console.error('❌ Error creando el administrador inicial:', err);
+    });
+  });
   
   console.log('✅ Todas las tablas inicializadas correctamente');
 }
 
-// Middleware de autenticación mejorado
-const authMiddleware = (req, res, next) => {
-  const token = req.cookies.admin_token || req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({ error: 'Token de acceso requerido' });
-  }
-  
-  try {
-    const verified = jwt.verify(token, SECRET_KEY);
-    req.user = verified;
-    next();
-  } catch (err) {
-    res.status(403).json({ error: 'Token inválido o expirado' });
-  }
-};
+// Añade una columna a una tabla creada por una versión anterior
+function addColumnIfMissing(table, column, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !/duplicate column/i.test(err.message)) {
+      console.error(`❌ Error añadiendo ${table}.${column}:`, err);
+    }
+  });
+}
 
 // Middleware para tracking de usuarios
 const trackUser = (req, res, next) => {
@@ -195,17 +469,36 @@ const trackUser = (req, res, next) => {
 // ==================== RUTAS DE API ====================
 
 // Rutas de IA mejoradas
+// Sesiones de conversación
+const sessionRoutes = require('./routes/sessions');
+app.use('/api/ai/sessions', sessionRoutes);
+
+const draftRoutes = require('./routes/drafts');
+app.use('/api/ai/drafts', draftRoutes);
+
 const aiRoutes = require('./routes/ai_enhanced');
 app.use('/api/ai', aiRoutes);
 
+// Poesía, diccionario, trivia y voz del CarnavalitoIA
+const carnavalRoutes = require('./routes/carnaval');
+app.use('/api', carnavalRoutes);
+
 // Ruta principal
 app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'carnival_pro_enhanced.html'));
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
 // ==================== RUTAS DE ADMIN ====================
 
-app.get('/admin', authMiddleware, async (req, res) => {
+// Un navegador que pide /admin va al panel; las peticiones JSON reciben las estadísticas
+function redirectBrowsersToPanel(req, res, next) {
+  if (req.path === '/admin' && req.accepts(['json', 'html']) === 'html') {
+    return res.redirect('/admin/');
+  }
+  next();
+}
+
+app.get('/admin', redirectBrowsersToPanel, authMiddleware, requireRole('viewer'), async (req, res) => {
   try {
     // Obtener estadísticas
     const stats = await getSystemStats();
@@ -215,19 +508,29 @@ app.get('/admin', authMiddleware, async (req, res) => {
   }
 });
 
+// Hash de relleno para que un usuario inexistente tarde lo mismo que uno real
+const DUMMY_PASSWORD_HASH = '$2a$12$XGRLXjWxM9O2YPkZPPLzfewPBcaF8qn9Ezf48CJd3HJ0XYiQ.cjAe';
+
 app.post('/admin/login', async (req, res) => {
   const { username, password } = req.body;
   
-  // Credenciales desde variables de entorno (más seguro)
-  const adminUser = process.env.ADMIN_USERNAME || 'admin';
-  const adminPass = process.env.ADMIN_PASSWORD || 'cadiz2025!';
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Usuario y contraseña requeridos' });
+  }
   
-  if (username === adminUser && password === adminPass) {
-    const token = jwt.sign(
-      { username, role: 'admin' }, 
-      SECRET_KEY, 
-      { expiresIn: '4h' }
-    );
+  try {
+    const admin = await dbGet(db, 'SELECT * FROM admins WHERE username = ?', [username]);
+    const valid = await verifyPassword(password, admin ? admin.password_hash : DUMMY_PASSWORD_HASH);
+    
+    if (!admin || !valid) {
+      // Log intento de acceso fallido
+      console.warn(`❌ Intento de login fallido: ${username} desde ${req.ip}`);
+      return res.status(401).json({ error: 'Credenciales incorrectas' });
+    }
+    
+    await dbRun(db, 'UPDATE admins SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [admin.id]);
+    
+    const token = signAdminToken(admin);
     
     res.cookie('admin_token', token, { 
       httpOnly: true, 
@@ -238,12 +541,12 @@ app.post('/admin/login', async (req, res) => {
     res.json({ 
       success: true, 
       message: 'Login exitoso',
+      role: admin.role,
       expiresIn: '4h'
     });
-  } else {
-    // Log intento de acceso fallido
-    console.warn(`❌ Intento de login fallido: ${username} desde ${req.ip}`);
-    res.status(401).json({ error: 'Credenciales incorrectas' });
+  } catch (error) {
+    console.error('Error en login:', error);
+    res.status(500).json({ error: 'Error iniciando sesión' });
   }
 });
 
@@ -252,35 +555,47 @@ app.post('/admin/logout', authMiddleware, (req, res) => {
   res.json({ success: true, message: 'Logout exitoso' });
 });
 
-app.post('/admin/update-config', authMiddleware, async (req, res) => {
+// Datos del administrador conectado
+app.get('/admin/me', authMiddleware, (req, res) => {
+  res.json({ success: true, admin: req.user });
+});
+
+// Gestión de administradores (solo superadmin)
+const adminAccountRoutes = require('./routes/admins');
+app.use('/admin/admins', adminAccountRoutes);
+
+// Cola de moderación: conversaciones, comentarios de votos y vetos
+const moderationRoutes = require('./routes/moderation');
+app.use('/admin/moderation', moderationRoutes);
+
+// Diccionario gaditano: altas, cambios y cola de propuestas del público
+const dictionaryRoutes = require('./routes/dictionary');
+app.use('/admin/dictionary', dictionaryRoutes);
+
+// Banco de preguntas de trivia: altas, cambios, importación y exportación
+const triviaRoutes = require('./routes/trivia');
+app.use('/admin/trivia', triviaRoutes);
+
+app.post('/admin/update-config', authMiddleware, requireRole('superadmin'), async (req, res) => {
   const { groqApiKey, hfApiKey } = req.body;
-  
-  try {
-    // Guardar en base de datos en lugar de archivo
-    await new Promise((resolve, reject) => {
-      db.serialize(() => {
-        if (groqApiKey) {
-          db.run(
-            'INSERT OR REPLACE INTO system_config (key, value) VALUES (?, ?)',
-            ['groq_api_key', groqApiKey]
-          );
-        }
-        if (hfApiKey) {
-          db.run(
-            'INSERT OR REPLACE INTO system_config (key, value) VALUES (?, ?)',
-            ['hf_api_key', hfApiKey]
-          );
-        }
-        resolve();
-      });
+
+  if (!hasMasterKey()) {
+    return res.status(503).json({
+      error: 'CONFIG_MASTER_KEY no configurada: no se guardan API keys sin cifrar'
     });
-    
+  }
+
+  try {
+    // Guardar cifradas en base de datos en lugar de archivo
+    if (groqApiKey) await saveSecret(db, 'groq_api_key', groqApiKey);
+    if (hfApiKey) await saveSecret(db, 'hf_api_key', hfApiKey);
+
     // Invalidar cache de configuración
-    cache.del('api_config');
-    
-    res.json({ 
-      success: true, 
-      message: 'Configuración actualizada correctamente' 
+    cache.del(API_CONFIG_CACHE_KEY);
+
+    res.json({
+      success: true,
+      message: 'Configuración actualizada correctamente'
     });
   } catch (error) {
     console.error('Error actualizando configuración:', error);
@@ -288,9 +603,23 @@ app.post('/admin/update-config', authMiddleware, async (req, res) => {
   }
 });
 
+// API keys enmascaradas: nunca se devuelve el valor completo
+app.get('/admin/config', authMiddleware, requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      encryptionEnabled: hasMasterKey(),
+      secrets: await describeSecrets(db)
+    });
+  } catch (error) {
+    console.error('Error leyendo configuración:', error);
+    res.status(500).json({ error: 'Error obteniendo configuración' });
+  }
+});
+
 // ==================== RUTAS DE ESTADÍSTICAS ====================
 
-app.get('/api/stats/general', authMiddleware, async (req, res) => {
+app.get('/api/stats/general', authMiddleware, requireRole('viewer'), async (req, res) => {
   try {
     const stats = await getSystemStats();
     res.json(stats);
@@ -299,7 +628,24 @@ app.get('/api/stats/general', authMiddleware, async (req, res) => {
   }
 });
 
-app.get('/api/stats/users', authMiddleware, (req, res) => {
+// Series temporales: metric (conversations, new_users, votes, poems),
+// bucket (hour, day, week), from/to y breakdown opcional (topic, sentiment...)
+app.get('/api/stats/timeseries', authMiddleware, requireRole('viewer'), async (req, res) => {
+  const query = parseTimeseriesQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  try {
+    const data = await getTimeseries(db, query);
+    res.json({ success: true, ...data });
+  } catch (error) {
+    console.error('Error obteniendo serie temporal:', error);
+    res.status(500).json({ error: 'Error obteniendo la serie temporal' });
+  }
+});
+
+app.get('/api/stats/users', authMiddleware, requireRole('viewer'), (req, res) => {
   db.all(`
     SELECT 
       COUNT(*) as total_users,
@@ -318,71 +664,62 @@ app.get('/api/stats/users', authMiddleware, (req, res) => {
 // ==================== FUNCIONES AUXILIARES ====================
 
 async function getSystemStats() {
-  return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      let stats = {};
-      
-      // Total de conversaciones
-      db.get('SELECT COUNT(*) as total FROM conversations', (err, row) => {
-        if (err) return reject(err);
-        stats.totalConversations = row.total;
-      });
-      
-      // Total de usuarios
-      db.get('SELECT COUNT(*) as total FROM users', (err, row) => {
-        if (err) return reject(err);
-        stats.totalUsers = row.total;
-      });
-      
-      // Conversaciones en las últimas 24h
-      db.get(`
-        SELECT COUNT(*) as total 
-        FROM conversations 
-        WHERE timestamp > datetime('now', '-24 hours')
-      `, (err, row) => {
-        if (err) return reject(err);
-        stats.conversations24h = row.total;
-      });
-      
-      // Top 5 temas más discutidos
-      db.all(`
-        SELECT topic, COUNT(*) as count 
-        FROM conversations 
-        WHERE topic IS NOT NULL 
-        GROUP BY topic 
-        ORDER BY count DESC 
-        LIMIT 5
-      `, (err, rows) => {
-        if (err) return reject(err);
-        stats.topTopics = rows;
-        resolve(stats);
-      });
-    });
-  });
+  const [total, users, last24h, topTopics, sentiments, perDay] = await Promise.all([
+    // Total de conversaciones
+    dbGet(db, 'SELECT COUNT(*) as total FROM conversations'),
+
+    // Total de usuarios
+    dbGet(db, 'SELECT COUNT(*) as total FROM users'),
+
+    // Conversaciones en las últimas 24h
+    dbGet(db, `
+      SELECT COUNT(*) as total 
+      FROM conversations 
+      WHERE timestamp > datetime('now', '-24 hours')
+    `),
+
+    // Top 5 temas más discutidos
+    dbAll(db, `
+      SELECT topic, COUNT(*) as count 
+      FROM conversations 
+      WHERE topic IS NOT NULL 
+      GROUP BY topic 
+      ORDER BY count DESC 
+      LIMIT 5
+    `),
+
+    // Reparto de sentimientos
+    dbAll(db, `
+      SELECT sentiment, COUNT(*) as count
+      FROM conversations
+      WHERE sentiment IS NOT NULL
+      GROUP BY sentiment
+      ORDER BY count DESC
+    `),
+
+    // Conversaciones por día en los últimos 30 días
+    dbAll(db, `
+      SELECT date(timestamp) as day, COUNT(*) as count
+      FROM conversations
+      WHERE timestamp > datetime('now', '-30 days')
+      GROUP BY day
+      ORDER BY day
+    `)
+  ]);
+
+  return {
+    totalConversations: total.total,
+    totalUsers: users.total,
+    conversations24h: last24h.total,
+    topTopics,
+    sentimentDistribution: sentiments,
+    conversationsPerDay: perDay
+  };
 }
 
-// Función para obtener configuración de APIs
+// Configuración de APIs (descifrada y cacheada)
 function getAPIConfig() {
-  const cached = cache.get('api_config');
-  if (cached) return Promise.resolve(cached);
-  
-  return new Promise((resolve, reject) => {
-    db.all('SELECT key, value FROM system_config WHERE key LIKE "%api_key"', (err, rows) => {
-      if (err) return reject(err);
-      
-      const config = {};
-      rows.forEach(row => {
-        config[row.key] = row.value;
-      });
-      
-      // Usar variables de entorno como fallback
-      if (!config.groq_api_key) config.groq_api_key = process.env.GROQ_API_KEY;
-      if (!config.hf_api_key) config.hf_api_key = process.env.HF_API_KEY;
-      
-      cache.set('api_config', config, 300); // Cache por 5 minutos
-      resolve(config);
-    });
-  });
+  return loadAPIConfig(db, cache);
 }
 
 // ==================== MANEJO DE ERRORES ====================
@@ -404,6 +741,39 @@ app.use('*', (req, res) => {
   });
 });
 
+// ==================== WEBSOCKETS ====================
+
+io.on('connection', async (socket) => {
+  console.log('🎭 Usuario conectado al Carnavalito');
+
+  // Antes de los await, para no perder lo que mande el cliente nada más conectar
+  registerTriviaRooms(io, socket, db);
+
+  let diccionario = null;
+  try {
+    diccionario = (await getPublishedEntries(db)).filter(e => e.kind === 'word').length;
+  } catch (error) {
+    console.error('Error contando el diccionario:', error);
+  }
+
+  socket.emit('bienvenida', {
+    mensaje: '¡Bienvenido al Carnavalito, miarma! 🎭',
+    personalidades: ['Jorge', 'Pablo'],
+    diccionario
+  });
+
+  try {
+    const palabra = await getWordOfTheDay(db);
+    if (palabra) socket.emit('palabra_del_dia', palabra);
+  } catch (error) {
+    console.error('Error obteniendo la palabra del día:', error);
+  }
+
+  socket.on('disconnect', () => {
+    console.log('🎭 Usuario desconectado');
+  });
+});
+
 // ==================== INICIALIZACIÓN ====================
 
 // Graceful shutdown
@@ -420,11 +790,11 @@ process.on('SIGINT', () => {
 });
 
 // Exportar para testing
-module.exports = { app, db, cache, getAPIConfig };
+module.exports = { app, server, io, db, cache, getAPIConfig };
 
 // Iniciar servidor
 if (require.main === module) {
-  app.listen(port, () => {
+  server.listen(port, () => {
     console.log('🎉 ===================================');
     console.log(`🎭 Carnivalito Pro Elite Server`);
     console.log(`📡 Puerto: ${port}`);
@@ -432,5 +802,7 @@ if (require.main === module) {
     console.log(`👑 Admin: http://localhost:${port}/admin`);
     console.log(`🔒 Modo: ${process.env.NODE_ENV || 'development'}`);
     console.log('🎉 ===================================');
+
+    scheduleWordOfTheDay(db, io);
   });
 }
@@ -0,0 +1,121 @@
+const { dbAll, dbRun } = require('./db');
+const { encryptSecret, decryptSecret, isEncrypted, maskSecret } = require('./secrets');
+
+// Claves de system_config que son secretos y su variable de entorno de respaldo
+const SECRET_CONFIG_KEYS = {
+  groq_api_key: 'GROQ_API_KEY',
+  hf_api_key: 'HF_API_KEY'
+};
+
+const CACHE_KEY = 'api_config';
+const CACHE_TTL = 300; // 5 minutos
+
+function loadStoredSecrets(db) {
+  const keys = Object.keys(SECRET_CONFIG_KEYS);
+  return dbAll(db,
+    `SELECT key, value FROM system_config WHERE key IN (${keys.map(() => '?').join(', ')})`,
+    keys
+  );
+}
+
+// Configuración de APIs ya descifrada. Si un valor no se puede descifrar
+// (clave maestra ausente o equivocada) se avisa y se usa el .env.
+async function getAPIConfig(db, cache) {
+  const cached = cache.get(CACHE_KEY);
+  if (cached) return cached;
+
+  const config = {};
+  for (const row of await loadStoredSecrets(db)) {
+    try {
+      config[row.key] = decryptSecret(row.value);
+    } catch (error) {
+      console.error(`🔐 No se pudo descifrar ${row.key}: ${error.message}`);
+    }
+  }
+
+  for (const [key, envName] of Object.entries(SECRET_CONFIG_KEYS)) {
+    if (!config[key]) config[key] = process.env[envName];
+  }
+
+  cache.set(CACHE_KEY, config, CACHE_TTL);
+  return config;
+}
+
+// Guarda un secreto cifrado. Sin CONFIG_MASTER_KEY lanza error: no
+// guardamos en claro.
+async function saveSecret(db, key, value) {
+  if (!SECRET_CONFIG_KEYS[key]) {
+    throw new Error(`${key} no es un secreto de configuración`);
+  }
+
+  await dbRun(db,
+    'INSERT OR REPLACE INTO system_config (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+    [key, encryptSecret(value)]
+  );
+}
+
+// Estado de cada secreto sin exponer su valor
+async function describeSecrets(db) {
+  const stored = {};
+  for (const row of await loadStoredSecrets(db)) {
+    stored[row.key] = row.value;
+  }
+
+  const secrets = {};
+  for (const [key, envName] of Object.entries(SECRET_CONFIG_KEYS)) {
+    let value = null;
+    let source = null;
+    let error = null;
+
+    if (stored[key]) {
+      source = 'database';
+      try {
+        value = decryptSecret(stored[key]);
+      } catch (err) {
+        error = 'No se puede descifrar con la clave maestra actual';
+      }
+    } else if (process.env[envName]) {
+      source = 'env';
+      value = process.env[envName];
+    }
+
+    secrets[key] = {
+      configured: Boolean(value),
+      source,
+      encrypted: source === 'database' ? isEncrypted(stored[key]) : false,
+      masked: maskSecret(value),
+      ...(error && { error })
+    };
+  }
+
+  return secrets;
+}
+
+// Vuelve a cifrar todos los secretos guardados con la clave maestra actual.
+// Los valores antiguos en claro también se cifran.
+async function reencryptSecrets(db) {
+  const rows = await loadStoredSecrets(db);
+  const plain = rows.map(row => ({ key: row.key, value: decryptSecret(row.value) }));
+
+  await dbRun(db, 'BEGIN TRANSACTION');
+  try {
+    for (const { key, value } of plain) {
+      await saveSecret(db, key, value);
+    }
+    await dbRun(db, 'COMMIT');
+  } catch (error) {
+    await dbRun(db, 'ROLLBACK');
+    throw error;
+  }
+
+  return plain.map(row => row.key);
+}
+
+module.exports = {
+  SECRET_CONFIG_KEYS,
+  CACHE_KEY,
+  getAPIConfig,
+  saveSecret,
+  describeSecrets,
+  reencryptSecrets
+};
@@ -0,0 +1,147 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { dbGet, dbRun } = require('./db');
+
+// Generar SECRET_KEY si no existe. Así los tokens caducan en cada reinicio:
+// vale para las sesiones de admin, pero no para lo que dura días (votantes).
+const SECRET_KEY = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
+
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️ JWT_SECRET no configurado: se usa una clave temporal y no se dan identidades de votante');
+}
+
+// Hay una clave fija que sobrevive a los reinicios
+function hasStableSecret() {
+  return Boolean(process.env.JWT_SECRET);
+}
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Roles de administración, de menos a más permisos
+const ROLES = ['viewer', 'moderator', 'superadmin'];
+
+function roleLevel(role) {
+  return ROLES.indexOf(role);
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+function verifyPassword(password, hash) {
+  return bcrypt.compare(password, hash);
+}
+
+function signAdminToken(admin) {
+  return jwt.sign(
+    { id: admin.id, username: admin.username, role: admin.role },
+    SECRET_KEY,
+    { expiresIn: '4h' }
+  );
+}
+
+// Tokens firmados para el público (rondas de trivia...). Llevan `purpose`
+// para que no valgan para otra cosa, y menos como token de administración.
+function signPublicToken(purpose, payload, expiresIn) {
+  return jwt.sign({ ...payload, purpose }, SECRET_KEY, { expiresIn });
+}
+
+// Contenido del token si es válido y del tipo pedido; si no, null
+function verifyPublicToken(purpose, token) {
+  if (typeof token !== 'string' || !token) return null;
+  try {
+    const payload = jwt.verify(token, SECRET_KEY);
+    return payload.purpose === purpose ? payload : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Middleware de autenticación mejorado. El rol se vuelve a leer de la base
+// de datos en cada petición para que un cambio de rol o un borrado surta
+// efecto sin esperar a que caduque el token.
+const authMiddleware = async (req, res, next) => {
+  const token = req.cookies.admin_token || req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Token de acceso requerido' });
+  }
+
+  let verified;
+  try {
+    verified = jwt.verify(token, SECRET_KEY);
+  } catch (err) {
+    return res.status(403).json({ error: 'Token inválido o expirado' });
+  }
+  if (verified.purpose) {
+    return res.status(403).json({ error: 'Token inválido o expirado' });
+  }
+
+  try {
+    const { db } = require('../app_enhanced');
+    const admin = await dbGet(db, 'SELECT id, username, role FROM admins WHERE id = ?', [verified.id]);
+
+    if (!admin) {
+      return res.status(403).json({ error: 'Token inválido o expirado' });
+    }
+
+    req.user = admin;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Exige un rol mínimo; usar siempre después de authMiddleware
+function requireRole(minimumRole) {
+  return (req, res, next) => {
+    if (!req.user || roleLevel(req.user.role) < roleLevel(minimumRole)) {
+      return res.status(403).json({ error: 'No tienes permisos para esta acción' });
+    }
+    next();
+  };
+}
+
+// Si no hay ningún administrador crea un superadmin con ADMIN_USERNAME y
+// ADMIN_PASSWORD. Sin ADMIN_PASSWORD se genera una contraseña aleatoria que
+// solo se muestra una vez por consola.
+async function ensureInitialAdmin(db) {
+  const { total } = await dbGet(db, 'SELECT COUNT(*) as total FROM admins');
+  if (total > 0) return;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  let password = process.env.ADMIN_PASSWORD;
+  const generated = !password;
+
+  if (generated) {
+    password = crypto.randomBytes(12).toString('base64url');
+  }
+
+  await dbRun(db,
+    'INSERT INTO admins (username, password_hash, role) VALUES (?, ?, ?)',
+    [username, await hashPassword(password), 'superadmin']
+  );
+
+  console.log(`👑 Superadmin inicial creado: ${username}`);
+  if (generated) {
+    console.log(`🔑 Contraseña generada (cámbiala tras el primer login): ${password}`);
+  }
+}
+
+module.exports = {
+  SECRET_KEY,
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  roleLevel,
+  hashPassword,
+  verifyPassword,
+  signAdminToken,
+  hasStableSecret,
+  signPublicToken,
+  verifyPublicToken,
+  authMiddleware,
+  requireRole,
+  ensureInitialAdmin
+};
@@ -0,0 +1,188 @@
+// 🎭 CARNAVALITO IA - MOTOR DE REGLAS GADITANO
+// Funciona sin conexión: es el último escalón de la cadena de proveedores LLM
+// (ver providers/carnavalito.js) y la base de /api/poetry.
+
+// 🎭 DICCIONARIO GADITANO EXPANDIDO
+// Carga inicial de la tabla dictionary_entries (lib/dictionary.js); a partir
+// de ahí el diccionario se mantiene desde /admin/dictionary.
+const DICCIONARIO_GADITANO = {
+    palabras: [
+        { word: 'chiquillo', meaning: 'niño o persona joven, usado cariñosamente', synonyms: ['niño'] },
+        { word: 'jartible', meaning: 'pesado o insistente, pero con arte', synonyms: ['pesado', 'insistente'] },
+        { word: 'bastinazo', meaning: 'golpe fuerte o algo exagerado, típico de Cádiz' },
+        { word: 'antié', meaning: 'antes de ayer, pa no decirlo largo', synonyms: ['anteayer', 'antes de ayer'] },
+        { word: 'guachimán', meaning: 'vigilante o que está al loro', synonyms: ['vigilante'] },
+        { word: 'percal', meaning: 'situación complicada o jaleo', synonyms: ['jaleo'] },
+        { word: 'fino', meaning: 'listo, con arte, o buen vino de Jerez' },
+        { word: 'zambombazo', meaning: 'noticia o suceso impactante, como un cuplé' },
+        { word: 'miarma', meaning: 'mi alma, expresión cariñosa gaditana', synonyms: ['mi alma'] },
+        { word: 'dellazo', meaning: 'algo impresionante o fenomenal' },
+        { word: 'detrás', meaning: 'detrá, como decimos en Cai' },
+        { word: 'pescaíto', meaning: 'pescadito frito, manjar gaditano', synonyms: ['pescadito'] },
+        { word: 'jartá', meaning: 'mucho, abundante' },
+        { word: 'chocá', meaning: 'borrachera o estar alegre', synonyms: ['borrachera'] },
+        { word: 'pisha', meaning: 'chaval, muchacho', synonyms: ['chaval', 'muchacho'] },
+        { word: 'preba', meaning: 'prueba, pero en gaditano', synonyms: ['prueba'] },
+        { word: 'bajini', meaning: 'en voz baja, disimuladamente' }
+    ],
+    frases: [
+        { phrase: '¡La que estás liando, chiquillo!', context: 'pa cuando alguien arma un follón con arte' },
+        { phrase: 'Esto es Carnaval, esto es Carnaval...', context: 'cántico del Falla en el COAC' },
+        { phrase: 'Qué bonito, qué bonito. Qué bonito está mi Cai', context: 'pa alabar Cádiz' },
+        { phrase: '¡Viva er peta, viva er peta, que no se meta!', context: 'grito carnavalero pa animar' },
+        { phrase: '¡Cai, Cai, no te vayas de Cai!', context: 'pa expresar amor por Cádiz' },
+        { phrase: '¡Qué jartura, compadre!', context: 'cuando algo es demasiado, pero con guasa' },
+        { phrase: '¡Illo que arte tienes!', context: 'pa alabar a alguien con talento' },
+        { phrase: 'Vamos por tanguillos', context: 'cuando algo va bien y con ritmo' },
+        { phrase: 'Menudo desbarre', context: 'cuando alguien se equivoca pero con gracia' },
+        { phrase: '¡A la plaza de las flores!', context: 'expresión gaditana de alegría' }
+    ]
+};
+
+// 🎪 PERSONALIDADES CARNAVALERAS
+const PERSONALIDADES_COAC = [
+    { nombre: 'Antonio Martínez Ares', tipo: 'autor legendario', especialidad: 'cuplés históricos' },
+    { nombre: 'Los Millonarios', tipo: 'comparsa legendaria', año: '1979', director: 'Paco Alba' },
+    { nombre: 'Los Carapapas', tipo: 'chirigota histórica', especialidad: 'humor fino' },
+    { nombre: 'Los Duendes de Cádiz', tipo: 'comparsa mística', director: 'Juan Carlos Aragón' },
+    { nombre: 'La Santa Cecilia', tipo: 'coro tradicional', especialidad: 'voces angelicales' },
+    { nombre: 'Los Piratas', tipo: 'comparsa aventurera', director: 'Kike Remolino' }
+];
+
+// 🎵 ESTILOS MUSICALES DEL COAC
+const ESTILOS_COAC = ['tanguillos', 'alegrías', 'pasodobles', 'cuplés', 'popurrí'];
+
+// 🎭 SISTEMA DE IA CARNAVALERA
+class CarnavalitoIA {
+    constructor() {
+        this.personalidad = 'gaditano_auténtico';
+        this.conocimiento = DICCIONARIO_GADITANO;
+        this.humor = 'fino_pero_pícaro';
+    }
+
+    procesarMensaje(mensaje) {
+        const msgLower = mensaje.toLowerCase();
+        
+        // Detectar preguntas sobre el COAC
+        if (msgLower.includes('coac') || msgLower.includes('carnaval') || msgLower.includes('falla')) {
+            return this.responderCOAC(mensaje);
+        }
+        
+        // Detectar solicitud de poesía
+        if (msgLower.includes('poesía') || msgLower.includes('poesia') || msgLower.includes('versos') || msgLower.includes('cuplé')) {
+            return this.crearPoesia(mensaje);
+        }
+        
+        // Detectar palabras gaditanas
+        const palabraGaditana = this.conocimiento.palabras.find(p => 
+            msgLower.includes(p.word.toLowerCase())
+        );
+        
+        if (palabraGaditana) {
+            return this.explicarPalabraGaditana(palabraGaditana);
+        }
+        
+        return this.respuestaGeneral(mensaje);
+    }
+
+    responderCOAC(mensaje) {
+        const respuestas = [
+            "¡El COAC es lo más grande que tiene Cai, miarma! En el Falla se vive la magia del Carnaval.",
+            "¿Del Concurso? ¡Illo qué arte! Ahí es donde nacen las letras que luego cantamos todo el año.",
+            "El Teatro Falla es nuestro templo, chiquillo. Ahí se consagran los maestros del Carnaval.",
+            "¡Esto es Carnaval, esto es Carnaval! Como dice el cántico del Falla, ¿verdá?"
+        ];
+        
+        return {
+            mensaje: respuestas[Math.floor(Math.random() * respuestas.length)],
+            tipo: 'coac',
+            personalidad: this.determinarPersonalidad(),
+            acento: 'gaditano'
+        };
+    }
+
+    crearPoesia(tema) {
+        const estilos = ['tanguillos', 'alegrías', 'cuplé', 'pasodoble'];
+        const estiloElegido = estilos[Math.floor(Math.random() * estilos.length)];
+        
+        const versos = this.generarVersos(tema, estiloElegido);
+        
+        return {
+            mensaje: `Te voy a cantar unos ${estiloElegido}, miarma:\n\n${versos}`,
+            tipo: 'poesia',
+            estilo: estiloElegido,
+            versos: versos.split('\n'),
+            personalidad: this.determinarPersonalidad(),
+            cantar: true
+        };
+    }
+
+    generarVersos(tema, estilo) {
+        const versosBase = {
+            tanguillos: [
+                "En Cádiz la tacita de plata,",
+                "donde el Carnaval nunca se mata,",
+                "cantamos con arte y con gana,",
+                "porque somos la perla gaditana."
+            ],
+            alegrías: [
+                "¡Qué bonito está mi Cai!",
+                "Con sus calles y su mar,",
+                "donde el viento trae historias",
+                "que nos hacen suspirar."
+            ],
+            cuplé: [
+                "Dicen por ahí,",
+                "que en Cádiz no hay dolor,",
+                "porque aquí miarma,",
+                "todo se cura con humor."
+            ]
+        };
+        
+        return versosBase[estilo] ? versosBase[estilo].join('\n') : versosBase.tanguillos.join('\n');
+    }
+
+    explicarPalabraGaditana(palabra) {
+        return {
+            mensaje: `¡Ah, "${palabra.word}"! ${palabra.meaning}. Esa palabra es puro Cái, chiquillo.`,
+            tipo: 'diccionario',
+            palabra: palabra.word,
+            significado: palabra.meaning,
+            personalidad: this.determinarPersonalidad()
+        };
+    }
+
+    respuestaGeneral(mensaje) {
+        const respuestas = [
+            "¡Illo qué arte tienes preguntando! Cuenta, cuenta...",
+            "Miarma, en Cái todo tiene su explicación. ¿Qué necesitas saber?",
+            "¡Venga va! Que soy to oídos, como buen gaditano.",
+            "Chiquillo, pregunta lo que quieras del Carnaval o de Cái."
+        ];
+        
+        return {
+            mensaje: respuestas[Math.floor(Math.random() * respuestas.length)],
+            tipo: 'general',
+            personalidad: this.determinarPersonalidad()
+        };
+    }
+
+    determinarPersonalidad() {
+        const personalidades = [
+            { nombre: 'Jorge', voz: 'es-ES-Standard-B', tono: 'grave', acento: 'andaluz_suave' },
+            { nombre: 'Pablo', voz: 'es-ES-Standard-D', tono: 'medio_grave', acento: 'gaditano' }
+        ];
+        
+        return personalidades[Math.floor(Math.random() * personalidades.length)];
+    }
+}
+
+const carnavalitoIA = new CarnavalitoIA();
+
+module.exports = {
+    CarnavalitoIA,
+    carnavalitoIA,
+    DICCIONARIO_GADITANO,
+    PERSONALIDADES_COAC,
+    ESTILOS_COAC
+};
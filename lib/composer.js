@@ -0,0 +1,289 @@
+const { generateReply } = require('../providers');
+const { scanVerse, rhymeEnding } = require('./metrics');
+
+// Asistente para escribir coplas: el LLM propone los versos, el analizador
+// métrico los comprueba y se vuelve a pedir solo lo que no cuadra.
+
+const MODALITIES = {
+  chirigota: 'chirigota: humor, ironía y crítica con guasa, lenguaje de la calle',
+  comparsa: 'comparsa: tono lírico y serio, crítica social y amor a Cádiz',
+  coro: 'coro: alegría, tango gaditano y canto a la ciudad y su gente',
+  cuarteto: 'cuarteto: parodia, humor absurdo y juego de palabras'
+};
+
+// Medida y rima por defecto de cada estilo. El esquema va en la notación del
+// analizador: mayúscula consonante, minúscula asonante y "-" verso libre.
+const STYLES = {
+  pasodoble: { description: 'pasodoble: letra sentida que se canta con música de pasodoble', meter: 8, rhymeScheme: 'ABABCDCD' },
+  'cuplé': { description: 'cuplé: copla corta que cuenta algo gracioso y remata con un golpe', meter: 8, rhymeScheme: 'ABAB' },
+  tanguillos: { description: 'tanguillos: ritmo ligero y festivo, versos que se cantan de corrido', meter: 8, rhymeScheme: '-a-a-a-a' }
+};
+
+const MIN_METER = 4;
+const MAX_METER = 14;
+const MAX_VERSES = 16;
+const MAX_THEME_LENGTH = 200;
+
+// Rondas de corrección después del primer intento
+const MAX_FIX_ROUNDS = 2;
+
+// Valida y completa los parámetros de la petición; devuelve { error } si algo no cuadra
+function parseComposeRequest(body = {}) {
+  const theme = String(body.theme || '').trim();
+  const modality = body.modality || 'chirigota';
+  const style = body.style === 'cuple' ? 'cuplé' : (body.style || 'pasodoble');
+
+  if (!theme) {
+    return { error: 'theme requerido: ¿de qué va la copla, pisha?' };
+  }
+  if (theme.length > MAX_THEME_LENGTH) {
+    return { error: `El tema no puede pasar de ${MAX_THEME_LENGTH} caracteres` };
+  }
+  if (!MODALITIES[modality]) {
+    return { error: `Modalidad inválida. Modalidades válidas: ${Object.keys(MODALITIES).join(', ')}` };
+  }
+  if (!STYLES[style]) {
+    return { error: `Estilo inválido. Estilos válidos: ${Object.keys(STYLES).join(', ')}` };
+  }
+
+  const meter = body.meter ?? STYLES[style].meter;
+  if (!Number.isInteger(meter) || meter < MIN_METER || meter > MAX_METER) {
+    return { error: `meter debe ser un número de sílabas entre ${MIN_METER} y ${MAX_METER}` };
+  }
+
+  const rhymeScheme = body.rhymeScheme ?? STYLES[style].rhymeScheme;
+  if (typeof rhymeScheme !== 'string' || !/^[A-Za-z-]+$/.test(rhymeScheme) ||
+      rhymeScheme.length < 2 || rhymeScheme.length > MAX_VERSES) {
+    return { error: `rhymeScheme debe tener entre 2 y ${MAX_VERSES} letras o "-" (p. ej. ABBA o -a-a)` };
+  }
+  const mixed = [...rhymeScheme].find(letter => letter !== '-' &&
+    rhymeScheme.includes(letter.toUpperCase()) && rhymeScheme.includes(letter.toLowerCase()));
+  if (mixed) {
+    return { error: `La rima "${mixed}" no puede ser consonante y asonante a la vez` };
+  }
+
+  return { theme, modality, style, meter, rhymeScheme };
+}
+
+// Grupos de rima del esquema: letra, tipo y posiciones
+function rhymeGroups(rhymeScheme) {
+  const groups = new Map();
+  [...rhymeScheme].forEach((letter, index) => {
+    if (letter === '-') return;
+    if (!groups.has(letter)) {
+      groups.set(letter, { letter, type: letter === letter.toUpperCase() ? 'consonante' : 'asonante', indexes: [] });
+    }
+    groups.get(letter).indexes.push(index);
+  });
+  return [...groups.values()];
+}
+
+// Instrucciones de rima verso a verso; a los modelos les cuesta menos que la notación
+function describeScheme(rhymeScheme) {
+  const lines = [...rhymeScheme].map((_, index) => `Verso ${index + 1}: libre, sin rima`);
+
+  for (const group of rhymeGroups(rhymeScheme)) {
+    for (const index of group.indexes) {
+      const others = group.indexes.filter(i => i !== index).map(i => i + 1);
+      lines[index] = others.length > 0
+        ? `Verso ${index + 1}: rima ${group.type} con ${others.length > 1 ? 'los versos' : 'el verso'} ${others.join(', ')}`
+        : `Verso ${index + 1}: libre, sin rima`;
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function buildRequest(systemPrompt, message) {
+  return {
+    systemPrompt,
+    contextPrompt: '',
+    message,
+    fullPrompt: `${systemPrompt}\n\n${message}\n\nCopla:`,
+    topic: 'poesia',
+    sentiment: 'neutral'
+  };
+}
+
+function systemPromptFor({ modality, style }) {
+  return `Eres un autor veterano del Carnaval de Cádiz y escribes coplas para el COAC.
+    Modalidad: ${MODALITIES[modality]}.
+    Estilo: ${STYLES[style].description}.
+    Cuentas las sílabas métricas con cuidado (sinalefas, acento final) y respetas la rima que te piden.
+    Respondes solo con los versos, sin títulos, comentarios ni explicaciones.`;
+}
+
+function compositionPrompt({ theme, meter, rhymeScheme }) {
+  return `Escribe una copla sobre: ${theme}\n\n` +
+    `Tiene que tener exactamente ${rhymeScheme.length} versos de ${meter} sílabas métricas cada uno.\n` +
+    `${describeScheme(rhymeScheme)}\n\n` +
+    'Un verso por línea, sin numerar.';
+}
+
+function fixPrompt(params, verses, report) {
+  const wrong = report.verses.filter(v => v.problems.length > 0);
+
+  return `Esta copla sobre "${params.theme}" tiene versos que no cuadran:\n\n` +
+    verses.map((verse, i) => `${i + 1}: ${verse || '(falta)'}`).join('\n') + '\n\n' +
+    'Problemas:\n' +
+    wrong.map(v => `${v.number}: ${v.problems.join('; ')}`).join('\n') + '\n\n' +
+    `Recuerda: ${params.meter} sílabas métricas por verso.\n${describeScheme(params.rhymeScheme)}\n\n` +
+    'Reescribe SOLO los versos con problemas, manteniendo el sentido. ' +
+    'Responde una línea por verso con el formato "número: verso".';
+}
+
+// Limpia una línea de la respuesta: numeración, viñetas, comillas y markdown
+function cleanLine(line) {
+  return line
+    .replace(/^\s*(?:\d+\s*[.:)-]|[-*•])\s*/, '')
+    .replace(/[*_#`]/g, '')
+    .replace(/^["'«“]+|["'»”]+$/g, '')
+    .trim();
+}
+
+// Versos de la primera respuesta: descarta rótulos ("Estribillo:") y líneas vacías
+function parseVerses(text, count) {
+  const verses = String(text || '')
+    .split('\n')
+    .map(cleanLine)
+    .filter(line => line && !/:$/.test(line))
+    .slice(0, count);
+
+  while (verses.length < count) verses.push('');
+  return verses;
+}
+
+// Correcciones con formato "número: verso" sobre los versos actuales
+function applyFixes(verses, text) {
+  const fixed = [...verses];
+  let changed = 0;
+
+  for (const line of String(text || '').split('\n')) {
+    const match = line.match(/^\s*\**\s*(?:verso\s+)?(\d+)\s*[.:)-]\s*(.+)$/i);
+    if (!match) continue;
+
+    const index = parseInt(match[1], 10) - 1;
+    const verse = cleanLine(match[2]);
+    if (index >= 0 && index < fixed.length && verse && verse !== fixed[index]) {
+      fixed[index] = verse;
+      changed++;
+    }
+  }
+
+  return { verses: fixed, changed };
+}
+
+// Comprueba medida y rima de cada verso contra lo pedido
+function validateVerses(verses, { meter, rhymeScheme }) {
+  const report = verses.map((verse, index) => {
+    if (!verse) {
+      return { number: index + 1, verse: '', metricSyllables: 0, breakdown: '', licenses: [], ending: null, problems: ['Falta este verso'] };
+    }
+
+    const scanned = scanVerse(verse, { target: meter });
+    const problems = [];
+    if (scanned.metricSyllables !== meter) {
+      problems.push(`Tiene ${scanned.metricSyllables} sílabas y se esperaban ${meter}`);
+    }
+
+    return {
+      number: index + 1,
+      verse: scanned.verse,
+      metricSyllables: scanned.metricSyllables,
+      breakdown: scanned.breakdown,
+      licenses: scanned.licenses,
+      ending: rhymeEnding(verse),
+      problems
+    };
+  });
+
+  const references = [];
+
+  for (const group of rhymeGroups(rhymeScheme)) {
+    const key = group.type === 'consonante' ? 'consonant' : 'assonance';
+    const members = group.indexes.map(i => report[i]).filter(v => v.ending);
+    if (members.length < 2) continue;
+
+    // La rima de referencia es la que más se repite; a igualdad, la del primero
+    const counts = new Map();
+    members.forEach(v => counts.set(v.ending[key], (counts.get(v.ending[key]) || 0) + 1));
+    const model = members.reduce((best, v) => (counts.get(v.ending[key]) > counts.get(best.ending[key]) ? v : best));
+    const reference = model.ending[key];
+
+    const repeated = references.find(other => other.key === key && other.reference === reference);
+    references.push({ letter: group.letter, key, reference, model });
+
+    for (const verse of members) {
+      if (repeated) {
+        verse.problems.push(`Repite la rima de los versos "${repeated.letter}"; tiene que ser otra`);
+      } else if (verse.ending[key] !== reference) {
+        verse.problems.push(key === 'consonant' && verse.ending.assonance === model.ending.assonance
+          ? `Rima solo en asonante con el verso ${model.number}; tiene que ser consonante (-${model.ending.ending})`
+          : key === 'consonant'
+            ? `No rima con el verso ${model.number} (tiene que acabar en -${model.ending.ending})`
+            : `No rima con el verso ${model.number} (asonancia ${model.ending.assonance})`);
+      }
+    }
+  }
+
+  // Los versos libres no deberían rimar con ningún grupo
+  [...rhymeScheme].forEach((letter, index) => {
+    const verse = report[index];
+    if (letter !== '-' || !verse.ending) return;
+    const rhymesWith = references.find(group => verse.ending.assonance === group.model.ending.assonance);
+    if (rhymesWith) {
+      verse.problems.push(`Tiene que quedar libre y rima con el verso ${rhymesWith.model.number}`);
+    }
+  });
+
+  const problems = report.reduce((total, v) => total + v.problems.length, 0);
+
+  return { meter, rhymeScheme, valid: problems === 0, problems, verses: report };
+}
+
+// Compone la copla: un intento y hasta MAX_FIX_ROUNDS correcciones de los
+// versos que fallan. Se queda con la versión con menos problemas.
+async function composeCopla(params, config) {
+  const systemPrompt = systemPromptFor(params);
+  const providers = [];
+
+  const first = await generateReply(buildRequest(systemPrompt, compositionPrompt(params)), config, { onlineOnly: true });
+  providers.push(first.provider);
+
+  let verses = parseVerses(first.text, params.rhymeScheme.length);
+  let report = validateVerses(verses, params);
+  let best = { verses, report };
+  let rounds = 0;
+
+  while (!report.valid && rounds < MAX_FIX_ROUNDS) {
+    rounds++;
+
+    const reply = await generateReply(buildRequest(systemPrompt, fixPrompt(params, verses, report)), config, { onlineOnly: true });
+    providers.push(reply.provider);
+
+    const { verses: fixed, changed } = applyFixes(verses, reply.text);
+    if (changed === 0) break;
+
+    // Si la corrección empeora la copla se descarta y se vuelve a intentar sobre la mejor
+    const fixedReport = validateVerses(fixed, params);
+    if (fixedReport.problems < best.report.problems) best = { verses: fixed, report: fixedReport };
+    ({ verses, report } = best);
+  }
+
+  return {
+    verses: best.verses,
+    text: best.verses.join('\n'),
+    report: best.report,
+    rounds,
+    providers: [...new Set(providers)]
+  };
+}
+
+module.exports = {
+  MODALITIES,
+  STYLES,
+  MAX_FIX_ROUNDS,
+  parseComposeRequest,
+  validateVerses,
+  composeCopla
+};
@@ -0,0 +1,195 @@
+const { dbAll, dbGet, dbRun } = require('./db');
+const { generateReply } = require('../providers');
+
+// Estimación aproximada de tokens: ~4 caracteres por token en español.
+// No necesitamos precisión, solo no pasarnos de la ventana del modelo.
+const CHARS_PER_TOKEN = 4;
+
+// Tokens reservados para la respuesta (max_tokens de los proveedores)
+const RESPONSE_TOKENS = 600;
+
+// Como mucho miramos estos turnos sin resumir al montar el contexto
+const MAX_HISTORY_TURNS = 50;
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function getSummaryPolicy() {
+  return {
+    triggerTurns: envInt('SUMMARY_TRIGGER_TURNS', 12),
+    triggerTokens: envInt('SUMMARY_TRIGGER_TOKENS', 2000),
+    keepTurns: envInt('SUMMARY_KEEP_TURNS', 6),
+    maxTokens: envInt('SUMMARY_MAX_TOKENS', 400)
+  };
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function formatTurn(row) {
+  return `Usuario: ${row.message}\nAsistente: ${row.response}`;
+}
+
+// Tokens disponibles para el historial una vez descontados el prompt de
+// sistema, el mensaje actual y la respuesta. CONTEXT_TOKEN_BUDGET lo limita más.
+function getHistoryBudget({ contextWindow, systemPrompt, message }) {
+  const available = contextWindow - RESPONSE_TOKENS - estimateTokens(systemPrompt) - estimateTokens(message);
+  const configured = envInt('CONTEXT_TOKEN_BUDGET', Infinity);
+  return Math.max(0, Math.min(configured, available));
+}
+
+// Monta el contexto con el resumen de la sesión y tantos turnos recientes
+// como quepan en el presupuesto. `turns` llega del más nuevo al más viejo.
+function buildContextPrompt({ summary, turns, budget }) {
+  let used = 0;
+  let summaryBlock = '';
+
+  if (summary) {
+    const block = `Resumen de lo hablado antes en esta sesión:\n${summary}\n`;
+    const cost = estimateTokens(block);
+    if (cost <= budget) {
+      summaryBlock = block;
+      used += cost;
+    }
+  }
+
+  const included = [];
+  for (const row of turns) {
+    const cost = estimateTokens(formatTurn(row)) + 1;
+    if (used + cost > budget) break;
+    included.push(row);
+    used += cost;
+  }
+
+  let contextPrompt = '';
+  if (summaryBlock || included.length > 0) {
+    contextPrompt = '\n\n' + summaryBlock;
+    if (included.length > 0) {
+      contextPrompt += 'Contexto de conversación previa:\n' +
+        included.reverse().map(formatTurn).join('\n');
+    }
+    contextPrompt += '\n\n';
+  }
+
+  return {
+    contextPrompt,
+    tokens: used,
+    includedTurns: included.length,
+    droppedTurns: turns.length - included.length,
+    summarized: Boolean(summaryBlock)
+  };
+}
+
+// Turnos de la sesión que aún no están en el resumen, del más nuevo al más viejo
+async function loadSessionHistory(db, sessionId) {
+  const session = await dbGet(db,
+    'SELECT summary, summarized_until FROM sessions WHERE id = ?',
+    [sessionId]
+  );
+
+  const turns = await dbAll(db, `
+    SELECT id, message, response
+    FROM conversations
+    WHERE session_id = ? AND id > ? AND moderation_status != 'hidden'
+    ORDER BY id DESC
+    LIMIT ?
+  `, [sessionId, session?.summarized_until || 0, MAX_HISTORY_TURNS]);
+
+  return { summary: session?.summary || null, turns };
+}
+
+function truncateToTokens(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  return text.length > maxChars ? text.slice(text.length - maxChars) : text;
+}
+
+// Resumen sin LLM: una línea por turno, quedándonos con lo más reciente
+function extractiveSummary(previousSummary, turns, maxTokens) {
+  const clip = (text, length) => {
+    const clean = String(text).replace(/\s+/g, ' ').trim();
+    return clean.length > length ? clean.slice(0, length - 1) + '…' : clean;
+  };
+
+  const lines = turns.map(row => `- Usuario: ${clip(row.message, 120)} → ${clip(row.response, 80)}`);
+  const text = [previousSummary, ...lines].filter(Boolean).join('\n');
+
+  return truncateToTokens(text, maxTokens);
+}
+
+async function summarizeTurns(previousSummary, turns, config, maxTokens) {
+  const systemPrompt = `Eres el archivero de Carnivalito. Resume en español y en pocas frases
+    la conversación entre un usuario y el asistente: temas, datos que dio el usuario
+    (nombre, agrupación favorita, gustos) y preguntas pendientes. Máximo ${Math.round(maxTokens * 0.75)} palabras.
+    No inventes nada y no saludes.`;
+
+  const message = (previousSummary ? `Resumen anterior:\n${previousSummary}\n\n` : '') +
+    `Nuevos turnos:\n${turns.map(formatTurn).join('\n')}`;
+
+  try {
+    const result = await generateReply({
+      systemPrompt,
+      contextPrompt: '',
+      message,
+      fullPrompt: `${systemPrompt}\n\n${message}\n\nResumen:`,
+      topic: 'general',
+      sentiment: 'neutral'
+    }, config, { onlineOnly: true });
+
+    return truncateToTokens(result.text.trim(), maxTokens);
+  } catch (error) {
+    return extractiveSummary(previousSummary, turns, maxTokens);
+  }
+}
+
+// Si la sesión acumula demasiados turnos sin resumir, pliega los más viejos
+// en el resumen guardado y deja solo los últimos SUMMARY_KEEP_TURNS en crudo.
+const summarizing = new Set();
+
+async function maybeSummarizeSession(db, sessionId, config) {
+  if (summarizing.has(sessionId)) return null;
+  summarizing.add(sessionId);
+
+  try {
+    const policy = getSummaryPolicy();
+    const session = await dbGet(db,
+      'SELECT summary, summarized_until FROM sessions WHERE id = ?',
+      [sessionId]
+    );
+    if (!session) return null;
+
+    const pending = await dbAll(db, `
+      SELECT id, message, response
+      FROM conversations
+      WHERE session_id = ? AND id > ? AND moderation_status != 'hidden'
+      ORDER BY id ASC
+    `, [sessionId, session.summarized_until || 0]);
+
+    const pendingTokens = pending.reduce((sum, row) => sum + estimateTokens(formatTurn(row)), 0);
+    if (pending.length < policy.triggerTurns && pendingTokens < policy.triggerTokens) return null;
+
+    const toFold = pending.slice(0, Math.max(0, pending.length - policy.keepTurns));
+    if (toFold.length === 0) return null;
+
+    const summary = await summarizeTurns(session.summary, toFold, config, policy.maxTokens);
+
+    await dbRun(db,
+      'UPDATE sessions SET summary = ?, summarized_until = ? WHERE id = ?',
+      [summary, toFold[toFold.length - 1].id, sessionId]
+    );
+
+    return summary;
+  } finally {
+    summarizing.delete(sessionId);
+  }
+}
+
+module.exports = {
+  estimateTokens,
+  getHistoryBudget,
+  buildContextPrompt,
+  loadSessionHistory,
+  maybeSummarizeSession
+};
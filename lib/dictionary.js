@@ -0,0 +1,191 @@
+const { dbAll, dbGet, dbRun } = require('./db');
+const { DICCIONARIO_GADITANO } = require('./carnavalito_ia');
+
+// Diccionario gaditano en base de datos. Las entradas son palabras o frases;
+// las que manda el público entran como "pending" hasta que las revisa un moderador.
+const ENTRY_KINDS = ['word', 'phrase'];
+const ENTRY_STATUSES = ['published', 'pending', 'rejected'];
+const REGISTERS = ['coloquial', 'cariñoso', 'jerga', 'vulgar', 'neutro'];
+
+const MAX_TERM_LENGTH = { word: 60, phrase: 200 };
+const MAX_TEXT_LENGTH = 1000;
+const MAX_LIST_ITEMS = 20;
+const MAX_ITEM_LENGTH = 300;
+
+const EDITABLE_FIELDS = ['kind', 'term', 'meaning', 'etymology', 'examples', 'synonyms', 'register', 'audio_url'];
+
+function isOptionalText(value, max) {
+  return value === undefined || value === null || (typeof value === 'string' && value.length <= max);
+}
+
+function isTextList(value) {
+  return value === undefined || value === null || (
+    Array.isArray(value) &&
+    value.length <= MAX_LIST_ITEMS &&
+    value.every(item => typeof item === 'string' && item.trim() && item.length <= MAX_ITEM_LENGTH)
+  );
+}
+
+// Audio: URL http(s) o ruta servida por nosotros (/sounds/...); "//host/..." o
+// "/\host/..." no, que el navegador los toma como otro dominio
+function isAudioUrl(value) {
+  return value === undefined || value === null ||
+    (typeof value === 'string' && value.length <= 500 && /^(https?:\/\/|\/(?![\/\\]))\S+$/.test(value));
+}
+
+// Valida los campos de una entrada. Con `partial` solo los que vengan
+// (`currentKind` es el tipo de la entrada que se edita).
+// Devuelve { error } o { values } listos para la base de datos.
+function validateEntry(body = {}, { partial = false, currentKind = 'word' } = {}) {
+  const values = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) values[field] = body[field];
+  }
+
+  if (!partial || values.kind !== undefined) {
+    values.kind = values.kind ?? 'word';
+    if (!ENTRY_KINDS.includes(values.kind)) {
+      return { error: `Tipo inválido. Tipos válidos: ${ENTRY_KINDS.join(', ')}` };
+    }
+  }
+
+  if (!partial || values.term !== undefined) {
+    const term = typeof values.term === 'string' ? values.term.trim() : '';
+    const max = MAX_TERM_LENGTH[values.kind || currentKind];
+    if (!term || term.length > max) {
+      return { error: `El término debe tener entre 1 y ${max} caracteres` };
+    }
+    values.term = term;
+  }
+
+  if (!partial || values.meaning !== undefined) {
+    const meaning = typeof values.meaning === 'string' ? values.meaning.trim() : '';
+    if (!meaning || meaning.length > MAX_TEXT_LENGTH) {
+      return { error: `El significado debe tener entre 1 y ${MAX_TEXT_LENGTH} caracteres` };
+    }
+    values.meaning = meaning;
+  }
+
+  if (!isOptionalText(values.etymology, MAX_TEXT_LENGTH)) {
+    return { error: `La etimología debe ser texto de como mucho ${MAX_TEXT_LENGTH} caracteres` };
+  }
+  for (const field of ['examples', 'synonyms']) {
+    if (!isTextList(values[field])) {
+      return { error: `${field} debe ser una lista de hasta ${MAX_LIST_ITEMS} textos` };
+    }
+    if (values[field] !== undefined) {
+      values[field] = values[field] ? JSON.stringify(values[field].map(item => item.trim())) : null;
+    }
+  }
+  if (values.register !== undefined && values.register !== null && !REGISTERS.includes(values.register)) {
+    return { error: `Registro inválido. Registros válidos: ${REGISTERS.join(', ')}` };
+  }
+  if (!isAudioUrl(values.audio_url)) {
+    return { error: 'audio_url debe ser una URL http(s) o una ruta del servidor' };
+  }
+
+  if (partial && Object.keys(values).length === 0) {
+    return { error: 'Nada que cambiar' };
+  }
+
+  return { values };
+}
+
+// Fila de la base de datos con las listas ya parseadas
+function formatEntry(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    examples: row.examples ? JSON.parse(row.examples) : [],
+    synonyms: row.synonyms ? JSON.parse(row.synonyms) : []
+  };
+}
+
+// Ya hay una entrada publicada o pendiente con ese término
+function findDuplicate(db, { kind, term }, excludeId = null) {
+  return dbGet(db, `
+    SELECT id, status FROM dictionary_entries
+    WHERE kind = ? AND term = ? COLLATE NOCASE AND status != 'rejected' AND id IS NOT ?
+    LIMIT 1
+  `, [kind, term, excludeId]);
+}
+
+// Primera carga: las palabras y frases que venían fijas en el código
+async function seedDictionary(db) {
+  const { total } = await dbGet(db, 'SELECT COUNT(*) as total FROM dictionary_entries');
+  if (total > 0) return;
+
+  const entries = [
+    ...DICCIONARIO_GADITANO.palabras.map(p => ['word', p.word, p.meaning, p.synonyms]),
+    ...DICCIONARIO_GADITANO.frases.map(f => ['phrase', f.phrase, f.context])
+  ];
+
+  for (const [kind, term, meaning, synonyms] of entries) {
+    await dbRun(db, `
+      INSERT INTO dictionary_entries (kind, term, meaning, synonyms, status, reviewed_by, reviewed_at)
+      VALUES (?, ?, ?, ?, 'published', 'sistema', CURRENT_TIMESTAMP)
+    `, [kind, term, meaning, synonyms ? JSON.stringify(synonyms) : null]);
+  }
+
+  console.log(`📚 Diccionario gaditano cargado con ${entries.length} entradas`);
+}
+
+// Entradas publicadas ya formateadas. Se guardan aquí y no en la caché
+// compartida porque NodeCache clona al leer y se lee en cada mensaje del chat;
+// por eso se congelan, quien las use no las puede tocar.
+let publishedEntries = null;
+// Sube con cada cambio, para no guardar una lectura que empezó antes
+let publishedGeneration = 0;
+
+// Entradas publicadas, guardadas hasta que un moderador toque el diccionario
+async function getPublishedEntries(db) {
+  if (publishedEntries) return publishedEntries;
+
+  const generation = publishedGeneration;
+  const rows = await dbAll(db, `
+    SELECT id, kind, term, meaning, etymology, examples, synonyms, register, audio_url
+    FROM dictionary_entries
+    WHERE status = 'published'
+    ORDER BY term COLLATE NOCASE
+  `);
+  const entries = Object.freeze(rows.map(row => Object.freeze(formatEntry(row))));
+
+  if (generation === publishedGeneration) publishedEntries = entries;
+  return entries;
+}
+
+function invalidateDictionary() {
+  publishedEntries = null;
+  publishedGeneration++;
+}
+
+// Formato de siempre de /api/diccionario: { palabras: [{ word, meaning }], frases: [{ phrase, context }] }
+function toLegacyShape(entries) {
+  const extra = entry => ({
+    id: entry.id,
+    etymology: entry.etymology,
+    examples: entry.examples,
+    synonyms: entry.synonyms,
+    register: entry.register,
+    audio_url: entry.audio_url
+  });
+
+  return {
+    palabras: entries.filter(e => e.kind === 'word').map(e => ({ word: e.term, meaning: e.meaning, ...extra(e) })),
+    frases: entries.filter(e => e.kind === 'phrase').map(e => ({ phrase: e.term, context: e.meaning, ...extra(e) }))
+  };
+}
+
+module.exports = {
+  ENTRY_KINDS,
+  ENTRY_STATUSES,
+  REGISTERS,
+  validateEntry,
+  formatEntry,
+  findDuplicate,
+  seedDictionary,
+  getPublishedEntries,
+  invalidateDictionary,
+  toLegacyShape
+};
@@ -0,0 +1,216 @@
+// Búsqueda en el diccionario gaditano sin tildes ni mayúsculas, por prefijo y
+// aproximada (distancia de edición), entendiendo cómo se escribe en Cádiz:
+// "pixa" por "pisha", "jarto" por "harto", "detrá" por "detrás", "cansao" por "cansado".
+
+const MIN_QUERY_LENGTH = 2;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Puntuación de cada tipo de coincidencia; gana la mejor de cada entrada
+const SCORES = {
+  exact: 100,
+  variant: 90,
+  prefix: 80,
+  variantPrefix: 70,
+  fuzzy: 60,
+  phraseWord: 55,
+  synonym: 50,
+  meaning: 30
+};
+
+// Minúsculas y sin tildes, pero la ñ se queda
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/ñ/g, '\u0001')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\u0001/g, 'ñ')
+    .replace(/[^a-zñ0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Clave fonética gaditana de una palabra ya normalizada. Iguala grafías que
+// en Cádiz suenan igual o se comen: ch/sh/x, h aspirada y j, b/v, s/z/c, ll/y,
+// la d entre vocales, la -s y -d finales y la l que suena r antes de consonante.
+function variantKey(word) {
+  return word
+    .replace(/(ch|sh|x)/g, 'x')
+    .replace(/g([ei])/g, 'j$1')
+    .replace(/qu/g, 'k')
+    .replace(/c([ei])/g, 's$1')
+    .replace(/c/g, 'k')
+    .replace(/z/g, 's')
+    .replace(/v/g, 'b')
+    .replace(/ll/g, 'y')
+    .replace(/[hj]/g, '')
+    .replace(/([aeiou])d([aeiou])/g, '$1$2')
+    .replace(/l([^aeiouy]|$)/g, 'r$1')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/([aeiou])[sd]$/, '$1');
+}
+
+function keyOf(text) {
+  return normalize(text).split(' ').filter(Boolean).map(variantKey).join(' ');
+}
+
+// Distancia de Levenshtein; deja de calcular si ya pasa de `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Errores que admitimos según lo larga que sea la búsqueda
+function allowedDistance(length) {
+  if (length <= 3) return 0;
+  if (length <= 5) return 1;
+  if (length <= 8) return 2;
+  return 3;
+}
+
+// Mejor coincidencia de la búsqueda con una entrada, o null
+function scoreEntry(entry, query) {
+  const term = normalize(entry.term);
+  const termKey = keyOf(entry.term);
+
+  if (term === query.text) return { score: SCORES.exact, match: 'exact' };
+  if (termKey === query.key) return { score: SCORES.variant, match: 'variant' };
+  if (term.startsWith(query.text)) return { score: SCORES.prefix - (term.length - query.text.length) / 100, match: 'prefix' };
+  if (query.key.length >= MIN_QUERY_LENGTH && termKey.startsWith(query.key)) {
+    return { score: SCORES.variantPrefix - (termKey.length - query.key.length) / 100, match: 'variant_prefix' };
+  }
+
+  const max = allowedDistance(query.key.length);
+  if (max > 0) {
+    const distance = editDistance(termKey, query.key, max);
+    if (distance <= max) return { score: SCORES.fuzzy - distance * 10, match: 'fuzzy', distance };
+  }
+
+  // Palabra suelta dentro de una frase
+  if (entry.kind === 'phrase' && !query.key.includes(' ')) {
+    const words = termKey.split(' ');
+    if (words.some(word => word === query.key)) return { score: SCORES.phraseWord, match: 'phrase_word' };
+    if (max > 0 && words.some(word => editDistance(word, query.key, max) <= max)) {
+      return { score: SCORES.phraseWord - 10, match: 'phrase_word' };
+    }
+  }
+
+  if ((entry.synonyms || []).some(synonym => keyOf(synonym) === query.key)) {
+    return { score: SCORES.synonym, match: 'synonym' };
+  }
+
+  // Dentro del significado (o el contexto de las frases) y los ejemplos
+  const texts = [entry.meaning, ...(entry.examples || [])].map(keyOf);
+  if (texts.some(text => ` ${text} `.includes(` ${query.key} `))) {
+    return { score: SCORES.meaning, match: 'meaning' };
+  }
+  if (query.key.length >= 4 && texts.some(text => text.includes(query.key))) {
+    return { score: SCORES.meaning - 5, match: 'meaning' };
+  }
+
+  return null;
+}
+
+// Valida los parámetros de la petición; devuelve { error } si algo no cuadra
+function parseSearchQuery(query) {
+  const text = normalize(query.q);
+  if (text.length < MIN_QUERY_LENGTH) {
+    return { error: `Escribe al menos ${MIN_QUERY_LENGTH} letras pa buscar, pisha` };
+  }
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+  return { q: query.q, limit };
+}
+
+// Entradas que encajan con la búsqueda, de más a menos relevante
+function searchEntries(entries, q, { limit = DEFAULT_LIMIT } = {}) {
+  const query = { text: normalize(q), key: keyOf(q) };
+
+  return entries
+    .map(entry => ({ entry, result: scoreEntry(entry, query) }))
+    .filter(({ result }) => result)
+    .sort((a, b) => b.result.score - a.result.score ||
+      a.entry.term.length - b.entry.term.length ||
+      a.entry.term.localeCompare(b.entry.term, 'es'))
+    .slice(0, limit)
+    .map(({ entry, result }) => ({ ...entry, score: Math.round(result.score * 100) / 100, match: result.match }));
+}
+
+// Palabras del texto con su posición (índices de string de JS, `end` exclusivo)
+function tokenize(text) {
+  return [...String(text || '').matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+    text: match[0],
+    normalized: normalize(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+// Términos del diccionario que aparecen en un texto, sin tildes ni mayúsculas
+// y respetando los límites de palabra. Las frases ganan a las palabras sueltas
+// y las coincidencias no se solapan. Devuelve [{ text, start, end, id, term, kind, meaning }].
+function annotateText(text, entries) {
+  const tokens = tokenize(text);
+  const byFirstWord = new Map();
+
+  for (const entry of entries) {
+    const words = normalize(entry.term).split(' ').filter(Boolean);
+    if (words.length === 0) continue;
+    if (!byFirstWord.has(words[0])) byFirstWord.set(words[0], []);
+    byFirstWord.get(words[0]).push({ entry, words });
+  }
+  // Dentro de cada grupo, las más largas primero
+  for (const candidates of byFirstWord.values()) {
+    candidates.sort((a, b) => b.words.length - a.words.length);
+  }
+
+  const annotations = [];
+  let i = 0;
+  while (i < tokens.length) {
+    const match = (byFirstWord.get(tokens[i].normalized) || []).find(({ words }) =>
+      words.every((word, offset) => tokens[i + offset] && tokens[i + offset].normalized === word)
+    );
+    if (!match) {
+      i++;
+      continue;
+    }
+
+    const last = tokens[i + match.words.length - 1];
+    annotations.push({
+      text: text.slice(tokens[i].start, last.end),
+      start: tokens[i].start,
+      end: last.end,
+      id: match.entry.id,
+      term: match.entry.term,
+      kind: match.entry.kind,
+      meaning: match.entry.meaning
+    });
+    i += match.words.length;
+  }
+
+  return annotations;
+}
+
+module.exports = {
+  normalize,
+  variantKey,
+  parseSearchQuery,
+  searchEntries,
+  annotateText
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { dbGet, dbRun } = require('./db');
+const { analyzeMetrics } = require('./metrics');
+
+const MAX_TITLE_LENGTH = 80;
+const MAX_DRAFT_LENGTH = 20000;
+// La tabla del LCS crece con versos × versos: más allá de esto no se compara
+const MAX_DIFF_VERSES = 500;
+
+function titleFromText(text) {
+  const firstVerse = String(text || '').split('\n').map(line => line.trim()).find(Boolean);
+  if (!firstVerse) return 'Copla sin título';
+  return firstVerse.length > MAX_TITLE_LENGTH ? firstVerse.slice(0, MAX_TITLE_LENGTH - 1) + '…' : firstVerse;
+}
+
+// Borrador nuevo con su versión 1
+async function createDraft(db, userId, { title, text }) {
+  const id = crypto.randomUUID();
+  const finalTitle = String(title || '').trim() || titleFromText(text);
+
+  await dbRun(db,
+    'INSERT INTO drafts (id, userId, title, current_version) VALUES (?, ?, ?, 1)',
+    [id, userId, finalTitle]
+  );
+  await dbRun(db,
+    'INSERT INTO draft_versions (draft_id, version, text) VALUES (?, 1, ?)',
+    [id, text]
+  );
+
+  return dbGet(db, 'SELECT * FROM drafts WHERE id = ?', [id]);
+}
+
+// Devuelve el borrador solo si pertenece al usuario
+function getUserDraft(db, draftId, userId) {
+  return dbGet(db, 'SELECT * FROM drafts WHERE id = ? AND userId = ?', [draftId, userId]);
+}
+
+function getDraftVersion(db, draftId, version) {
+  return dbGet(db, 'SELECT * FROM draft_versions WHERE draft_id = ? AND version = ?', [draftId, version]);
+}
+
+// Cada edición es una versión nueva; `restoredFrom` marca las restauraciones.
+// El número se calcula en el mismo INSERT para que dos guardados a la vez no
+// se pisen la versión.
+async function addVersion(db, draft, text, { restoredFrom = null } = {}) {
+  const { lastID } = await dbRun(db, `
+    INSERT INTO draft_versions (draft_id, version, text, restored_from)
+    SELECT ?, COALESCE(MAX(version), 0) + 1, ?, ?
+    FROM draft_versions
+    WHERE draft_id = ?
+  `, [draft.id, text, restoredFrom, draft.id]);
+  const { version } = await dbGet(db, 'SELECT version FROM draft_versions WHERE id = ?', [lastID]);
+
+  await dbRun(db, `
+    UPDATE drafts SET current_version = MAX(current_version, ?), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [version, draft.id]);
+
+  return getDraftVersion(db, draft.id, version);
+}
+
+// Diff por versos (LCS). Un bloque quitado seguido de uno añadido se empareja
+// verso a verso como "changed". El principio y el final comunes se quitan
+// antes, así la tabla solo cubre el trozo que cambia.
+function diffLines(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let n = before.length;
+  let m = after.length;
+  while (n > start && m > start && before[n - 1] === after[m - 1]) {
+    n--;
+    m--;
+  }
+
+  const lcs = Array.from({ length: n - start + 1 }, () => new Array(m - start + 1).fill(0));
+  for (let i = n - 1; i >= start; i--) {
+    for (let j = m - 1; j >= start; j--) {
+      const [a, b] = [i - start, j - start];
+      lcs[a][b] = before[i] === after[j] ? lcs[a + 1][b + 1] + 1 : Math.max(lcs[a + 1][b], lcs[a][b + 1]);
+    }
+  }
+
+  const ops = [];
+  for (let k = 0; k < start; k++) ops.push({ type: 'equal', from: k, to: k });
+  let i = start;
+  let j = start;
+  while (i < n || j < m) {
+    if (i < n && j < m && before[i] === after[j]) {
+      ops.push({ type: 'equal', from: i, to: j });
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[i + 1 - start][j - start] >= lcs[i - start][j + 1 - start])) {
+      ops.push({ type: 'removed', from: i++ });
+    } else {
+      ops.push({ type: 'added', to: j++ });
+    }
+  }
+  for (let k = 0; n + k < before.length; k++) ops.push({ type: 'equal', from: n + k, to: m + k });
+
+  // Emparejar quitados y añadidos consecutivos
+  const result = [];
+  for (let k = 0; k < ops.length; k++) {
+    if (ops[k].type !== 'removed') {
+      result.push(ops[k]);
+      continue;
+    }
+    const removed = [];
+    while (k < ops.length && ops[k].type === 'removed') removed.push(ops[k++]);
+    const added = [];
+    while (k < ops.length && ops[k].type === 'added') added.push(ops[k++]);
+    k--;
+
+    for (let p = 0; p < Math.max(removed.length, added.length); p++) {
+      if (removed[p] && added[p]) {
+        result.push({ type: 'changed', from: removed[p].from, to: added[p].to });
+      } else {
+        result.push(removed[p] || added[p]);
+      }
+    }
+  }
+
+  return result;
+}
+
+function verseSummary(analysis, index) {
+  if (index === undefined) return null;
+  const verse = analysis.verses[index];
+  return {
+    number: index + 1,
+    text: verse.verse,
+    metricSyllables: verse.metricSyllables,
+    rhyme: analysis.rhymeScheme[index],
+    ending: analysis.rhyme.verses[index]?.ending || null
+  };
+}
+
+function countVerses(text) {
+  return text.split('\n').filter(line => line.trim()).length;
+}
+
+// Diferencias entre dos versiones: versos cambiados y cómo cambian la
+// medida y la rima de cada uno y del poema. Devuelve { error } si alguna
+// pasa de MAX_DIFF_VERSES versos.
+function diffVersions(fromVersion, toVersion) {
+  if (countVerses(fromVersion.text) > MAX_DIFF_VERSES || countVerses(toVersion.text) > MAX_DIFF_VERSES) {
+    return { error: `Solo se comparan versiones de hasta ${MAX_DIFF_VERSES} versos, pisha` };
+  }
+
+  const before = analyzeMetrics(fromVersion.text);
+  const after = analyzeMetrics(toVersion.text);
+
+  const changes = diffLines(before.verses.map(v => v.verse), after.verses.map(v => v.verse))
+    .filter(op => op.type !== 'equal')
+    .map(op => {
+      const from = verseSummary(before, op.from);
+      const to = verseSummary(after, op.to);
+      const change = { type: op.type, before: from, after: to };
+
+      if (from && to) {
+        change.syllablesDelta = to.metricSyllables - from.metricSyllables;
+        change.rhymeChanged = from.ending !== to.ending;
+      }
+      return change;
+    });
+
+  const summary = analysis => ({
+    verses: analysis.totalVerses,
+    measure: analysis.measure,
+    metricalPattern: analysis.metricalPattern,
+    rhymeScheme: analysis.rhymeScheme,
+    romance: analysis.rhyme.romance
+  });
+
+  return {
+    from: fromVersion.version,
+    to: toVersion.version,
+    before: summary(before),
+    after: summary(after),
+    changes
+  };
+}
+
+module.exports = {
+  MAX_TITLE_LENGTH,
+  MAX_DRAFT_LENGTH,
+  titleFromText,
+  createDraft,
+  getUserDraft,
+  getDraftVersion,
+  addVersion,
+  diffVersions
+};
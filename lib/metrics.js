@@ -0,0 +1,547 @@
+// Métrica española: silabeo fonológico, sinalefa, licencias (sinéresis,
+// diéresis, dialefa) y ajuste por el acento de la última palabra del verso.
+
+const STRONG_VOWELS = 'aeoáéó';
+const ACCENTED_VOWELS = 'áéíóú';
+const ACCENTED_WEAK_VOWELS = 'íú';
+const DIERESIS_VOWELS = 'üï';
+const ALL_VOWELS = 'aeiouáéíóúüï';
+
+// Grupos consonánticos que no se separan: van juntos al inicio de sílaba
+const INSEPARABLE_CLUSTERS = new Set([
+  'pr', 'br', 'tr', 'dr', 'cr', 'kr', 'gr', 'fr',
+  'pl', 'bl', 'cl', 'kl', 'gl', 'fl'
+]);
+
+const STRESS_NAMES = ['aguda', 'llana', 'esdrújula', 'sobresdrújula'];
+
+// Aguda +1, llana 0, esdrújula −1 (sobresdrújula −2)
+const STRESS_ADJUSTMENT = { aguda: 1, llana: 0, esdrújula: -1, sobresdrújula: -2 };
+
+const isVowelChar = char => ALL_VOWELS.includes(char);
+const isFrontVowel = char => 'eéií'.includes(char);
+
+function cleanWord(word) {
+  return word.toLowerCase().replace(/[^a-zñáéíóúüï]/g, '');
+}
+
+// Divide la palabra en unidades: vocales y consonantes (ch, ll, rr, sh, qu y
+// gu ante e/i cuentan como una sola consonante; la sh por el habla de aquí,
+// pi-sha). La "y" es vocal sola, al final tras vocal (rey, hoy) o cuando la
+// palabra no tiene otra vocal (gym, by); en otro caso es consonante.
+function tokenize(word) {
+  const units = [];
+  const onlyY = !/[aeiouáéíóúüï]/.test(word);
+
+  for (let i = 0; i < word.length; i++) {
+    const char = word[i];
+    const next = word[i + 1];
+    const pair = char + (next || '');
+
+    if (pair === 'ch' || pair === 'll' || pair === 'rr' || pair === 'sh') {
+      units.push({ text: pair, vowel: false });
+      i++;
+    } else if ((pair === 'qu' || pair === 'gu') && word[i + 2] && isFrontVowel(word[i + 2])) {
+      units.push({ text: pair, vowel: false });
+      i++;
+    } else if (char === 'y') {
+      const prev = word[i - 1];
+      const vowel = onlyY || (i === word.length - 1 && prev && isVowelChar(prev));
+      units.push({ text: char, vowel, weak: vowel });
+    } else if (isVowelChar(char)) {
+      units.push({
+        text: char,
+        vowel: true,
+        strong: STRONG_VOWELS.includes(char),
+        accentedWeak: ACCENTED_WEAK_VOWELS.includes(char),
+        // ü tras g (pingüino) solo indica que la u suena; en otro caso es diéresis poética
+        dieresis: DIERESIS_VOWELS.includes(char) && word[i - 1] !== 'g'
+      });
+    } else {
+      units.push({ text: char, vowel: false });
+    }
+  }
+
+  return units;
+}
+
+// ¿Van en sílabas distintas dos vocales seguidas?
+//   - hiato: dos fuertes, o débil acentuada junto a fuerte
+//   - diéresis: forzada con ü/ï, o como licencia sobre cualquier diptongo
+//   - sinéresis: como licencia, dos fuertes se juntan en una sílaba
+function isHiatus(a, b, { syneresis = false, dieresis = false } = {}) {
+  if (a.dieresis || b.dieresis) return true;
+
+  const strongPair = a.strong && b.strong;
+  const accentedHiatus = (a.accentedWeak && b.strong) || (a.strong && b.accentedWeak);
+
+  if (strongPair) return !syneresis;
+  if (accentedHiatus) return true;
+  return dieresis;
+}
+
+// Reparte las consonantes entre dos núcleos vocálicos: [coda, ataque]
+function splitConsonants(consonants) {
+  const texts = consonants.map(c => c.text);
+  const n = texts.length;
+
+  if (n <= 1) return [[], texts];
+  if (n === 2) {
+    return INSEPARABLE_CLUSTERS.has(texts.join('')) ? [[], texts] : [[texts[0]], [texts[1]]];
+  }
+  if (n === 3) {
+    return INSEPARABLE_CLUSTERS.has(texts[1] + texts[2])
+      ? [[texts[0]], texts.slice(1)]
+      : [texts.slice(0, 2), [texts[2]]];
+  }
+  return [texts.slice(0, 2), texts.slice(2)];
+}
+
+// Silabeo fonológico de una palabra. `options` activa licencias (sinéresis o diéresis).
+function syllabifyWord(word, options = {}) {
+  const units = tokenize(cleanWord(word));
+
+  // Núcleos: grupos de vocales seguidas, partidos donde hay hiato
+  const nuclei = [];
+  let current = null;
+  units.forEach((unit, index) => {
+    if (!unit.vowel) {
+      current = null;
+      return;
+    }
+    const prev = units[index - 1];
+    if (current && prev?.vowel && !isHiatus(prev, unit, options)) {
+      current.end = index;
+    } else {
+      current = { start: index, end: index };
+      nuclei.push(current);
+    }
+  });
+
+  if (nuclei.length === 0) return [];
+
+  const syllables = nuclei.map(({ start, end }) => units.slice(start, end + 1).map(u => u.text).join(''));
+
+  // Consonantes iniciales y finales
+  const leading = units.slice(0, nuclei[0].start).map(u => u.text).join('');
+  const trailing = units.slice(nuclei[nuclei.length - 1].end + 1).map(u => u.text).join('');
+  syllables[0] = leading + syllables[0];
+  syllables[syllables.length - 1] += trailing;
+
+  // Consonantes entre núcleos
+  for (let i = 0; i < nuclei.length - 1; i++) {
+    const between = units.slice(nuclei[i].end + 1, nuclei[i + 1].start);
+    const [coda, onset] = splitConsonants(between);
+    syllables[i] += coda.join('');
+    syllables[i + 1] = onset.join('') + syllables[i + 1];
+  }
+
+  return syllables;
+}
+
+// Índice de la sílaba tónica: la que lleva tilde o, si no hay, la penúltima
+// en palabras acabadas en vocal, n o s y la última en el resto
+function stressedSyllableIndex(word, syllables) {
+  const clean = cleanWord(word);
+  const count = syllables.length;
+
+  // Adverbios en -mente: el acento que cuenta es el de "men"
+  if (clean.length > 6 && clean.endsWith('mente')) return count - 2;
+
+  const accented = syllables.findIndex(s => [...s].some(char => ACCENTED_VOWELS.includes(char)));
+  if (accented !== -1) return accented;
+
+  if (count === 1) return 0;
+  return /[aeiouns]$/.test(clean) ? count - 2 : count - 1;
+}
+
+function stressType(syllableCount, stressedIndex) {
+  const fromEnd = syllableCount - 1 - stressedIndex;
+  return STRESS_NAMES[Math.min(fromEnd, STRESS_NAMES.length - 1)];
+}
+
+const endsInVowel = word => word === 'y' || isVowelChar(word[word.length - 1]);
+
+// Empieza por sonido vocálico: vocal, "y" sola o h muda + vocal. "hie-"
+// y "hue-" (hielo, hueso) suenan consonánticas y no hacen sinalefa.
+function startsWithVowel(word) {
+  if (word === 'y') return true;
+  if (isVowelChar(word[0])) return true;
+  return word[0] === 'h' && isVowelChar(word[1] || '') && !/^h[iu][aeiouáéíóú]/.test(word);
+}
+
+// Escansión de un verso con un juego de licencias concreto
+function scan(words, { syneresis = new Set(), dieresis = new Set(), dialefa = new Set() } = {}) {
+  const wordSyllables = words.map((word, w) => syllabifyWord(word, {
+    syneresis: syneresis.has(w),
+    dieresis: dieresis.has(w)
+  }));
+
+  const grammatical = wordSyllables.reduce((sum, s) => sum + s.length, 0);
+
+  // Sílabas métricas: la última de una palabra se funde con la primera de la
+  // siguiente si hay sinalefa
+  const metric = [];
+  let synalephas = 0;
+  let finalStressPosition = -1;
+
+  wordSyllables.forEach((syllables, w) => {
+    const joinsPrevious = w > 0 && metric.length > 0 && !dialefa.has(w) &&
+      endsInVowel(words[w - 1]) && startsWithVowel(words[w]);
+
+    syllables.forEach((syllable, s) => {
+      if (s === 0 && joinsPrevious) {
+        metric[metric.length - 1] += '‿' + syllable;
+        synalephas++;
+      } else {
+        metric.push(syllable);
+      }
+      if (w === words.length - 1 && s === stressedSyllableIndex(words[w], syllables)) {
+        finalStressPosition = metric.length - 1;
+      }
+    });
+  });
+
+  const lastSyllables = wordSyllables[wordSyllables.length - 1];
+  const finalStress = stressType(lastSyllables.length, stressedSyllableIndex(words[words.length - 1], lastSyllables));
+
+  // Se cuenta hasta la última tónica y una más
+  const metricCount = finalStressPosition + 2;
+
+  return { wordSyllables, grammatical, metric, metricCount, synalephas, finalStress };
+}
+
+// Palabras del verso que admiten cada licencia
+function licenseCandidates(words, base) {
+  const candidates = { syneresis: [], dieresis: [], dialefa: [] };
+
+  words.forEach((word, w) => {
+    const normal = base.wordSyllables[w].length;
+    if (syllabifyWord(word, { syneresis: true }).length < normal) candidates.syneresis.push(w);
+    if (syllabifyWord(word, { dieresis: true }).length > normal) candidates.dieresis.push(w);
+    if (w > 0 && endsInVowel(words[w - 1]) && startsWithVowel(word)) candidates.dialefa.push(w);
+  });
+
+  return candidates;
+}
+
+const LICENSE_NAMES = { syneresis: 'sinéresis', dieresis: 'diéresis', dialefa: 'dialefa' };
+
+// Aplica licencias de una en una hasta cuadrar con `target`. Si no se llega
+// exactamente se deja la escansión natural.
+function fitToTarget(words, base, target) {
+  const diff = base.metricCount - target;
+  if (diff === 0 || Math.abs(diff) > 1) return null;
+
+  const candidates = licenseCandidates(words, base);
+  const order = diff > 0 ? ['syneresis'] : ['dialefa', 'dieresis'];
+  const applied = { syneresis: new Set(), dieresis: new Set(), dialefa: new Set() };
+  const licenses = [];
+
+  for (const type of order) {
+    for (const w of candidates[type]) {
+      applied[type].add(w);
+      const result = scan(words, applied);
+
+      if (Math.abs(result.metricCount - target) < Math.abs(diff) || result.metricCount === target) {
+        licenses.push({ type: LICENSE_NAMES[type], word: words[w] });
+        if (result.metricCount === target) return { result, licenses };
+      } else {
+        applied[type].delete(w);
+      }
+    }
+  }
+
+  return null;
+}
+
+function splitWords(verse) {
+  return verse.split(/\s+/).map(cleanWord).filter(word => /[aeiouáéíóúüïy]/.test(word));
+}
+
+// Escansión de un verso: sílabas gramaticales y métricas, desglose, sinalefas,
+// acento final y licencias aplicadas para ajustarse a `target` si se indica
+function scanVerse(verse, { target } = {}) {
+  const words = splitWords(verse);
+
+  if (words.length === 0) {
+    return {
+      verse: verse.trim(),
+      syllables: 0,
+      grammaticalSyllables: 0,
+      metricSyllables: 0,
+      words: 0,
+      syllableBreakdown: [],
+      breakdown: '',
+      synalephas: 0,
+      finalStress: null,
+      stressAdjustment: 0,
+      licenses: []
+    };
+  }
+
+  let result = scan(words);
+  let licenses = [];
+
+  if (target) {
+    const fitted = fitToTarget(words, result, target);
+    if (fitted) {
+      result = fitted.result;
+      licenses = fitted.licenses;
+    }
+  }
+
+  return {
+    verse: verse.trim(),
+    syllables: result.metricCount,
+    grammaticalSyllables: result.grammatical,
+    metricSyllables: result.metricCount,
+    words: words.length,
+    syllableBreakdown: result.metric,
+    breakdown: result.metric.join('-'),
+    synalephas: result.synalephas,
+    finalStress: result.finalStress,
+    stressAdjustment: STRESS_ADJUSTMENT[result.finalStress],
+    licenses
+  };
+}
+
+// Medida más repetida del poema (si se repite), para ajustar con licencias
+function predominantMeasure(counts) {
+  const frequency = new Map();
+  counts.forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+
+  let best = null;
+  for (const [count, times] of frequency) {
+    if (times >= 2 && (!best || times > best.times)) best = { count, times };
+  }
+  return best ? best.count : null;
+}
+
+function getMetricalPattern(syllableCounts) {
+  const unique = [...new Set(syllableCounts)];
+  if (unique.length === 1) {
+    const count = unique[0];
+    if (count === 8) return 'Octosílabos';
+    if (count === 11) return 'Endecasílabos';
+    if (count === 7) return 'Heptasílabos';
+    return `${count} sílabas`;
+  }
+  return 'Métrica libre';
+}
+
+const UNACCENT = { á: 'a', é: 'e', í: 'i', ó: 'o', ú: 'u', ü: 'u', ï: 'i' };
+const unaccent = text => text.replace(/[áéíóúüï]/g, char => UNACCENT[char]);
+
+// Vocal que lleva el peso de un núcleo: la acentuada, si no la fuerte y,
+// entre dos débiles (ui, iu), la segunda
+function nucleusVowelIndex(units) {
+  const vowels = units.map((unit, index) => ({ unit, index })).filter(v => v.unit.vowel);
+  if (vowels.length === 0) return -1;
+
+  const accented = vowels.find(v => ACCENTED_VOWELS.includes(v.unit.text));
+  if (accented) return accented.index;
+
+  const strong = vowels.find(v => v.unit.strong);
+  return (strong || vowels[vowels.length - 1]).index;
+}
+
+// Final de rima de la última palabra del verso que tenga sílabas: desde la
+// vocal tónica hasta el final. `consonant` compara sonidos (h muda, b = v,
+// ce = ze...) y `assonance` solo la vocal tónica y la última átona (i cuenta
+// como e, u como o). Sin ninguna palabra con vocal, null.
+function rhymeEnding(verse) {
+  const words = splitWords(verse);
+
+  let word = null;
+  let syllables = [];
+  for (let w = words.length - 1; w >= 0 && syllables.length === 0; w--) {
+    word = words[w];
+    syllables = syllabifyWord(word);
+  }
+  if (syllables.length === 0) return null;
+
+  const stressed = stressedSyllableIndex(word, syllables);
+
+  const stressedUnits = tokenize(syllables[stressed]);
+  const vowelIndex = nucleusVowelIndex(stressedUnits);
+  const tail = stressedUnits.slice(vowelIndex).map(u => u.text).join('') + syllables.slice(stressed + 1).join('');
+
+  const consonant = unaccent(tail)
+    .replace(/h/g, '')
+    .replace(/v/g, 'b')
+    .replace(/y$/, 'i')
+    .replace(/c([ei])/g, 'z$1')
+    .replace(/g([ei])/g, 'j$1')
+    .replace(/gu([ei])/g, 'g$1')
+    .replace(/qu/g, 'k')
+    .replace(/c/g, 'k');
+
+  // La y que hace de núcleo (gym) suena como i
+  const stressedVowel = unaccent(stressedUnits[vowelIndex].text);
+  const vowels = [stressedVowel === 'y' ? 'i' : stressedVowel];
+  if (stressed < syllables.length - 1) {
+    const lastUnits = tokenize(syllables[syllables.length - 1]);
+    const last = unaccent(lastUnits[nucleusVowelIndex(lastUnits)].text);
+    vowels.push(last === 'i' || last === 'y' ? 'e' : last === 'u' ? 'o' : last);
+  }
+
+  return { word, ending: unaccent(tail), consonant, assonance: vowels.join('-') };
+}
+
+// Esquema de rima: verses con la misma asonancia forman grupo; la letra va en
+// mayúscula si el verso rima en consonante con otro del grupo y en minúscula
+// si solo en asonante. Los versos sueltos llevan "-".
+function detectRhymeScheme(verses) {
+  const endings = verses.map(rhymeEnding);
+
+  const byAssonance = new Map();
+  endings.forEach((ending, index) => {
+    if (!ending) return;
+    if (!byAssonance.has(ending.assonance)) byAssonance.set(ending.assonance, []);
+    byAssonance.get(ending.assonance).push(index);
+  });
+
+  const scheme = verses.map(() => '-');
+  const types = verses.map(() => null);
+  const pairs = [];
+  let nextLetter = 0;
+
+  const groups = [...byAssonance.values()]
+    .filter(group => group.length >= 2)
+    .sort((a, b) => a[0] - b[0]);
+
+  for (const group of groups) {
+    const letter = String.fromCharCode(65 + nextLetter++);
+
+    group.forEach((index, position) => {
+      const consonantPartner = group.some(other => other !== index &&
+        endings[other].consonant === endings[index].consonant);
+
+      types[index] = consonantPartner ? 'consonante' : 'asonante';
+      scheme[index] = consonantPartner ? letter : letter.toLowerCase();
+
+      if (position > 0) {
+        const previous = group[position - 1];
+        pairs.push({
+          verses: [previous + 1, index + 1],
+          type: endings[previous].consonant === endings[index].consonant ? 'consonante' : 'asonante'
+        });
+      }
+    });
+  }
+
+  return {
+    scheme: scheme.join(''),
+    verses: endings.map((ending, index) => ending && {
+      word: ending.word,
+      ending: ending.ending,
+      assonance: ending.assonance,
+      letter: scheme[index],
+      type: types[index]
+    }),
+    pairs
+  };
+}
+
+// Romance: los pares riman en asonante (todos con la misma) y los impares
+// quedan sueltos. Con versos cortos es romancillo; con endecasílabos, heroico.
+function detectRomance(rhyme, measure) {
+  const entries = rhyme.verses;
+  if (entries.length < 4 || entries.some(entry => !entry)) return null;
+
+  const even = entries.filter((_, index) => index % 2 === 1);
+  const odd = entries.filter((_, index) => index % 2 === 0);
+  const assonance = even[0].assonance;
+
+  if (!even.every(entry => entry.assonance === assonance)) return null;
+  if (odd.some(entry => entry.assonance === assonance)) return null;
+
+  let type = 'romance';
+  if (measure && measure < 8) type = 'romancillo';
+  if (measure === 11) type = 'romance heroico';
+
+  return { type, assonance };
+}
+
+// Líneas que rotulan una parte del poema en vez de ser un verso
+const LABEL_LINE = /^\s*[\[(]?\s*(estribillo|introducci[oó]n|primera parte|segunda parte|tercera parte|parte \d+|cuplé|remate)\s*[\])]?\s*:?\s*$/i;
+
+// Estrofas separadas por líneas en blanco; un rótulo ("Estribillo:") abre estrofa
+function parseStanzas(text) {
+  const stanzas = [];
+  let current = null;
+  let pendingLabel = null;
+
+  for (const line of text.split('\n')) {
+    if (!line.trim()) {
+      current = null;
+      continue;
+    }
+
+    const label = line.match(LABEL_LINE);
+    if (label) {
+      pendingLabel = label[1].toLowerCase();
+      current = null;
+      continue;
+    }
+
+    if (!current) {
+      current = { label: pendingLabel, lines: [] };
+      stanzas.push(current);
+      pendingLabel = null;
+    }
+    current.lines.push(line);
+  }
+
+  return stanzas;
+}
+
+// Análisis métrico del poema completo. `meter` fuerza la medida esperada;
+// sin él se usa la predominante para decidir las licencias.
+function analyzeMetrics(text, { meter } = {}) {
+  const parsed = parseStanzas(text);
+  const verses = parsed.flatMap(stanza => stanza.lines);
+
+  const natural = verses.map(verse => scanVerse(verse));
+  const target = meter || predominantMeasure(natural.map(v => v.metricSyllables));
+  const analysis = target ? verses.map(verse => scanVerse(verse, { target })) : natural;
+
+  let verseNumber = 0;
+  const stanzas = parsed.map((stanza, index) => ({
+    number: index + 1,
+    label: stanza.label,
+    verses: stanza.lines.map(() => ++verseNumber)
+  }));
+  stanzas.forEach(stanza => stanza.verses.forEach(n => { analysis[n - 1].stanza = stanza.number; }));
+
+  // Análisis de rima
+  const rhyme = detectRhymeScheme(verses);
+
+  return {
+    verses: analysis,
+    totalVerses: verses.length,
+    stanzas,
+    averageSyllables: analysis.reduce((sum, a) => sum + a.syllables, 0) / analysis.length,
+    measure: target,
+    rhymeScheme: rhyme.scheme,
+    rhyme: {
+      verses: rhyme.verses,
+      pairs: rhyme.pairs,
+      romance: detectRomance(rhyme, target)
+    },
+    metricalPattern: getMetricalPattern(analysis.map(a => a.syllables))
+  };
+}
+
+module.exports = {
+  STRESS_ADJUSTMENT,
+  syllabifyWord,
+  stressedSyllableIndex,
+  stressType,
+  scanVerse,
+  rhymeEnding,
+  detectRhymeScheme,
+  analyzeMetrics,
+  getMetricalPattern
+};
@@ -0,0 +1,43 @@
+const { dbGet } = require('./db');
+
+// Estados de moderación de conversaciones y comentarios de votos.
+// Los ocultos no se muestran al usuario ni entran en el contexto del chat.
+const MODERATION_STATUSES = ['visible', 'flagged', 'hidden'];
+const BAN_TYPES = ['user', 'ip'];
+
+// Veto vigente para el usuario o la IP, si lo hay
+function findActiveBan(db, { userId, ip }) {
+  return dbGet(db, `
+    SELECT id, type, value, reason, expires_at
+    FROM bans
+    WHERE ((type = 'user' AND value = ?) OR (type = 'ip' AND value = ?))
+      AND (expires_at IS NULL OR expires_at > datetime('now'))
+    LIMIT 1
+  `, [userId || null, ip || null]);
+}
+
+// Middleware para las rutas donde participa el público (chat, votos)
+async function rejectBanned(req, res, next) {
+  const { db } = require('../app_enhanced');
+  const userId = req.body?.userId || req.query.userId;
+
+  try {
+    const ban = await findActiveBan(db, { userId, ip: req.ip });
+    if (ban) {
+      return res.status(403).json({
+        error: 'Tienes el acceso vetado, pisha. Habla con la organización.',
+        expiresAt: ban.expires_at
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  MODERATION_STATUSES,
+  BAN_TYPES,
+  findActiveBan,
+  rejectBanned
+};
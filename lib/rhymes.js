@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  STRESS_ADJUSTMENT,
+  syllabifyWord,
+  stressedSyllableIndex,
+  stressType,
+  rhymeEnding
+} = require('./metrics');
+
+// Buscador de rimas: índice de palabras con su terminación consonante,
+// asonancia, sílabas y acento, para sugerir sustitutas que no descuadren el verso.
+// La lista incluida se indexa una vez; las palabras del diccionario gaditano
+// llegan en cada búsqueda porque los moderadores las pueden cambiar.
+
+const WORDLIST_PATH = path.join(__dirname, '..', 'data', 'palabras_es.txt');
+
+const RHYME_TYPES = ['consonant', 'assonant'];
+const STRESS_ORDER = ['aguda', 'llana', 'esdrújula', 'sobresdrújula'];
+
+// Palabras átonas: artículos, preposiciones, conjunciones, relativos,
+// pronombres pegados al verbo y posesivos antepuestos. Están en la lista por
+// el traductor, pero no llevan acento propio y no sirven pa cerrar un verso.
+const ATONIC_WORDS = new Set([
+  'el', 'la', 'lo', 'los', 'las', 'un', 'una', 'unos', 'unas', 'al', 'del',
+  'a', 'ante', 'con', 'contra', 'de', 'desde', 'en', 'entre', 'hacia', 'hasta', 'para', 'por', 'sin', 'sobre', 'tras',
+  'y', 'e', 'o', 'u', 'ni', 'que', 'pero', 'sino', 'porque', 'pues', 'como', 'cuando', 'donde', 'quien',
+  'me', 'te', 'se', 'nos', 'os', 'le', 'les', 'mi', 'mis', 'tu', 'tus', 'su', 'sus'
+]);
+
+const MAX_SYLLABLES = 8;
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+let index = null;
+
+function readWordlist() {
+  return fs.readFileSync(WORDLIST_PATH, 'utf8')
+    .split('\n')
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean)
+    .flatMap(line => line.split(/\s+/));
+}
+
+// Sílabas, acento y rima de una palabra suelta
+function describeWord(word) {
+  const syllables = syllabifyWord(word);
+  if (syllables.length === 0) return null;
+
+  const stress = stressType(syllables.length, stressedSyllableIndex(word, syllables));
+  const ending = rhymeEnding(word);
+
+  return {
+    word,
+    syllables: syllables.length,
+    breakdown: syllables.join('-'),
+    stress,
+    // Lo que cuenta la palabra al final del verso
+    metricValue: syllables.length + STRESS_ADJUSTMENT[stress],
+    consonant: ending.consonant,
+    assonance: ending.assonance
+  };
+}
+
+function getIndex() {
+  if (!index) {
+    index = [...new Set(readWordlist().map(word => word.toLowerCase()))]
+      .map(describeWord)
+      .filter(Boolean);
+  }
+  return index;
+}
+
+// ¿Está la palabra en la lista incluida? (vocabulario estándar del traductor)
+let listed = null;
+
+function isListedWord(word) {
+  if (!listed) listed = new Set(readWordlist().map(w => w.toLowerCase()));
+  return listed.has(word.toLowerCase());
+}
+
+// Palabras gaditanas ya descritas, para no silabear las mismas en cada búsqueda
+const described = new Map();
+
+function describeDictionaryWords(words) {
+  return words
+    .map(word => word.toLowerCase())
+    .filter(word => /^[a-zñáéíóúüï]+$/.test(word))
+    .map(word => {
+      if (!described.has(word)) described.set(word, describeWord(word));
+      return described.get(word);
+    })
+    .filter(Boolean);
+}
+
+// Valida los parámetros de la petición; devuelve { error } si algo no cuadra
+function parseRhymeQuery(query) {
+  const word = String(query.word || '').trim().toLowerCase();
+  const type = query.type || 'consonant';
+
+  if (!word) {
+    return { error: 'word requerida: ¿con qué palabra quieres rimar, pisha?' };
+  }
+  if (!/^[a-zñáéíóúüï]+$/.test(word)) {
+    return { error: 'word debe ser una sola palabra, sin espacios ni signos' };
+  }
+  if (!RHYME_TYPES.includes(type)) {
+    return { error: `Tipo de rima inválido. Tipos válidos: ${RHYME_TYPES.join(', ')}` };
+  }
+
+  let syllables = null;
+  if (query.syllables !== undefined) {
+    syllables = Number(query.syllables);
+    if (!Number.isInteger(syllables) || syllables < 1 || syllables > MAX_SYLLABLES) {
+      return { error: `syllables debe ser un número entre 1 y ${MAX_SYLLABLES}` };
+    }
+  }
+
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+
+  return { word, type, syllables, limit };
+}
+
+// Palabras que riman con `word`, agrupadas por sílabas y acento. Las
+// gaditanas (`dictionaryWords`) van primero dentro de cada grupo; el resto,
+// por orden alfabético.
+function findRhymes({ word, type, syllables, limit = DEFAULT_LIMIT }, { dictionaryWords = [] } = {}) {
+  const target = describeWord(word);
+  if (!target) {
+    return null;
+  }
+
+  const gaditanas = describeDictionaryWords(dictionaryWords);
+  const gaditanaSet = new Set(gaditanas.map(entry => entry.word));
+  const candidates = [
+    ...gaditanas.map(entry => ({ ...entry, gaditana: true })),
+    ...getIndex().filter(entry => !gaditanaSet.has(entry.word)).map(entry => ({ ...entry, gaditana: false }))
+  ];
+
+  const key = type === 'consonant' ? 'consonant' : 'assonance';
+  const matches = candidates
+    .filter(entry => entry.word !== word && entry[key] === target[key] && !ATONIC_WORDS.has(entry.word))
+    .filter(entry => !syllables || entry.syllables === syllables)
+    // En asonante dejamos fuera las consonantes, que ya salen en la otra búsqueda
+    .filter(entry => type === 'consonant' || entry.consonant !== target.consonant)
+    .sort((a, b) => a.syllables - b.syllables ||
+      STRESS_ORDER.indexOf(a.stress) - STRESS_ORDER.indexOf(b.stress) ||
+      Number(b.gaditana) - Number(a.gaditana) ||
+      a.word.localeCompare(b.word, 'es'));
+
+  const total = matches.length;
+  const groups = [];
+
+  for (const entry of matches.slice(0, limit)) {
+    let group = groups[groups.length - 1];
+    if (!group || group.syllables !== entry.syllables || group.stress !== entry.stress) {
+      group = { syllables: entry.syllables, stress: entry.stress, metricValue: entry.metricValue, words: [] };
+      groups.push(group);
+    }
+    group.words.push({ word: entry.word, breakdown: entry.breakdown, gaditana: entry.gaditana });
+  }
+
+  return {
+    word: target,
+    type,
+    rhyme: type === 'consonant' ? `-${target.consonant}` : target.assonance,
+    total,
+    truncated: total > limit,
+    groups
+  };
+}
+
+module.exports = {
+  RHYME_TYPES,
+  parseRhymeQuery,
+  describeWord,
+  findRhymes,
+  isListedWord
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+// Cifrado de secretos en reposo (API keys en system_config) con AES-256-GCM.
+// La clave maestra sale de CONFIG_MASTER_KEY. Durante una rotación se puede
+// dejar la anterior en CONFIG_MASTER_KEY_PREVIOUS para seguir leyendo.
+//
+// Formato guardado: enc:v1:<keyId>:<iv>:<authTag>:<ciphertext> (base64)
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+function deriveKey(masterKey) {
+  return crypto.createHash('sha256').update(String(masterKey)).digest();
+}
+
+// Identificador corto de la clave para saber con cuál se cifró cada valor
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function getMasterKeys() {
+  return [process.env.CONFIG_MASTER_KEY, process.env.CONFIG_MASTER_KEY_PREVIOUS]
+    .filter(Boolean)
+    .map(deriveKey);
+}
+
+function hasMasterKey() {
+  return Boolean(process.env.CONFIG_MASTER_KEY);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function encryptSecret(plaintext, masterKey = process.env.CONFIG_MASTER_KEY) {
+  if (!masterKey) {
+    throw new Error('CONFIG_MASTER_KEY no configurada: no se pueden guardar secretos');
+  }
+
+  const key = deriveKey(masterKey);
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return PREFIX + [
+    keyId(key),
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+// Valores sin el prefijo se devuelven tal cual (instalaciones antiguas en claro)
+function decryptSecret(value, masterKeys = getMasterKeys()) {
+  if (!isEncrypted(value)) return value;
+
+  const [id, iv, tag, data] = value.slice(PREFIX.length).split(':');
+  const key = masterKeys.find(candidate => keyId(candidate) === id);
+
+  if (!key) {
+    throw new Error(`No hay clave maestra para descifrar el secreto (clave ${id})`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+// "gsk_abc...wxyz" -> "gsk_••••••••wxyz"
+function maskSecret(value) {
+  if (!value) return null;
+  if (value.length <= 8) return '••••••••';
+  return value.slice(0, 4) + '••••••••' + value.slice(-4);
+}
+
+module.exports = {
+  deriveKey,
+  hasMasterKey,
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  maskSecret
+};
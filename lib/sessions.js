@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { dbGet, dbRun } = require('./db');
+
+const MAX_TITLE_LENGTH = 80;
+
+// Título por defecto a partir del primer mensaje de la sesión
+function titleFromMessage(message) {
+  const clean = String(message || '').replace(/\s+/g, ' ').trim();
+  if (!clean) return 'Nueva conversación';
+  return clean.length > MAX_TITLE_LENGTH ? clean.slice(0, MAX_TITLE_LENGTH - 1) + '…' : clean;
+}
+
+async function createSession(db, userId, title) {
+  const id = crypto.randomUUID();
+  const finalTitle = titleFromMessage(title);
+
+  await dbRun(db, 'INSERT INTO sessions (id, userId, title) VALUES (?, ?, ?)', [id, userId, finalTitle]);
+  await dbRun(db, 'UPDATE users SET total_sessions = total_sessions + 1 WHERE userId = ?', [userId]);
+
+  return dbGet(db, 'SELECT * FROM sessions WHERE id = ?', [id]);
+}
+
+// Devuelve la sesión solo si pertenece al usuario
+function getUserSession(db, sessionId, userId) {
+  return dbGet(db, 'SELECT * FROM sessions WHERE id = ? AND userId = ?', [sessionId, userId]);
+}
+
+function touchSession(db, sessionId) {
+  return dbRun(db, 'UPDATE sessions SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [sessionId]);
+}
+
+module.exports = {
+  MAX_TITLE_LENGTH,
+  titleFromMessage,
+  createSession,
+  getUserSession,
+  touchSession
+};
@@ -0,0 +1,307 @@
+const { rhymeEnding, detectRhymeScheme } = require('./metrics');
+
+// Formas estróficas que reconoce el analizador. En `patterns` cada letra es
+// un grupo de rima y "-" un verso suelto; varias opciones si la forma las admite.
+const eight = n => Array(n).fill(8);
+
+const STANZA_FORMS = {
+  redondilla: { name: 'Redondilla', meters: eight(4), patterns: ['abba'], rhyme: 'consonante' },
+  cuarteta: { name: 'Cuarteta', meters: eight(4), patterns: ['abab'], rhyme: 'consonante' },
+  copla: { name: 'Copla', meters: eight(4), patterns: ['-a-a'], rhyme: 'asonante' },
+  quintilla: {
+    name: 'Quintilla',
+    meters: eight(5),
+    // Dos rimas, ningún verso suelto, nunca tres seguidos ni pareado final
+    patterns: ['ababa', 'abbab', 'abaab', 'aabab', 'aabba'],
+    rhyme: 'consonante'
+  },
+  decima: { name: 'Décima espinela', meters: eight(10), patterns: ['abbaaccddc'], rhyme: 'consonante' },
+  seguidilla: { name: 'Seguidilla', meters: [7, 5, 7, 5], patterns: ['-a-a'], rhyme: 'asonante' },
+  seguidilla_compuesta: {
+    name: 'Seguidilla compuesta',
+    meters: [7, 5, 7, 5, 5, 7, 5],
+    patterns: ['-a-ab-b'],
+    rhyme: 'asonante'
+  }
+};
+
+// Formas que abarcan el poema entero
+const POEM_FORMS = {
+  romance: { name: 'Romance' },
+  pasodoble: { name: 'Pasodoble' }
+};
+
+const FORM_KEYS = [...Object.keys(STANZA_FORMS), ...Object.keys(POEM_FORMS)];
+
+// Con más de una desviación por cada cuatro versos ya no decimos que sea esa forma
+const MAX_DEVIATION_RATIO = 0.25;
+
+function deviation(verse, type, message, extra = {}) {
+  return { verse: verse ? verse.number : null, stanza: verse ? verse.stanza : null, type, message, ...extra };
+}
+
+// Versos del análisis con lo necesario para comparar: número, estrofa, medida y rima
+function prepareVerses(analysis) {
+  return analysis.verses.map((verse, index) => ({
+    number: index + 1,
+    stanza: verse.stanza,
+    text: verse.verse,
+    measure: verse.metricSyllables,
+    ending: rhymeEnding(verse.verse)
+  }));
+}
+
+function checkMeasures(verses, meters) {
+  const deviations = [];
+  verses.forEach((verse, i) => {
+    const expected = meters[i];
+    if (expected && verse.measure !== expected) {
+      deviations.push(deviation(verse, 'measure',
+        `Tiene ${verse.measure} sílabas y se esperaban ${expected}`,
+        { expected, found: verse.measure }));
+    }
+  });
+  return deviations;
+}
+
+// Valor más repetido; a igualdad, el del primer verso
+function majority(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = values[0];
+  for (const value of values) {
+    if (counts.get(value) > counts.get(best)) best = value;
+  }
+  return best;
+}
+
+// Compara los versos con un patrón de rima ("abba", "-a-a"...)
+function checkRhymes(verses, pattern, type) {
+  const deviations = [];
+  const key = type === 'consonante' ? 'consonant' : 'assonance';
+  const groups = new Map();
+
+  verses.forEach((verse, i) => {
+    const letter = pattern[i];
+    if (!letter || !verse.ending) return;
+    if (!groups.has(letter)) groups.set(letter, []);
+    groups.get(letter).push(verse);
+  });
+
+  const references = new Map();
+
+  for (const [letter, members] of groups) {
+    if (letter === '-' || members.length < 2) continue;
+
+    const reference = majority(members.map(v => v.ending[key]));
+    const model = members.find(v => v.ending[key] === reference);
+
+    const repeated = [...references.entries()].find(([, other]) => other === reference);
+    references.set(letter, reference);
+
+    for (const verse of members) {
+      if (repeated) {
+        deviations.push(deviation(verse, 'rhyme',
+          `Repite la rima de la "${repeated[0]}": la "${letter}" debería ser otra`));
+      } else if (verse.ending[key] !== reference) {
+        const assonantOnly = key === 'consonant' && verse.ending.assonance === model.ending.assonance;
+        deviations.push(assonantOnly
+          ? deviation(verse, 'rhyme_type',
+            `Rima en asonante con el verso ${model.number}; se esperaba consonante (-${model.ending.ending})`)
+          : deviation(verse, 'rhyme',
+            `No rima con el verso ${model.number} (se esperaba -${model.ending.ending})`));
+      }
+    }
+  }
+
+  // Los versos sueltos no deberían rimar con ningún grupo
+  for (const verse of groups.get('-') || []) {
+    const [letter] = [...references.entries()].find(([, reference]) =>
+      verse.ending.assonance === reference || verse.ending.consonant === reference) || [];
+    if (letter) {
+      deviations.push(deviation(verse, 'rhyme', `Debería quedar suelto y rima con la "${letter}"`));
+    }
+  }
+
+  return deviations;
+}
+
+// Estrofa contra una forma; con varios patrones se queda el que menos falla
+function checkStanza(verses, form) {
+  const deviations = [];
+
+  if (verses.length !== form.meters.length) {
+    deviations.push({
+      verse: null,
+      stanza: verses[0]?.stanza ?? null,
+      type: 'verses',
+      message: `La estrofa tiene ${verses.length} versos y una ${form.name.toLowerCase()} lleva ${form.meters.length}`,
+      expected: form.meters.length,
+      found: verses.length
+    });
+  }
+
+  deviations.push(...checkMeasures(verses, form.meters));
+
+  const rhymeDeviations = form.patterns
+    .map(pattern => checkRhymes(verses, pattern, form.rhyme))
+    .reduce((best, current) => (current.length < best.length ? current : best));
+
+  return deviations.concat(rhymeDeviations);
+}
+
+function groupByStanza(verses) {
+  const stanzas = new Map();
+  verses.forEach(verse => {
+    if (!stanzas.has(verse.stanza)) stanzas.set(verse.stanza, []);
+    stanzas.get(verse.stanza).push(verse);
+  });
+  return [...stanzas.values()];
+}
+
+// Romance: todos los versos de la misma medida, pares en asonante y impares sueltos
+function checkRomance(verses, measure) {
+  const meter = measure || 8;
+  const pattern = verses.map((_, i) => (i % 2 === 1 ? 'a' : '-')).join('');
+
+  return checkMeasures(verses, verses.map(() => meter))
+    .concat(checkRhymes(verses, pattern, 'asonante'));
+}
+
+// Pasodoble de comparsa: primera y segunda parte con la misma música (mismos
+// versos, misma medida verso a verso y misma rima) y un estribillo al final.
+// El estribillo es la estrofa rotulada como tal o, sin rótulo, la última.
+function checkPasodoble(verses, stanzas) {
+  const deviations = [];
+  const blocks = groupByStanza(verses);
+
+  let chorusIndex = stanzas.findIndex(stanza => stanza.label === 'estribillo');
+  if (chorusIndex === -1 && blocks.length >= 3) chorusIndex = blocks.length - 1;
+
+  const parts = blocks.filter((_, index) => index !== chorusIndex);
+
+  if (chorusIndex === -1) {
+    deviations.push(deviation(null, 'structure', 'Falta el estribillo'));
+  }
+  if (parts.length < 2) {
+    deviations.push(deviation(null, 'structure',
+      'Un pasodoble lleva primera y segunda parte con la misma música'));
+    return deviations;
+  }
+
+  const [first, ...rest] = parts;
+  const firstScheme = detectRhymeScheme(first.map(v => v.text)).scheme.toLowerCase();
+
+  for (const part of rest) {
+    if (part.length !== first.length) {
+      deviations.push({
+        verse: null,
+        stanza: part[0].stanza,
+        type: 'verses',
+        message: `Esta parte tiene ${part.length} versos y la primera ${first.length}`,
+        expected: first.length,
+        found: part.length
+      });
+    }
+
+    part.forEach((verse, i) => {
+      const model = first[i];
+      if (model && verse.measure !== model.measure) {
+        deviations.push(deviation(verse, 'measure',
+          `Tiene ${verse.measure} sílabas y la música pide ${model.measure}, como el verso ${model.number}`,
+          { expected: model.measure, found: verse.measure }));
+      }
+    });
+
+    // Las parejas que riman en la primera parte tienen que rimar aquí también
+    const scheme = detectRhymeScheme(part.map(v => v.text)).scheme.toLowerCase();
+    for (let j = 1; j < Math.min(part.length, first.length); j++) {
+      const letter = firstScheme[j];
+      if (letter === '-') continue;
+      const i = firstScheme.indexOf(letter);
+      if (i < j && (scheme[j] === '-' || scheme[j] !== scheme[i])) {
+        deviations.push(deviation(part[j], 'rhyme',
+          `En la primera parte el verso ${first[j].number} rima con el ${first[i].number}; aquí debería rimar con el ${part[i].number}`));
+      }
+    }
+  }
+
+  return deviations;
+}
+
+function evaluateForm(key, verses, analysis) {
+  if (key === 'romance') {
+    return checkRomance(verses, analysis.measure);
+  }
+  if (key === 'pasodoble') {
+    return checkPasodoble(verses, analysis.stanzas);
+  }
+  return groupByStanza(verses).flatMap(stanza => checkStanza(stanza, STANZA_FORMS[key]));
+}
+
+function formName(key, analysis) {
+  if (key === 'romance' && analysis.rhyme?.romance) {
+    const type = analysis.rhyme.romance.type;
+    return type[0].toUpperCase() + type.slice(1);
+  }
+  return (STANZA_FORMS[key] || POEM_FORMS[key]).name;
+}
+
+// Candidatas razonables para el poema: las estrofas deben tener más o menos
+// los versos de la forma; romance y pasodoble según su estructura
+function candidateForms(verses, analysis) {
+  const lengths = groupByStanza(verses).map(stanza => stanza.length);
+
+  const stanzaForms = Object.entries(STANZA_FORMS)
+    .filter(([, form]) => lengths.every(length => Math.abs(length - form.meters.length) <= 1))
+    .map(([key]) => key);
+
+  const poemForms = [];
+  if (verses.length >= 4) poemForms.push('romance');
+  if (analysis.stanzas.length >= 2) poemForms.push('pasodoble');
+
+  return stanzaForms.concat(poemForms);
+}
+
+// Forma del poema: la pedida en `form` o la que mejor encaja. Devuelve las
+// desviaciones verso a verso respecto a esa forma.
+function analyzeForm(analysis, { form } = {}) {
+  const verses = prepareVerses(analysis);
+  if (verses.length === 0) return null;
+
+  if (form) {
+    const deviations = evaluateForm(form, verses, analysis);
+    return {
+      key: form,
+      name: formName(form, analysis),
+      requested: true,
+      matches: deviations.length === 0,
+      deviations
+    };
+  }
+
+  let best = null;
+  for (const key of candidateForms(verses, analysis)) {
+    const deviations = evaluateForm(key, verses, analysis);
+    if (!best || deviations.length < best.deviations.length) {
+      best = { key, deviations };
+    }
+  }
+
+  if (!best || best.deviations.length / verses.length > MAX_DEVIATION_RATIO) return null;
+
+  return {
+    key: best.key,
+    name: formName(best.key, analysis),
+    requested: false,
+    matches: best.deviations.length === 0,
+    deviations: best.deviations
+  };
+}
+
+module.exports = {
+  STANZA_FORMS,
+  POEM_FORMS,
+  FORM_KEYS,
+  analyzeForm
+};
@@ -0,0 +1,171 @@
+const { dbAll } = require('./db');
+
+// Series temporales para el panel. Las fechas de SQLite (CURRENT_TIMESTAMP)
+// van en UTC con formato 'YYYY-MM-DD HH:MM:SS', y así trabajamos aquí.
+
+const METRICS = {
+  conversations: { table: 'conversations', column: 'timestamp' },
+  new_users: { table: 'users', column: 'first_seen' },
+  votes: { table: 'votes', column: 'timestamp' },
+  poems: { table: 'poetry_analysis', column: 'timestamp' }
+};
+
+// Desgloses posibles por métrica
+const BREAKDOWNS = {
+  conversations: ['topic', 'sentiment'],
+  votes: ['categoria'],
+  poems: ['sentiment']
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Expresión SQL de cada cubo y rango por defecto si no se indica `from`.
+// Las semanas empiezan en lunes.
+const BUCKETS = {
+  hour: { sql: column => `strftime('%Y-%m-%d %H:00', ${column})`, size: HOUR, defaultRange: 2 * DAY },
+  day: { sql: column => `date(${column})`, size: DAY, defaultRange: 30 * DAY },
+  week: { sql: column => `date(${column}, 'weekday 0', '-6 days')`, size: 7 * DAY, defaultRange: 12 * 7 * DAY }
+};
+
+const MAX_BUCKETS = 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function toSqlDate(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Inicio del cubo que contiene `date`, como Date en UTC
+function bucketStart(date, bucket) {
+  const start = new Date(date);
+  start.setUTCMinutes(0, 0, 0);
+  if (bucket === 'hour') return start;
+
+  start.setUTCHours(0);
+  if (bucket === 'week') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  }
+  return start;
+}
+
+function bucketKey(date, bucket) {
+  const iso = date.toISOString();
+  return bucket === 'hour' ? `${iso.slice(0, 10)} ${iso.slice(11, 13)}:00` : iso.slice(0, 10);
+}
+
+// Todas las claves de cubo entre from y to, para rellenar huecos con ceros
+function bucketKeys(from, to, bucket) {
+  const keys = [];
+  const cursor = bucketStart(from, bucket);
+
+  while (cursor < to) {
+    keys.push(bucketKey(cursor, bucket));
+    if (bucket === 'hour') {
+      cursor.setUTCHours(cursor.getUTCHours() + 1);
+    } else {
+      cursor.setUTCDate(cursor.getUTCDate() + (bucket === 'week' ? 7 : 1));
+    }
+  }
+
+  return keys;
+}
+
+function parseDate(value) {
+  const date = new Date(DATE_ONLY.test(value) ? `${value}T00:00:00Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Valida los parámetros de la petición; devuelve { error } si algo no cuadra.
+// `to` con solo fecha incluye el día entero.
+function parseTimeseriesQuery(query, now = new Date()) {
+  const metric = query.metric || 'conversations';
+  const bucket = query.bucket || 'day';
+  const breakdown = query.breakdown || null;
+
+  if (!METRICS[metric]) {
+    return { error: `Métrica inválida. Métricas válidas: ${Object.keys(METRICS).join(', ')}` };
+  }
+  if (!BUCKETS[bucket]) {
+    return { error: `Cubo inválido. Cubos válidos: ${Object.keys(BUCKETS).join(', ')}` };
+  }
+  if (breakdown && !(BREAKDOWNS[metric] || []).includes(breakdown)) {
+    const valid = BREAKDOWNS[metric] || [];
+    return { error: valid.length > 0
+      ? `Desglose inválido para ${metric}. Válidos: ${valid.join(', ')}`
+      : `La métrica ${metric} no admite desglose` };
+  }
+
+  let to = query.to ? parseDate(query.to) : now;
+  if (!to) {
+    return { error: 'Fecha "to" inválida (usa YYYY-MM-DD o ISO 8601)' };
+  }
+  if (query.to && DATE_ONLY.test(query.to)) {
+    to = new Date(to.getTime() + DAY);
+  }
+
+  const from = query.from ? parseDate(query.from) : new Date(to.getTime() - BUCKETS[bucket].defaultRange);
+  if (!from) {
+    return { error: 'Fecha "from" inválida (usa YYYY-MM-DD o ISO 8601)' };
+  }
+
+  if (from >= to) {
+    return { error: '"from" debe ser anterior a "to"' };
+  }
+
+  if ((to - from) / BUCKETS[bucket].size > MAX_BUCKETS) {
+    return { error: `Demasiados cubos; usa un cubo mayor o un rango menor (máximo ${MAX_BUCKETS})` };
+  }
+  const keys = bucketKeys(from, to, bucket);
+
+  return { metric, bucket, breakdown, from, to, keys };
+}
+
+// Serie de la métrica por cubo y, si se pide, una serie por cada valor del desglose
+async function getTimeseries(db, { metric, bucket, breakdown, from, to, keys }) {
+  const { table, column } = METRICS[metric];
+  const bucketSql = BUCKETS[bucket].sql(column);
+  const groupColumn = breakdown ? `, ${breakdown} as grupo` : '';
+  const groupBy = breakdown ? ', grupo' : '';
+
+  const rows = await dbAll(db, `
+    SELECT ${bucketSql} as bucket${groupColumn}, COUNT(*) as count
+    FROM ${table}
+    WHERE ${column} >= ? AND ${column} < ?
+    GROUP BY bucket${groupBy}
+  `, [toSqlDate(from), toSqlDate(to)]);
+
+  const index = new Map(keys.map((key, i) => [key, i]));
+  const total = keys.map(() => 0);
+  const series = {};
+
+  for (const row of rows) {
+    const i = index.get(row.bucket);
+    if (i === undefined) continue;
+    total[i] += row.count;
+
+    if (breakdown) {
+      const group = row.grupo ?? 'desconocido';
+      if (!series[group]) series[group] = keys.map(() => 0);
+      series[group][i] += row.count;
+    }
+  }
+
+  return {
+    metric,
+    bucket,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    buckets: keys,
+    total,
+    sum: total.reduce((a, b) => a + b, 0),
+    ...(breakdown && { breakdown: { by: breakdown, series } })
+  };
+}
+
+module.exports = {
+  METRICS,
+  BREAKDOWNS,
+  parseTimeseriesQuery,
+  getTimeseries
+};
@@ -0,0 +1,258 @@
+const { isListedWord } = require('./rhymes');
+
+// Traductor castellano ↔ gaditano. Trabaja palabra a palabra (nunca dentro de
+// otra: "admira" no se toca por "mira") y devuelve el texto con la lista de
+// cambios y su posición en el original.
+//
+// Hacia el gaditano: cambios de léxico (tabla fija y sinónimos del diccionario),
+// la d que se cae entre vocales (-ado, -ada, -ido, -ida) y la s aspirada
+// (final o antes de consonante). Hacia el estándar se deshace lo que se puede
+// deshacer sin adivinar: lo dudoso solo se cambia si da una palabra conocida.
+
+const DIRECTIONS = ['gaditano', 'estandar'];
+const MAX_TEXT_LENGTH = 5000;
+
+// [estándar, gaditano, ¿se deshace al normalizar?]. Lo que en castellano
+// también existe ("mía", "pare") no se deshace.
+const LEXICON = [
+  ['para', 'pa', true],
+  ['nada', 'ná', true],
+  ['todo', 'to', true],
+  ['toda', 'toa', true],
+  ['todos', 'tos', false],
+  ['todas', 'toas', true],
+  ['muy', 'mu', true],
+  ['madre', 'mare', true],
+  ['padre', 'pare', false],
+  ['mira', 'mía', false],
+  ['pescadito', 'pescaíto', true],
+  ['cádiz', 'cai', true]
+];
+
+// Solo se entienden al normalizar; al pasar a gaditano no se meten
+const STANDARD_ONLY = [
+  ['chiquillo', 'illo'],
+  ['chiquillo', 'quillo'],
+  ['el', 'er'],
+  ['más', 'má'],
+  ['cada', 'cá'],
+  ['usted', 'usté']
+];
+
+const CONSONANT = '[bcdfgjklmnñpqrtvwxz]';
+const ASPIRATED_S = new RegExp(`s(?=${CONSONANT})`, 'g');
+const RESTORED_S = new RegExp(`(?<=[aeiouáéíóú])h(?=${CONSONANT})`, 'g');
+
+// Terminaciones con d entre vocales: en gaditano "cansao", "pechá", "comío", "salía"
+const DROPPED_D = [
+  [/(?<=.)ado(s?)$/, 'ao$1'],
+  [/(?<=.)ada(s?)$/, 'á$1'],
+  [/(?<=.)ido(s?)$/, 'ío$1'],
+  [/(?<=.)ida(s?)$/, 'ía$1']
+];
+
+const UNACCENTED = { á: 'a', é: 'e', í: 'i', ó: 'o', ú: 'u' };
+
+// Palabras del texto con su posición (índices de string de JS, `end` exclusivo)
+function tokenize(text) {
+  return [...text.matchAll(/\p{L}+/gu)].map(match => ({
+    text: match[0],
+    lower: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+// Copia las mayúsculas del original: "PARA" → "PA", "Cádiz" → "Cai"
+function matchCase(original, replacement) {
+  if (original.length > 1 && original === original.toUpperCase()) return replacement.toUpperCase();
+  if (original[0] !== original[0].toLowerCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+  return replacement;
+}
+
+// Sustituciones de léxico en la dirección pedida: [[palabras de origen], destino, regla].
+// Las del diccionario salen de los sinónimos (castellano) de cada palabra gaditana.
+function buildSwaps(to, entries) {
+  const swaps = [];
+
+  for (const entry of entries) {
+    if (entry.kind !== 'word' || !entry.synonyms || entry.synonyms.length === 0) continue;
+    const term = entry.term.toLowerCase();
+    if (to === 'gaditano') {
+      entry.synonyms.forEach(synonym => swaps.push([synonym.toLowerCase().split(/\s+/), term, 'dictionary']));
+    } else {
+      swaps.push([[term], entry.synonyms[0].toLowerCase(), 'dictionary']);
+    }
+  }
+
+  for (const [standard, gaditano, reversible] of LEXICON) {
+    if (to === 'gaditano') swaps.push([[standard], gaditano, 'lexicon']);
+    else if (reversible) swaps.push([[gaditano], standard, 'lexicon']);
+  }
+  if (to === 'estandar') {
+    STANDARD_ONLY.forEach(([standard, gaditano]) => swaps.push([[gaditano], standard, 'lexicon']));
+  }
+
+  // Las de más palabras primero; a igualdad, manda el diccionario (va antes)
+  return swaps
+    .map((swap, order) => ({ swap, order }))
+    .sort((a, b) => b.swap[0].length - a.swap[0].length || a.order - b.order)
+    .map(({ swap }) => swap);
+}
+
+// Sustitución que empieza en el token `i`; las palabras tienen que ir
+// seguidas, separadas solo por espacios
+function findSwap(text, tokens, i, swaps) {
+  return swaps.find(([words]) => words.every((word, offset) => {
+    const token = tokens[i + offset];
+    if (!token || token.lower !== word) return false;
+    return offset === 0 || /^\s+$/.test(text.slice(tokens[i + offset - 1].end, token.start));
+  }));
+}
+
+// Reglas fonéticas hacia el gaditano de una palabra en minúsculas
+function gaditanoWord(word) {
+  const rules = [];
+  let result = word;
+
+  // Con tilde en otra sílaba el acento no va en la terminación ("rápido", "cándida")
+  if (!/[áéíóú]/.test(result)) {
+    for (const [pattern, replacement] of DROPPED_D) {
+      if (pattern.test(result)) {
+        result = result.replace(pattern, replacement);
+        rules.push('intervocalic_d');
+        break;
+      }
+    }
+  }
+
+  const aspirated = result.replace(ASPIRATED_S, 'h').replace(/s$/, '');
+  if (aspirated !== result && aspirated.length > 0) {
+    result = aspirated;
+    rules.push('s_aspiration');
+  }
+
+  return { word: result, rules };
+}
+
+// Candidatas a palabra estándar para una gaditana con la s o la d comidas: [palabra, regla]
+function standardCandidates(word) {
+  const candidates = [];
+  const last = word[word.length - 1];
+
+  if (/ío$/.test(word)) candidates.push([word.replace(/ío$/, 'ido'), 'restore_d']);
+  if (/ía$/.test(word)) candidates.push([word.replace(/ía$/, 'ida'), 'restore_d']);
+  if (/á$/.test(word)) candidates.push([word.replace(/á$/, 'ada'), 'restore_d']);
+  if (UNACCENTED[last]) {
+    candidates.push([`${word}s`, 'restore_s']);
+    candidates.push([`${word.slice(0, -1)}${UNACCENTED[last]}d`, 'restore_d']);
+  } else if (/[aeiou]$/.test(word) && word.length > 2) {
+    candidates.push([`${word}s`, 'restore_s']);
+  }
+
+  return candidates;
+}
+
+// Reglas fonéticas hacia el estándar de una palabra en minúsculas
+function standardWord(word, isKnown) {
+  if (isKnown(word)) return { word, rules: [] };
+
+  const rules = [];
+  let result = word;
+
+  // Inequívocas: la h aspirada antes de consonante ("ehto") y el -ao de los participios
+  const withS = result.replace(RESTORED_S, 's');
+  if (withS !== result) {
+    result = withS;
+    rules.push('restore_s');
+  }
+  if (/(?<=.)aos?$/.test(result) && !isKnown(result)) {
+    result = result.replace(/aos?$/, match => (match.endsWith('s') ? 'ados' : 'ado'));
+    rules.push('restore_d');
+  }
+  if (isKnown(result)) return { word: result, rules };
+
+  // Dudosas: solo si dan una palabra conocida
+  const candidate = standardCandidates(result).find(([candidateWord]) => isKnown(candidateWord));
+  if (candidate) {
+    result = candidate[0];
+    if (!rules.includes(candidate[1])) rules.push(candidate[1]);
+  }
+
+  return { word: result, rules };
+}
+
+// Traduce `text` hacia `to` ('gaditano' o 'estandar') con las entradas
+// publicadas del diccionario. Devuelve { text, changes: [{ from, to, start, end, rules }] }.
+function translate(text, { to, entries = [] }) {
+  const swaps = buildSwaps(to, entries);
+  const tokens = tokenize(text);
+  const changes = [];
+
+  // Vocabulario estándar: la lista de palabras, el léxico y los sinónimos del diccionario
+  const known = new Set([
+    ...LEXICON.map(([standard]) => standard),
+    ...STANDARD_ONLY.map(([standard]) => standard),
+    ...entries.flatMap(entry => (entry.kind === 'word' ? entry.synonyms || [] : []).map(s => s.toLowerCase()))
+  ]);
+  const isKnown = word => known.has(word) || isListedWord(word);
+
+  let output = '';
+  let position = 0;
+  let i = 0;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    const swap = findSwap(text, tokens, i, swaps);
+    let replacement;
+    let rules;
+    let last = token;
+
+    if (swap) {
+      last = tokens[i + swap[0].length - 1];
+      replacement = swap[1];
+      rules = [swap[2]];
+    } else {
+      ({ word: replacement, rules } = to === 'gaditano' ? gaditanoWord(token.lower) : standardWord(token.lower, isKnown));
+    }
+
+    output += text.slice(position, token.start);
+    if (rules.length > 0 && replacement !== text.slice(token.start, last.end).toLowerCase()) {
+      const from = text.slice(token.start, last.end);
+      const translated = matchCase(token.text, replacement);
+      changes.push({ from, to: translated, start: token.start, end: last.end, rules });
+      output += translated;
+    } else {
+      output += text.slice(token.start, last.end);
+    }
+
+    position = last.end;
+    i += swap ? swap[0].length : 1;
+  }
+
+  output += text.slice(position);
+  return { text: output, changes };
+}
+
+// Valida la petición del traductor; devuelve { error } o { text, to }
+function parseTranslateRequest(body = {}) {
+  const { text, to = 'gaditano' } = body;
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'text requerido: ¿qué quieres que te traduzca, pisha?' };
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { error: `El texto no puede pasar de ${MAX_TEXT_LENGTH} caracteres` };
+  }
+  if (!DIRECTIONS.includes(to)) {
+    return { error: `Dirección inválida. Direcciones válidas: ${DIRECTIONS.join(', ')}` };
+  }
+
+  return { text, to };
+}
+
+module.exports = {
+  DIRECTIONS,
+  translate,
+  parseTranslateRequest
+};
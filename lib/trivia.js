@@ -0,0 +1,466 @@
+const { dbAll, dbGet, dbRun } = require('./db');
+
+// Banco de preguntas de trivia en base de datos. Cada pregunta tiene sus
+// opciones, la correcta (índice desde 0), categoría, dificultad, etiquetas,
+// fuente y explicación. Se importa y exporta en JSON o CSV.
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DEFAULT_CATEGORY = 'carnaval';
+const DEFAULT_DIFFICULTY = 'medium';
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const MAX_QUESTION_LENGTH = 500;
+const MAX_OPTION_LENGTH = 200;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 40;
+const MAX_SOURCE_LENGTH = 300;
+const MAX_EXPLANATION_LENGTH = 1000;
+const MAX_IMPORT_ROWS = 2000;
+
+const CATEGORY_PATTERN = /^[a-z0-9_-]{2,30}$/;
+
+// Columnas del CSV; opciones y etiquetas van separadas por "|"
+const CSV_COLUMNS = ['question', 'options', 'correct_index', 'category', 'difficulty', 'tags', 'source', 'explanation', 'active'];
+const LIST_SEPARATOR = '|';
+
+const EDITABLE_FIELDS = ['question', 'options', 'correct_index', 'category', 'difficulty', 'tags', 'source', 'explanation', 'active'];
+
+// Las preguntas que venían fijas en /api/ai/trivia y /api/trivia
+const TRIVIA_SEED = [
+  {
+    question: '¿En qué ciudad se celebra el Carnaval más famoso de España?',
+    options: ['Sevilla', 'Cádiz', 'Madrid', 'Barcelona'],
+    correct_index: 1,
+    category: 'carnaval',
+    difficulty: 'easy',
+    explanation: '¡En Cádiz, pisha! La tacita de plata tiene el carnaval más famoso de España.'
+  },
+  {
+    question: '¿Cómo se llama el teatro donde se celebra el COAC?',
+    options: ['Teatro Real', 'Teatro Falla', 'Teatro Calderón', 'Teatro Principal'],
+    correct_index: 1,
+    category: 'carnaval',
+    difficulty: 'easy',
+    tags: ['coac', 'falla'],
+    explanation: '¡El Teatro Falla! Donde se corona a los mejores del Carnaval gaditano.'
+  },
+  {
+    question: '¿Cuántas modalidades compiten en el COAC?',
+    options: ['3', '4', '5', '6'],
+    correct_index: 1,
+    category: 'carnaval',
+    difficulty: 'medium',
+    tags: ['coac'],
+    explanation: '¡Son 4! Chirigotas, comparsas, coros y cuartetos. ¡Olé!'
+  },
+  {
+    question: '¿Qué agrupación escribió \'Los Millonarios\'?',
+    options: ['Chirigota', 'Comparsa', 'Coro', 'Cuarteto'],
+    correct_index: 0,
+    category: 'carnaval',
+    difficulty: 'medium',
+    explanation: '¡Una chirigota legendaria! Los Millonarios marcaron época en el Carnaval.'
+  },
+  {
+    question: '¿En qué año ganaron Los Millonarios su primer COAC?',
+    options: ['1979', '1980', '1981', '1978'],
+    correct_index: 0,
+    category: 'carnaval',
+    difficulty: 'hard',
+    tags: ['coac'],
+    explanation: 'Los Millonarios ganaron en 1979 con Paco Alba'
+  },
+  {
+    question: '¿En qué año se creó oficialmente el COAC?',
+    options: ['1980', '1985', '1982', '1979'],
+    correct_index: 2,
+    category: 'carnaval',
+    difficulty: 'hard',
+    tags: ['coac'],
+    explanation: '¡En 1982! Aunque el Carnaval gaditano es mucho más antiguo.'
+  },
+  {
+    question: '¿Cómo se conoce popularmente a Cádiz?',
+    options: ['La Perla del Sur', 'La Tacita de Plata', 'La Joya Andaluza', 'La Bella Gaditana'],
+    correct_index: 1,
+    category: 'cadiz',
+    difficulty: 'easy',
+    explanation: '¡La Tacita de Plata! Por su forma y belleza únicas.'
+  },
+  {
+    question: '¿Cuál es el estadio del Cádiz CF?',
+    options: ['Ramón de Carranza', 'Nuevo Mirandilla', 'La Rosaleda', 'El Arcángel'],
+    correct_index: 1,
+    category: 'cadiz',
+    difficulty: 'medium',
+    tags: ['cadiz-cf'],
+    explanation: '¡El Nuevo Mirandilla! Donde juega nuestro querido Cádiz CF.'
+  },
+  {
+    question: '¿En qué año ascendió el Cádiz CF a Primera División por última vez?',
+    options: ['2019', '2020', '2021', '2018'],
+    correct_index: 1,
+    category: 'cadiz',
+    difficulty: 'hard',
+    tags: ['cadiz-cf'],
+    explanation: '¡En 2020! Un ascenso histórico que emocionó a toda la ciudad.'
+  }
+];
+
+function isOptionalText(value, max) {
+  return value === undefined || value === null || (typeof value === 'string' && value.length <= max);
+}
+
+// Valida los campos de una pregunta. Con `partial` solo los que vengan
+// (`current` es la pregunta que se edita, ya formateada).
+// Devuelve { error } o { values } listos para la base de datos.
+function validateQuestion(body = {}, { partial = false, current = null } = {}) {
+  const values = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) values[field] = body[field];
+  }
+
+  if (!partial || values.question !== undefined) {
+    const question = typeof values.question === 'string' ? values.question.trim() : '';
+    if (question.length < 5 || question.length > MAX_QUESTION_LENGTH) {
+      return { error: `La pregunta debe tener entre 5 y ${MAX_QUESTION_LENGTH} caracteres` };
+    }
+    values.question = question;
+  }
+
+  let options = current ? current.options : [];
+  if (!partial || values.options !== undefined) {
+    if (!Array.isArray(values.options) || values.options.length < MIN_OPTIONS || values.options.length > MAX_OPTIONS) {
+      return { error: `options debe ser una lista de ${MIN_OPTIONS} a ${MAX_OPTIONS} respuestas` };
+    }
+    options = values.options.map(option => (typeof option === 'string' ? option.trim() : ''));
+    if (options.some(option => !option || option.length > MAX_OPTION_LENGTH)) {
+      return { error: `Cada opción debe tener entre 1 y ${MAX_OPTION_LENGTH} caracteres` };
+    }
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+      return { error: 'Hay opciones repetidas' };
+    }
+    values.options = JSON.stringify(options);
+  }
+
+  // Si cambian las opciones hay que volver a decir cuál es la buena
+  if (partial && values.options !== undefined && values.correct_index === undefined) {
+    return { error: 'Al cambiar las opciones indica también correct_index' };
+  }
+  if (!partial || values.correct_index !== undefined) {
+    const correct = values.correct_index !== undefined ? Number(values.correct_index) : current && current.correct_index;
+    if (!Number.isInteger(correct) || correct < 0 || correct >= options.length) {
+      return { error: `correct_index debe ser un número entre 0 y ${options.length - 1}` };
+    }
+    values.correct_index = correct;
+  }
+
+  if (!partial || values.category !== undefined) {
+    const category = values.category === undefined || values.category === null
+      ? DEFAULT_CATEGORY
+      : String(values.category).trim().toLowerCase();
+    if (!CATEGORY_PATTERN.test(category)) {
+      return { error: 'La categoría debe tener de 2 a 30 letras minúsculas, números, "-" o "_"' };
+    }
+    values.category = category;
+  }
+
+  if (!partial || values.difficulty !== undefined) {
+    values.difficulty = values.difficulty ?? DEFAULT_DIFFICULTY;
+    if (!DIFFICULTIES.includes(values.difficulty)) {
+      return { error: `Dificultad inválida. Dificultades válidas: ${DIFFICULTIES.join(', ')}` };
+    }
+  }
+
+  if (values.tags !== undefined && values.tags !== null) {
+    if (!Array.isArray(values.tags) || values.tags.length > MAX_TAGS ||
+      values.tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.length > MAX_TAG_LENGTH)) {
+      return { error: `tags debe ser una lista de hasta ${MAX_TAGS} etiquetas de como mucho ${MAX_TAG_LENGTH} caracteres` };
+    }
+    values.tags = JSON.stringify([...new Set(values.tags.map(tag => tag.trim().toLowerCase()))]);
+  }
+
+  if (!isOptionalText(values.source, MAX_SOURCE_LENGTH)) {
+    return { error: `La fuente debe ser texto de como mucho ${MAX_SOURCE_LENGTH} caracteres` };
+  }
+  if (!isOptionalText(values.explanation, MAX_EXPLANATION_LENGTH)) {
+    return { error: `La explicación debe ser texto de como mucho ${MAX_EXPLANATION_LENGTH} caracteres` };
+  }
+
+  if (values.active !== undefined) {
+    if (typeof values.active !== 'boolean') {
+      return { error: 'active debe ser true o false' };
+    }
+    values.active = values.active ? 1 : 0;
+  }
+
+  if (partial && Object.keys(values).length === 0) {
+    return { error: 'Nada que cambiar' };
+  }
+
+  return { values };
+}
+
+// Fila de la base de datos con las listas ya parseadas
+function formatQuestion(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    options: JSON.parse(row.options),
+    tags: row.tags ? JSON.parse(row.tags) : [],
+    active: Boolean(row.active)
+  };
+}
+
+// Ya hay una pregunta con el mismo enunciado (sin mirar mayúsculas)
+function findDuplicateQuestion(db, question, excludeId = null) {
+  return dbGet(db, `
+    SELECT id FROM trivia_questions
+    WHERE question = ? COLLATE NOCASE AND id IS NOT ?
+    LIMIT 1
+  `, [question, excludeId]);
+}
+
+const INSERT_COLUMNS = '(question, options, correct_index, category, difficulty, tags, source, explanation, active, created_by)';
+const INSERT_ROW = '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
+
+function insertParams(values, createdBy) {
+  return [
+    values.question, values.options, values.correct_index, values.category, values.difficulty,
+    values.tags || null, values.source || null, values.explanation || null,
+    values.active === undefined ? 1 : values.active, createdBy
+  ];
+}
+
+async function insertQuestion(db, values, createdBy) {
+  const { lastID } = await dbRun(db, `
+    INSERT INTO trivia_questions ${INSERT_COLUMNS}
+    VALUES ${INSERT_ROW}
+  `, insertParams(values, createdBy));
+  return lastID;
+}
+
+// Todas en una sola sentencia, que en SQLite ya es atómica: sin BEGIN/COMMIT
+// en la conexión compartida no se mezclan otras escrituras de la app.
+// MAX_IMPORT_ROWS × 10 columnas cabe en el límite de parámetros de SQLite (32766).
+function insertQuestions(db, list, createdBy) {
+  return dbRun(db, `
+    INSERT INTO trivia_questions ${INSERT_COLUMNS}
+    VALUES ${list.map(() => INSERT_ROW).join(', ')}
+  `, list.flatMap(values => insertParams(values, createdBy)));
+}
+
+// Primera carga: las preguntas que venían fijas en el código
+async function seedTrivia(db) {
+  const { total } = await dbGet(db, 'SELECT COUNT(*) as total FROM trivia_questions');
+  if (total > 0) return;
+
+  for (const question of TRIVIA_SEED) {
+    const { values } = validateQuestion({ ...question, source: 'Banco inicial del Carnavalito' });
+    await insertQuestion(db, values, 'sistema');
+  }
+
+  console.log(`🧠 Trivia cargada con ${TRIVIA_SEED.length} preguntas`);
+}
+
+// Varias preguntas activas distintas al azar; sin categoría o dificultad vale cualquiera
+function pickRandomQuestions(db, { category, difficulty, count }) {
+  const where = ['active = 1'];
+  const params = [];
+  if (category) {
+    where.push('category = ?');
+    params.push(category);
+  }
+  if (difficulty) {
+    where.push('difficulty = ?');
+    params.push(difficulty);
+  }
+
+  return dbAll(db, `
+    SELECT * FROM trivia_questions
+    WHERE ${where.join(' AND ')}
+    ORDER BY RANDOM()
+    LIMIT ?
+  `, [...params, count]).then(rows => rows.map(formatQuestion));
+}
+
+// ==================== CSV ====================
+
+// Campos de un CSV (RFC 4180: comillas dobles, "" dentro de comillas y saltos de línea entrecomillados)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim()));
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function splitList(value) {
+  return value ? value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean) : undefined;
+}
+
+// CSV con cabecera → objetos de pregunta (sin validar). Devuelve { error } o { questions }.
+function questionsFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return { error: 'El CSV está vacío' };
+  }
+
+  const columns = header.map(column => column.trim().toLowerCase());
+  const unknown = columns.filter(column => !CSV_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    return { error: `Columnas desconocidas: ${unknown.join(', ')}. Columnas válidas: ${CSV_COLUMNS.join(', ')}` };
+  }
+
+  const questions = rows.map(row => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = (row[index] || '').trim();
+    });
+
+    return {
+      question: record.question,
+      options: splitList(record.options),
+      correct_index: record.correct_index === '' ? undefined : Number(record.correct_index),
+      category: record.category || undefined,
+      difficulty: record.difficulty || undefined,
+      tags: splitList(record.tags),
+      source: record.source || undefined,
+      explanation: record.explanation || undefined,
+      active: record.active ? !['0', 'false', 'no'].includes(record.active.toLowerCase()) : undefined
+    };
+  });
+
+  return { questions };
+}
+
+// Preguntas ya formateadas → CSV con cabecera
+function questionsToCsv(questions) {
+  const lines = questions.map(q => [
+    q.question,
+    q.options.join(LIST_SEPARATOR),
+    q.correct_index,
+    q.category,
+    q.difficulty,
+    q.tags.join(LIST_SEPARATOR),
+    q.source,
+    q.explanation,
+    q.active ? 1 : 0
+  ].map(csvField).join(','));
+
+  return [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+// Campos que se exportan (lo mismo que acepta la importación)
+function toExportShape(question) {
+  const shape = {};
+  for (const field of EDITABLE_FIELDS) shape[field] = question[field];
+  return shape;
+}
+
+// Importa preguntas ya leídas del JSON o del CSV. Si alguna no es válida no se
+// importa ninguna; las repetidas (en la base de datos o en el propio fichero) se saltan.
+// Devuelve { errors } o { imported, skipped }.
+async function importQuestions(db, questions, { createdBy, dryRun = false }) {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return { errors: [{ row: null, error: 'No hay preguntas que importar' }] };
+  }
+  if (questions.length > MAX_IMPORT_ROWS) {
+    return { errors: [{ row: null, error: `Como mucho ${MAX_IMPORT_ROWS} preguntas por importación` }] };
+  }
+
+  const errors = [];
+  const valid = [];
+  questions.forEach((question, index) => {
+    const { error, values } = validateQuestion(question || {});
+    if (error) errors.push({ row: index + 1, error });
+    else valid.push({ row: index + 1, values });
+  });
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const skipped = [];
+  const seen = new Set();
+  const pending = [];
+  for (const { row, values } of valid) {
+    const key = values.question.toLowerCase();
+    if (seen.has(key)) {
+      skipped.push({ row, question: values.question, reason: 'Repetida en el fichero' });
+      continue;
+    }
+    seen.add(key);
+
+    const duplicate = await findDuplicateQuestion(db, values.question);
+    if (duplicate) {
+      skipped.push({ row, question: values.question, reason: `Ya existe (id ${duplicate.id})` });
+      continue;
+    }
+    pending.push(values);
+  }
+
+  if (!dryRun && pending.length > 0) {
+    await insertQuestions(db, pending, createdBy);
+  }
+
+  return { imported: pending.length, skipped };
+}
+
+module.exports = {
+  DIFFICULTIES,
+  DEFAULT_CATEGORY,
+  DEFAULT_DIFFICULTY,
+  CSV_COLUMNS,
+  validateQuestion,
+  formatQuestion,
+  findDuplicateQuestion,
+  insertQuestion,
+  seedTrivia,
+  pickRandomQuestions,
+  questionsFromCsv,
+  questionsToCsv,
+  toExportShape,
+  importQuestions
+};
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { dbAll, dbGet, dbRun } = require('./db');
+const { signPublicToken, verifyPublicToken } = require('./auth');
+const { DEFAULT_CATEGORY, DEFAULT_DIFFICULTY } = require('./trivia');
+const { estimateSkill, pickQuestionForUser, countPool } = require('./trivia_skill');
+
+// Rondas de trivia corregidas en el servidor. La pregunta sale sin la
+// respuesta y con un roundId firmado; la respuesta se manda con ese id y se
+// puntúa por dificultad, rapidez y racha. Todo queda en trivia_rounds, que
+// es de donde salen las clasificaciones.
+
+const TOKEN_PURPOSE = 'trivia_round';
+const TOKEN_EXPIRY = '10m';
+
+// Tiempo para contestar, más un margen por la latencia
+const ROUND_SECONDS = 30;
+const GRACE_MS = 2000;
+
+const BASE_POINTS = { easy: 100, medium: 200, hard: 300 };
+// Hasta la mitad de la base por rapidez y un 10% por cada acierto seguido (máximo 5)
+const TIME_BONUS_RATIO = 0.5;
+const STREAK_BONUS_RATIO = 0.1;
+const MAX_STREAK_STEPS = 5;
+
+// Inicio de cada periodo en SQL (UTC); la semana empieza el lunes
+const PERIODS = {
+  daily: "datetime('now', 'start of day')",
+  weekly: "datetime('now', 'start of day', '-6 days', 'weekday 1')",
+  all: null
+};
+
+const DEFAULT_LEADERBOARD_SIZE = 10;
+const MAX_LEADERBOARD_SIZE = 100;
+
+// Puntos de una respuesta acertada; `streak` es la racha contando esta y
+// `limitMs` el tiempo que había para contestar
+function scoreAnswer({ difficulty, timeMs, streak, limitMs = ROUND_SECONDS * 1000 }) {
+  const base = BASE_POINTS[difficulty] || BASE_POINTS[DEFAULT_DIFFICULTY];
+  const remaining = Math.max(0, 1 - timeMs / limitMs);
+  const timeBonus = Math.round(base * TIME_BONUS_RATIO * remaining);
+  const streakBonus = Math.round(base * STREAK_BONUS_RATIO * Math.min(streak - 1, MAX_STREAK_STEPS));
+
+  return { base, timeBonus, streakBonus, total: base + timeBonus + streakBonus };
+}
+
+// Racha actual del usuario: la de su última ronda cerrada
+async function currentStreak(db, userId) {
+  const last = await dbGet(db, `
+    SELECT streak FROM trivia_rounds
+    WHERE userId = ? AND answered_at IS NOT NULL
+    ORDER BY answered_at DESC, issued_at_ms DESC
+    LIMIT 1
+  `, [userId]);
+  return last ? last.streak : 0;
+}
+
+// Nueva ronda para el usuario. Sin `difficulty` la dificultad se adapta a su
+// nivel en la categoría. Las que dejó sin contestar cuentan como saltadas
+// (pierden la racha) para que no se pueda pedir pregunta hasta que salga una
+// que se sepa. Devuelve null si no hay preguntas.
+async function startRound(db, { userId, category = DEFAULT_CATEGORY, difficulty = null }) {
+  let skill = await estimateSkill(db, userId, category);
+  let question = await pickQuestionForUser(db, { userId, category, difficulty, level: difficulty || skill.level });
+
+  // Si no hay preguntas de esa categoría (y dificultad), tiramos de carnaval a su nivel
+  if (!question && (category !== DEFAULT_CATEGORY || difficulty)) {
+    category = DEFAULT_CATEGORY;
+    difficulty = null;
+    skill = await estimateSkill(db, userId, category);
+    question = await pickQuestionForUser(db, { userId, category, level: skill.level });
+  }
+  if (!question) return null;
+
+  await dbRun(db, `
+    UPDATE trivia_rounds
+    SET answered_at = CURRENT_TIMESTAMP, outcome = 'skipped', correct = 0, points = 0, streak = 0
+    WHERE userId = ? AND answered_at IS NULL
+  `, [userId]);
+
+  const id = crypto.randomUUID();
+  const issuedAt = Date.now();
+  // `level` es el nivel al que se pidió, aunque la pregunta sea de otra dificultad
+  await dbRun(db, `
+    INSERT INTO trivia_rounds (id, userId, question_id, category, difficulty, level, correct_index, issued_at_ms)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [id, userId, question.id, question.category, question.difficulty, difficulty || skill.level,
+    question.correct_index, issuedAt]);
+
+  const pool = await countPool(db, { userId, category, difficulty });
+
+  return {
+    roundId: signPublicToken(TOKEN_PURPOSE, { rid: id, uid: userId }, TOKEN_EXPIRY),
+    question,
+    adaptive: !difficulty,
+    skill,
+    pool,
+    timeLimitSeconds: ROUND_SECONDS,
+    expiresAt: new Date(issuedAt + ROUND_SECONDS * 1000).toISOString()
+  };
+}
+
+// Corrige una respuesta. Devuelve { status, error } si no se puede
+// (ronda falsa, de otro usuario o ya contestada) o el resultado.
+async function answerRound(db, { roundId, userId, answer }) {
+  const token = verifyPublicToken(TOKEN_PURPOSE, roundId);
+  if (!token) {
+    return { status: 400, error: 'Ronda inválida o caducada, pisha. Pide otra pregunta.' };
+  }
+  if (token.uid !== userId) {
+    return { status: 403, error: 'Esa ronda no es tuya, miarma' };
+  }
+
+  const round = await dbGet(db, 'SELECT * FROM trivia_rounds WHERE id = ?', [token.rid]);
+  if (!round) {
+    return { status: 404, error: 'Ronda no encontrada' };
+  }
+  if (round.answered_at) {
+    return { status: 409, error: round.outcome === 'skipped'
+      ? 'Esa pregunta ya se dio por saltada al pedir otra'
+      : 'Esa pregunta ya está contestada' };
+  }
+
+  const timeMs = Date.now() - round.issued_at_ms;
+  const timedOut = timeMs > ROUND_SECONDS * 1000 + GRACE_MS;
+  const correct = !timedOut && answer === round.correct_index;
+  const outcome = timedOut ? 'timeout' : (correct ? 'correct' : 'wrong');
+
+  const streak = correct ? (await currentStreak(db, userId)) + 1 : 0;
+  const breakdown = correct
+    ? scoreAnswer({ difficulty: round.difficulty, timeMs, streak })
+    : { base: 0, timeBonus: 0, streakBonus: 0, total: 0 };
+
+  // Solo la primera respuesta cuenta aunque lleguen dos a la vez
+  const { changes } = await dbRun(db, `
+    UPDATE trivia_rounds
+    SET answered_at = CURRENT_TIMESTAMP, answer_index = ?, outcome = ?, correct = ?,
+        time_ms = ?, points = ?, streak = ?
+    WHERE id = ? AND answered_at IS NULL
+  `, [answer, outcome, correct ? 1 : 0, timeMs, breakdown.total, streak, round.id]);
+  if (changes === 0) {
+    return { status: 409, error: 'Esa pregunta ya está contestada' };
+  }
+
+  const question = await dbGet(db, 'SELECT explanation FROM trivia_questions WHERE id = ?', [round.question_id]);
+  const { totalScore } = await dbGet(db,
+    'SELECT COALESCE(SUM(points), 0) as totalScore FROM trivia_rounds WHERE userId = ?',
+    [userId]
+  );
+  const skill = await estimateSkill(db, userId, round.category);
+
+  return {
+    correct,
+    outcome,
+    correctIndex: round.correct_index,
+    explanation: question ? question.explanation : null,
+    points: breakdown.total,
+    breakdown: { base: breakdown.base, timeBonus: breakdown.timeBonus, streakBonus: breakdown.streakBonus },
+    streak,
+    timeMs,
+    totalScore,
+    skill
+  };
+}
+
+// Valida los parámetros de la clasificación; devuelve { error } si algo no cuadra
+function parseLeaderboardQuery(query) {
+  const period = query.period || 'all';
+  if (!Object.prototype.hasOwnProperty.call(PERIODS, period)) {
+    return { error: `Periodo inválido. Periodos válidos: ${Object.keys(PERIODS).join(', ')}` };
+  }
+  const limit = Math.min(MAX_LEADERBOARD_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LEADERBOARD_SIZE));
+  return { period, limit, userId: query.userId || null };
+}
+
+function formatScore(row, position) {
+  return {
+    position,
+    userId: row.userId,
+    score: row.score,
+    correct: row.correct,
+    answered: row.answered,
+    accuracy: Math.round((row.correct / row.answered) * 100) / 100,
+    bestStreak: row.bestStreak
+  };
+}
+
+// Clasificación del periodo: puntos, aciertos, respondidas y mejor racha por
+// usuario; las saltadas no cuentan. A igualdad de puntos va primero quien
+// llegó antes. Con `userId` también devuelve su puesto aunque no esté entre
+// los primeros.
+async function getLeaderboard(db, { period, limit, userId }) {
+  const since = PERIODS[period];
+  const scoresSql = `
+    SELECT userId,
+           SUM(points) as score,
+           SUM(correct) as correct,
+           COUNT(*) as answered,
+           MAX(streak) as bestStreak,
+           MAX(answered_at) as lastAnswer
+    FROM trivia_rounds
+    WHERE outcome IN ('correct', 'wrong', 'timeout') ${since ? `AND answered_at >= ${since}` : ''}
+    GROUP BY userId
+  `;
+
+  const rows = await dbAll(db, `
+    ${scoresSql}
+    ORDER BY score DESC, lastAnswer ASC
+    LIMIT ?
+  `, [limit]);
+
+  const leaderboard = rows.map((row, index) => formatScore(row, index + 1));
+
+  let me = null;
+  if (userId) {
+    const mine = await dbGet(db, `
+      WITH scores AS (${scoresSql})
+      SELECT s.*, (
+        SELECT COUNT(*) FROM scores o
+        WHERE o.score > s.score OR (o.score = s.score AND o.lastAnswer < s.lastAnswer)
+      ) + 1 as position
+      FROM scores s
+      WHERE s.userId = ?
+    `, [userId]);
+    if (mine) me = formatScore(mine, mine.position);
+  }
+
+  return { period, leaderboard, me };
+}
+
+module.exports = {
+  ROUND_SECONDS,
+  scoreAnswer,
+  startRound,
+  answerRound,
+  parseLeaderboardQuery,
+  getLeaderboard
+};
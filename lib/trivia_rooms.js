@@ -0,0 +1,463 @@
+const crypto = require('crypto');
+const { findActiveBan } = require('./moderation');
+const { DIFFICULTIES, pickRandomQuestions } = require('./trivia');
+const { scoreAnswer } = require('./trivia_game');
+
+// Salas de trivia multijugador por socket.io, para que una peña juegue junta
+// en el bar mientras echan el COAC. El anfitrión crea la sala y reparte el
+// código, los jugadores se unen y el servidor manda las preguntas con cuenta
+// atrás, recoge las respuestas al momento y reparte el marcador al cerrar cada
+// ronda. Las salas viven en memoria: si se reinicia el servidor se pierden.
+
+// Sin 0/O ni 1/I, que en la tele del bar se confunden
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+
+const MAX_ROOMS = 200;
+const MAX_PLAYERS = 50;
+const MAX_NAME_LENGTH = 24;
+
+const DEFAULT_ROUNDS = 10;
+const MAX_ROUNDS = 30;
+const DEFAULT_SECONDS = 20;
+const MIN_SECONDS = 5;
+const MAX_SECONDS = 60;
+
+// Lo que se queda el marcador en pantalla antes de la siguiente pregunta
+const RESULTS_PAUSE_MS = 6000;
+// Lo que dura una sala terminada para poder ver el marcador final
+const FINISHED_TTL_MS = 10 * 60 * 1000;
+
+const rooms = new Map();
+
+function channel(code) {
+  return `trivia:${code}`;
+}
+
+function generateCode() {
+  for (;;) {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    if (!rooms.has(code)) return code;
+  }
+}
+
+// Valida la configuración de la sala; devuelve { error } o { values }.
+// Sin categoría ni dificultad valen todas.
+function parseRoomSettings(data = {}) {
+  const category = data.category ? String(data.category).trim().toLowerCase() : null;
+  const difficulty = data.difficulty || null;
+  if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+    return { error: `Dificultad inválida. Dificultades válidas: ${DIFFICULTIES.join(', ')}` };
+  }
+
+  const rounds = data.rounds === undefined ? DEFAULT_ROUNDS : Number(data.rounds);
+  if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS) {
+    return { error: `rounds debe ser un número entre 1 y ${MAX_ROUNDS}` };
+  }
+
+  const seconds = data.seconds === undefined ? DEFAULT_SECONDS : Number(data.seconds);
+  if (!Number.isInteger(seconds) || seconds < MIN_SECONDS || seconds > MAX_SECONDS) {
+    return { error: `seconds debe ser un número entre ${MIN_SECONDS} y ${MAX_SECONDS}` };
+  }
+
+  return { values: { category, difficulty, rounds, seconds } };
+}
+
+function parseName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+    return { error: `El nombre debe tener entre 1 y ${MAX_NAME_LENGTH} caracteres` };
+  }
+  return { name: trimmed };
+}
+
+function playingPlayers(room) {
+  return [...room.players.values()].filter(player => player.playing);
+}
+
+// Marcador ordenado por puntos; a igualdad, por aciertos
+function scoreboard(room) {
+  return playingPlayers(room)
+    .sort((a, b) => b.score - a.score || b.correct - a.correct)
+    .map((player, index) => ({
+      position: index + 1,
+      name: player.name,
+      score: player.score,
+      correct: player.correct,
+      streak: player.streak,
+      connected: player.connected
+    }));
+}
+
+// Lo que ven todos de la sala (sin playerIds, que sirven para volver a entrar)
+function roomState(room) {
+  return {
+    code: room.code,
+    state: room.state,
+    host: room.players.get(room.hostId).name,
+    settings: room.settings,
+    round: room.round,
+    totalRounds: room.questions.length || room.settings.rounds,
+    players: [...room.players.values()].map(player => ({
+      name: player.name,
+      score: player.score,
+      playing: player.playing,
+      isHost: player.id === room.hostId,
+      connected: player.connected
+    }))
+  };
+}
+
+function emitState(io, room) {
+  io.to(channel(room.code)).emit('trivia:sala', roomState(room));
+}
+
+function clearTimers(room) {
+  clearInterval(room.timers.tick);
+  clearTimeout(room.timers.deadline);
+  clearTimeout(room.timers.next);
+  room.timers = {};
+}
+
+function destroyRoom(io, room) {
+  clearTimers(room);
+  io.in(channel(room.code)).socketsLeave(channel(room.code));
+  rooms.delete(room.code);
+}
+
+function finishRoom(io, room, reason) {
+  clearTimers(room);
+  room.state = 'finished';
+  io.to(channel(room.code)).emit('trivia:fin', { reason, scoreboard: scoreboard(room) });
+  console.log(`🧠 Sala ${room.code} terminada (${reason})`);
+
+  room.timers.next = setTimeout(() => destroyRoom(io, room), FINISHED_TTL_MS);
+  room.timers.next.unref();
+}
+
+function askQuestion(io, room) {
+  const question = room.questions[room.round];
+  const startedAt = Date.now();
+  const limitMs = room.settings.seconds * 1000;
+
+  room.round += 1;
+  room.state = 'question';
+  room.current = { question, startedAt, limitMs, answers: new Map() };
+
+  io.to(channel(room.code)).emit('trivia:pregunta', {
+    round: room.round,
+    totalRounds: room.questions.length,
+    pregunta: question.question,
+    opciones: question.options,
+    category: question.category,
+    difficulty: question.difficulty,
+    timeLimitSeconds: room.settings.seconds,
+    endsAt: new Date(startedAt + limitMs).toISOString()
+  });
+
+  room.timers.tick = setInterval(() => {
+    const seconds = Math.max(0, Math.ceil((startedAt + limitMs - Date.now()) / 1000));
+    io.to(channel(room.code)).emit('trivia:cuenta_atras', { round: room.round, seconds });
+  }, 1000);
+  room.timers.deadline = setTimeout(() => closeRound(io, room), limitMs);
+}
+
+// Cierra la pregunta: puntúa a todos, manda el resultado con el marcador y
+// programa la siguiente (o el final)
+function closeRound(io, room) {
+  if (room.state !== 'question') return;
+  clearTimers(room);
+  room.state = 'results';
+
+  const { question, limitMs, answers } = room.current;
+  const results = playingPlayers(room).map(player => {
+    const answer = answers.get(player.id);
+    const correct = Boolean(answer) && answer.answer === question.correct_index;
+    let points = 0;
+
+    if (correct) {
+      player.streak += 1;
+      player.correct += 1;
+      points = scoreAnswer({ difficulty: question.difficulty, timeMs: answer.timeMs, streak: player.streak, limitMs }).total;
+      player.score += points;
+    } else {
+      player.streak = 0;
+    }
+
+    return {
+      name: player.name,
+      answer: answer ? answer.answer : null,
+      correct,
+      points,
+      timeMs: answer ? answer.timeMs : null
+    };
+  });
+
+  io.to(channel(room.code)).emit('trivia:resultado', {
+    round: room.round,
+    totalRounds: room.questions.length,
+    correctIndex: question.correct_index,
+    explanation: question.explanation,
+    answers: results,
+    scoreboard: scoreboard(room)
+  });
+
+  room.timers.next = setTimeout(() => {
+    if (room.round < room.questions.length) {
+      askQuestion(io, room);
+    } else {
+      finishRoom(io, room, 'completed');
+    }
+  }, RESULTS_PAUSE_MS);
+}
+
+// Saca al socket de la sala en la que esté. Con `disconnected` el jugador se
+// queda (con sus puntos) para que pueda volver con su playerId.
+function leaveRoom(io, socket, { disconnected = false } = {}) {
+  const membership = socket.data.trivia;
+  if (!membership) return;
+  socket.data.trivia = null;
+  socket.leave(channel(membership.code));
+
+  const room = rooms.get(membership.code);
+  if (!room) return;
+  const player = room.players.get(membership.playerId);
+  if (!player || player.socketId !== socket.id) return;
+
+  // Si el anfitrión se va a propósito, se acaba la partida para todos
+  if (!disconnected && player.id === room.hostId) {
+    if (room.state === 'finished') return destroyRoom(io, room);
+    finishRoom(io, room, 'host_left');
+    return destroyRoom(io, room);
+  }
+
+  player.socketId = null;
+  player.connected = false;
+  if (!disconnected) room.players.delete(player.id);
+
+  if (![...room.players.values()].some(p => p.connected)) {
+    destroyRoom(io, room);
+    return;
+  }
+
+  emitState(io, room);
+  // Si solo faltaba por contestar el que se ha ido, no hay que esperar más
+  if (room.state === 'question' && allAnswered(room)) closeRound(io, room);
+}
+
+function allAnswered(room) {
+  const waiting = playingPlayers(room).filter(player => player.connected);
+  return waiting.length > 0 && waiting.every(player => room.current.answers.has(player.id));
+}
+
+function joinChannel(socket, room, player) {
+  player.socketId = socket.id;
+  player.connected = true;
+  socket.data.trivia = { code: room.code, playerId: player.id };
+  socket.join(channel(room.code));
+}
+
+async function checkBan(db, socket, userId) {
+  const ban = await findActiveBan(db, { userId, ip: socket.handshake.address });
+  return ban ? 'Tienes el acceso vetado, pisha. Habla con la organización.' : null;
+}
+
+// ==================== EVENTOS ====================
+
+// Crea una sala. data: { name, userId, category, difficulty, rounds, seconds, playing }.
+// Con playing: false el anfitrión solo presenta (la tele del bar).
+async function createRoom(io, socket, db, data = {}) {
+  const { error: nameError, name } = parseName(data.name);
+  if (nameError) return { error: nameError };
+  const { error, values } = parseRoomSettings(data);
+  if (error) return { error };
+  if (rooms.size >= MAX_ROOMS) {
+    return { error: 'No caben más salas ahora mismo, pisha. Prueba en un rato.' };
+  }
+
+  const banned = await checkBan(db, socket, data.userId);
+  if (banned) return { error: banned };
+
+  leaveRoom(io, socket);
+
+  const host = {
+    id: crypto.randomUUID(),
+    name,
+    userId: data.userId || null,
+    playing: data.playing !== false,
+    score: 0,
+    correct: 0,
+    streak: 0
+  };
+  const room = {
+    code: generateCode(),
+    hostId: host.id,
+    settings: values,
+    state: 'lobby',
+    round: 0,
+    questions: [],
+    players: new Map([[host.id, host]]),
+    current: null,
+    timers: {}
+  };
+  rooms.set(room.code, room);
+  joinChannel(socket, room, host);
+
+  console.log(`🧠 ${name} creó la sala de trivia ${room.code}`);
+  emitState(io, room);
+  return { success: true, code: room.code, playerId: host.id, room: roomState(room) };
+}
+
+// Entra en una sala. data: { code, name, userId } o { code, playerId } para
+// volver tras perder la conexión. Se puede entrar con la partida empezada.
+async function joinRoom(io, socket, db, data = {}) {
+  const room = rooms.get(String(data.code || '').trim().toUpperCase());
+  if (!room || room.state === 'finished') {
+    return { error: 'No hay ninguna sala abierta con ese código, miarma' };
+  }
+
+  if (data.playerId) {
+    const player = room.players.get(data.playerId);
+    if (!player) return { error: 'No estabas en esta sala' };
+    if (player.connected) return { error: 'Ya estás conectado a esta sala desde otro sitio' };
+
+    const banned = await checkBan(db, socket, player.userId);
+    if (banned) return { error: banned };
+
+    leaveRoom(io, socket);
+    joinChannel(socket, room, player);
+    emitState(io, room);
+    return { success: true, code: room.code, playerId: player.id, room: roomState(room) };
+  }
+
+  const { error, name } = parseName(data.name);
+  if (error) return { error };
+  if ([...room.players.values()].some(player => player.name.toLowerCase() === name.toLowerCase())) {
+    return { error: 'Ya hay alguien con ese nombre en la sala; elige otro' };
+  }
+  if (room.players.size >= MAX_PLAYERS) {
+    return { error: 'La sala está llena, pisha' };
+  }
+
+  const banned = await checkBan(db, socket, data.userId);
+  if (banned) return { error: banned };
+
+  leaveRoom(io, socket);
+  const player = {
+    id: crypto.randomUUID(),
+    name,
+    userId: data.userId || null,
+    playing: true,
+    score: 0,
+    correct: 0,
+    streak: 0
+  };
+  room.players.set(player.id, player);
+  joinChannel(socket, room, player);
+
+  emitState(io, room);
+  return { success: true, code: room.code, playerId: player.id, room: roomState(room) };
+}
+
+// Solo el anfitrión, y solo desde el lobby
+async function startGame(io, socket, db) {
+  const membership = socket.data.trivia;
+  const room = membership && rooms.get(membership.code);
+  if (!room) return { error: 'No estás en ninguna sala' };
+  if (membership.playerId !== room.hostId) return { error: 'Solo el anfitrión puede empezar la partida' };
+  if (room.state !== 'lobby') return { error: 'La partida ya ha empezado' };
+  if (playingPlayers(room).length === 0) return { error: 'No hay nadie jugando todavía' };
+
+  // Para que no se empiece dos veces mientras se buscan las preguntas
+  room.state = 'starting';
+  const { category, difficulty, rounds } = room.settings;
+  let questions;
+  try {
+    questions = await pickRandomQuestions(db, { category, difficulty, count: rounds });
+  } catch (error) {
+    room.state = 'lobby';
+    throw error;
+  }
+  if (questions.length === 0) {
+    room.state = 'lobby';
+    return { error: 'No hay preguntas para esa categoría y dificultad' };
+  }
+  // La sala puede haberse cerrado mientras se buscaban las preguntas
+  if (!rooms.has(room.code)) return { error: 'La sala se ha cerrado' };
+
+  room.questions = questions;
+  console.log(`🧠 Empieza la partida de la sala ${room.code} (${questions.length} preguntas)`);
+  askQuestion(io, room);
+  return { success: true, totalRounds: questions.length };
+}
+
+// Respuesta a la pregunta en juego; vale la primera de cada jugador
+function submitAnswer(io, socket, data = {}) {
+  const membership = socket.data.trivia;
+  const room = membership && rooms.get(membership.code);
+  if (!room) return { error: 'No estás en ninguna sala' };
+  if (room.state !== 'question') return { error: 'Ahora mismo no hay pregunta en juego' };
+
+  const player = room.players.get(membership.playerId);
+  if (!player || !player.playing) return { error: 'Estás de presentador, no de jugador' };
+
+  const { question, startedAt, answers } = room.current;
+  if (data.round !== undefined && data.round !== room.round) {
+    return { error: 'Esa pregunta ya está cerrada' };
+  }
+  if (answers.has(player.id)) return { error: 'Ya has contestado esta pregunta' };
+
+  const answer = data.answer;
+  if (!Number.isInteger(answer) || answer < 0 || answer >= question.options.length) {
+    return { error: `answer debe ser un número entre 0 y ${question.options.length - 1}` };
+  }
+
+  answers.set(player.id, { answer, timeMs: Date.now() - startedAt });
+  io.to(channel(room.code)).emit('trivia:respuestas', {
+    round: room.round,
+    answered: answers.size,
+    total: playingPlayers(room).filter(p => p.connected).length,
+    players: [...answers.keys()].map(id => room.players.get(id).name)
+  });
+
+  if (allAnswered(room)) closeRound(io, room);
+  return { success: true };
+}
+
+// Registra los eventos de trivia de un socket recién conectado. Todos
+// aceptan un callback de confirmación con { success, ... } o { error }.
+function registerTriviaRooms(io, socket, db) {
+  const on = (event, handler) => {
+    socket.on(event, async (data, ack) => {
+      if (typeof data === 'function') {
+        ack = data;
+        data = {};
+      }
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        reply(await handler(data || {}));
+      } catch (error) {
+        console.error(`Error en ${event}:`, error);
+        reply({ error: 'Error en la sala de trivia' });
+      }
+    });
+  };
+
+  on('trivia:crear', data => createRoom(io, socket, db, data));
+  on('trivia:unirse', data => joinRoom(io, socket, db, data));
+  on('trivia:empezar', () => startGame(io, socket, db));
+  on('trivia:responder', data => submitAnswer(io, socket, data));
+  on('trivia:salir', () => {
+    leaveRoom(io, socket);
+    return { success: true };
+  });
+
+  socket.on('disconnect', () => leaveRoom(io, socket, { disconnected: true }));
+}
+
+module.exports = {
+  registerTriviaRooms
+};
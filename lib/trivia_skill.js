@@ -0,0 +1,115 @@
+const { dbAll, dbGet } = require('./db');
+const { DIFFICULTIES, DEFAULT_DIFFICULTY, formatQuestion } = require('./trivia');
+
+// Dificultad adaptativa e historial de preguntas por usuario, todo sacado de
+// trivia_rounds. Cada categoría lleva su propio nivel: se sube cuando se
+// aciertan casi todas las últimas del nivel actual y se baja cuando se fallan
+// casi todas. Una pregunta no se repite hasta que se han visto todas las de
+// la categoría.
+
+// Rondas contestadas que se miran para estimar el nivel
+const RECENT_ROUNDS = 10;
+// Para cambiar de nivel se miran las últimas del nivel actual (mínimo 3)
+const STEP_ROUNDS = 4;
+const MIN_STEP_ROUNDS = 3;
+const STEP_UP_ACCURACY = 0.75;
+const STEP_DOWN_ACCURACY = 1 / 3;
+
+// Cuánto vale un acierto para la nota según la dificultad (sobre 100)
+const SKILL_WEIGHTS = { easy: 1 / 3, medium: 2 / 3, hard: 1 };
+const SKILL_LABELS = [
+  [25, 'aprendiz'],
+  [50, 'aficionao'],
+  [75, 'entendío'],
+  [Infinity, 'catedrático del Falla']
+];
+
+const LEVEL_ORDER_SQL = `CASE q.difficulty WHEN 'easy' THEN 0 WHEN 'medium' THEN 1 ELSE 2 END`;
+
+// Últimas rondas contestadas (o caducadas) del usuario en la categoría, de la más nueva a la más vieja
+function recentRounds(db, userId, category) {
+  return dbAll(db, `
+    SELECT difficulty, level, correct
+    FROM trivia_rounds
+    WHERE userId = ? AND category = ? AND outcome IN ('correct', 'wrong', 'timeout')
+    ORDER BY answered_at DESC, issued_at_ms DESC
+    LIMIT ?
+  `, [userId, category, RECENT_ROUNDS]);
+}
+
+// Nivel para la siguiente pregunta. Solo cuentan las últimas seguidas del
+// nivel actual, para que al cambiar de nivel no pese lo de antes.
+function nextLevel(recent) {
+  if (recent.length === 0) return DEFAULT_DIFFICULTY;
+
+  const current = recent[0].level || recent[0].difficulty;
+  const run = [];
+  for (const round of recent) {
+    if ((round.level || round.difficulty) !== current || run.length === STEP_ROUNDS) break;
+    run.push(round);
+  }
+  if (run.length < MIN_STEP_ROUNDS) return current;
+
+  const accuracy = run.filter(round => round.correct).length / run.length;
+  const index = DIFFICULTIES.indexOf(current);
+  if (accuracy >= STEP_UP_ACCURACY) return DIFFICULTIES[Math.min(index + 1, DIFFICULTIES.length - 1)];
+  if (accuracy <= STEP_DOWN_ACCURACY) return DIFFICULTIES[Math.max(index - 1, 0)];
+  return current;
+}
+
+// Nivel estimado del usuario en la categoría: el nivel de la siguiente
+// pregunta, una nota de 0 a 100 (aciertos pesados por dificultad) con su
+// etiqueta y la precisión reciente. Con pocas rondas es provisional.
+async function estimateSkill(db, userId, category) {
+  const recent = await recentRounds(db, userId, category);
+  const correct = recent.filter(round => round.correct);
+  const rating = recent.length === 0
+    ? 0
+    : Math.round(100 * correct.reduce((sum, round) => sum + (SKILL_WEIGHTS[round.difficulty] || 0), 0) / recent.length);
+
+  return {
+    category,
+    level: nextLevel(recent),
+    rating,
+    label: SKILL_LABELS.find(([max]) => rating < max)[1],
+    accuracy: recent.length === 0 ? null : Math.round((correct.length / recent.length) * 100) / 100,
+    answered: recent.length,
+    provisional: recent.length < MIN_STEP_ROUNDS
+  };
+}
+
+// Pregunta para el usuario: primero las que menos veces ha visto (así no se
+// repite ninguna hasta agotar la categoría), luego la más cercana a su nivel
+// y luego la que vio hace más tiempo. Con `difficulty` solo de esa dificultad.
+async function pickQuestionForUser(db, { userId, category, difficulty = null, level }) {
+  const row = await dbGet(db, `
+    SELECT q.*, COUNT(r.id) as seen, MAX(r.issued_at_ms) as lastSeen
+    FROM trivia_questions q
+    LEFT JOIN trivia_rounds r ON r.question_id = q.id AND r.userId = ?
+    WHERE q.active = 1 AND q.category = ? ${difficulty ? 'AND q.difficulty = ?' : ''}
+    GROUP BY q.id
+    ORDER BY seen ASC, ABS(${LEVEL_ORDER_SQL} - ?) ASC, lastSeen ASC, RANDOM()
+    LIMIT 1
+  `, [userId, category, ...(difficulty ? [difficulty] : []), DIFFICULTIES.indexOf(level)]);
+
+  if (!row) return null;
+  const { seen, lastSeen, ...question } = row;
+  return formatQuestion(question);
+}
+
+// Tamaño de la categoría (o de la dificultad) y cuántas le quedan por ver al usuario
+function countPool(db, { userId, category, difficulty = null }) {
+  return dbGet(db, `
+    SELECT COUNT(*) as total,
+           SUM(NOT EXISTS (SELECT 1 FROM trivia_rounds r WHERE r.question_id = q.id AND r.userId = ?)) as unseen
+    FROM trivia_questions q
+    WHERE q.active = 1 AND q.category = ? ${difficulty ? 'AND q.difficulty = ?' : ''}
+  `, [userId, category, ...(difficulty ? [difficulty] : [])])
+    .then(({ total, unseen }) => ({ total, unseen: unseen || 0 }));
+}
+
+module.exports = {
+  estimateSkill,
+  pickQuestionForUser,
+  countPool
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { dbAll, dbGet, dbRun } = require('./db');
+const { hasStableSecret, signPublicToken, verifyPublicToken } = require('./auth');
+
+// Integridad de los votos. Cada usuario que ya ha hablado con el Carnavalito
+// (tiene fila en users) pide su identidad de votante firmada por el servidor
+// (POST /api/ai/voter) y vota con ella: un voto por votante, agrupación y
+// categoría. Hay una sola identidad por usuario. Al votar se buscan patrones raros (muchos
+// votos desde la misma IP o una ráfaga para una agrupación) y se marcan para
+// que moderación los revise y, si hace falta, los anule.
+
+const VOTER_TOKEN_PURPOSE = 'voter';
+const VOTER_TOKEN_EXPIRY = '30d';
+
+// Ventana en la que se buscan ráfagas
+const BURST_WINDOW_MINUTES = 10;
+// Votos a la misma agrupación desde la misma IP con votantes distintos
+const SAME_IP_THRESHOLD = 3;
+// Ráfaga: al menos 20 votos en la ventana y 5 veces lo normal de las últimas 24 horas
+const BURST_MIN_VOTES = 20;
+const BURST_FACTOR = 5;
+const BASELINE_HOURS = 24;
+
+const SUSPICION_REASONS = ['same_ip', 'burst'];
+
+const MAX_AGRUPACION_LENGTH = 100;
+const MAX_CATEGORIA_LENGTH = 50;
+const MAX_COMMENT_LENGTH = 1000;
+
+// Identidad de votante del usuario; la crea la primera vez y después devuelve
+// la misma (con un token nuevo). Solo para usuarios que ya existen, que se dan
+// de alta al chatear. Devuelve { status, error } si no se puede.
+async function issueVoter(db, { userId, ip, userAgent }) {
+  // Con la clave temporal los tokens de 30 días morirían en el siguiente reinicio
+  if (!hasStableSecret()) {
+    return { status: 503, error: 'Las votaciones no están disponibles: falta configurar JWT_SECRET' };
+  }
+  if (typeof userId !== 'string' || !userId) {
+    return { status: 400, error: 'userId requerido pa votar, pisha' };
+  }
+
+  const user = await dbGet(db, 'SELECT userId FROM users WHERE userId = ? AND total_messages > 0', [userId]);
+  if (!user) {
+    return { status: 403, error: 'Antes de votar tienes que haber charlado con el Carnavalito, miarma' };
+  }
+
+  // Una por usuario: si dos peticiones llegan a la vez, se queda la primera
+  await dbRun(db, `
+    INSERT OR IGNORE INTO voters (id, userId, ip_address, user_agent)
+    VALUES (?, ?, ?, ?)
+  `, [`voter_${crypto.randomUUID()}`, userId, ip || null, userAgent || null]);
+  const { id } = await dbGet(db, 'SELECT id FROM voters WHERE userId = ?', [userId]);
+
+  return {
+    voterId: id,
+    voterToken: signPublicToken(VOTER_TOKEN_PURPOSE, { vid: id, uid: userId }, VOTER_TOKEN_EXPIRY),
+    expiresIn: VOTER_TOKEN_EXPIRY
+  };
+}
+
+// { vid, uid } si el token es una identidad de votante válida; si no, null
+function verifyVoter(token) {
+  const payload = verifyPublicToken(VOTER_TOKEN_PURPOSE, token);
+  return payload && payload.vid ? payload : null;
+}
+
+// Clave del límite por votante: el votante si trae token, si no la IP
+function voterRateKey(req) {
+  const voter = verifyVoter(req.body?.voterToken);
+  return voter ? `voter:${voter.vid}` : `ip:${req.ip}`;
+}
+
+// Valida el voto; devuelve { error } o { values }
+function validateVote(body = {}) {
+  const agrupacion = typeof body.agrupacion === 'string' ? body.agrupacion.trim() : '';
+  const categoria = typeof body.categoria === 'string' ? body.categoria.trim() : '';
+  const puntuacion = Number(body.puntuacion);
+
+  if (!agrupacion || agrupacion.length > MAX_AGRUPACION_LENGTH ||
+    !categoria || categoria.length > MAX_CATEGORIA_LENGTH ||
+    !Number.isInteger(puntuacion) || puntuacion < 1 || puntuacion > 10) {
+    return { error: 'Datos inválidos para votar' };
+  }
+  if (body.comentario !== undefined && body.comentario !== null &&
+    (typeof body.comentario !== 'string' || body.comentario.length > MAX_COMMENT_LENGTH)) {
+    return { error: `El comentario debe ser texto de como mucho ${MAX_COMMENT_LENGTH} caracteres` };
+  }
+
+  return { values: { agrupacion, categoria, puntuacion, comentario: body.comentario || null } };
+}
+
+function isUniqueViolation(error) {
+  return error && error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/i.test(error.message);
+}
+
+// Marca votos como sospechosos; se queda el primer motivo que se detectó
+function flagVotes(db, ids, reason) {
+  return dbRun(db, `
+    UPDATE votes
+    SET suspicious_reason = COALESCE(suspicious_reason, ?), flagged_at = COALESCE(flagged_at, CURRENT_TIMESTAMP)
+    WHERE id IN (${ids.map(() => '?').join(', ')})
+  `, [reason, ...ids]);
+}
+
+// Busca patrones raros alrededor de un voto recién metido y marca los
+// implicados. Devuelve los motivos encontrados.
+async function detectSuspiciousVotes(db, { agrupacion, categoria, ip }) {
+  const since = `-${BURST_WINDOW_MINUTES} minutes`;
+  const reasons = [];
+
+  const sameIp = await dbAll(db, `
+    SELECT id FROM votes
+    WHERE agrupacion = ? AND categoria = ? AND ip_address = ?
+      AND voided_at IS NULL AND timestamp >= datetime('now', ?)
+  `, [agrupacion, categoria, ip, since]);
+  if (sameIp.length >= SAME_IP_THRESHOLD) {
+    await flagVotes(db, sameIp.map(vote => vote.id), 'same_ip');
+    reasons.push('same_ip');
+  }
+
+  const recent = await dbAll(db, `
+    SELECT id FROM votes
+    WHERE agrupacion = ? AND categoria = ? AND voided_at IS NULL AND timestamp >= datetime('now', ?)
+  `, [agrupacion, categoria, since]);
+  if (recent.length >= BURST_MIN_VOTES) {
+    const { baseline } = await dbGet(db, `
+      SELECT COUNT(*) as baseline FROM votes
+      WHERE agrupacion = ? AND categoria = ? AND voided_at IS NULL
+        AND timestamp >= datetime('now', ?) AND timestamp < datetime('now', ?)
+    `, [agrupacion, categoria, `-${BASELINE_HOURS} hours`, since]);
+    const expected = baseline / ((BASELINE_HOURS * 60) / BURST_WINDOW_MINUTES);
+
+    if (recent.length >= BURST_FACTOR * Math.max(expected, 1)) {
+      await flagVotes(db, recent.map(vote => vote.id), 'burst');
+      reasons.push('burst');
+    }
+  }
+
+  if (reasons.length > 0) {
+    console.warn(`🚨 Votos sospechosos para ${agrupacion} (${categoria}): ${reasons.join(', ')}`);
+  }
+  return reasons;
+}
+
+// Guarda el voto del votante. Devuelve { status, error } si ya había votado
+// o { voteId }. Al votante no se le dice si su voto queda marcado.
+async function castVote(db, { voter, values, ip }) {
+  const { agrupacion, categoria, puntuacion, comentario } = values;
+
+  let voteId;
+  try {
+    ({ lastID: voteId } = await dbRun(db, `
+      INSERT INTO votes (userId, voter_id, agrupacion, categoria, puntuacion, comentario, ip_address)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [voter.uid, voter.vid, agrupacion, categoria, puntuacion, comentario, ip]));
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return { status: 409, error: 'Ya has votado por esta agrupación en esta categoría' };
+    }
+    throw error;
+  }
+
+  await dbRun(db, 'UPDATE voters SET last_vote_at = CURRENT_TIMESTAMP WHERE id = ?', [voter.vid]);
+  await detectSuspiciousVotes(db, { agrupacion, categoria, ip });
+
+  return { voteId };
+}
+
+// El ranking se cachea por categoría (ranking_<categoria> y ranking_all)
+function clearRankingCache(cache) {
+  cache.del(cache.keys().filter(key => key.startsWith('ranking_')));
+}
+
+module.exports = {
+  SUSPICION_REASONS,
+  issueVoter,
+  verifyVoter,
+  voterRateKey,
+  validateVote,
+  castVote,
+  clearRankingCache
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { dbAll, dbGet, dbRun } = require('./db');
+const { getPublishedEntries } = require('./dictionary');
+
+// Palabra del día: cada día (en hora de Cádiz) toca una palabra publicada del
+// diccionario. La elección es determinista, sale de la fecha, y no repite las
+// de los últimos días. Se guarda en word_of_the_day para que el historial no
+// cambie aunque luego se edite o se borre la entrada.
+
+const TIME_ZONE = 'Europe/Madrid';
+const NO_REPEAT_DAYS = 30;
+const DEFAULT_HISTORY = 7;
+const MAX_HISTORY = 60;
+
+// Cada cuánto se mira si ha cambiado el día para avisar por el socket
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Fecha YYYY-MM-DD en Cádiz
+function dayKey(date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+  const part = type => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+// Orden pseudoaleatorio pero fijo para cada día y palabra
+function rank(day, term) {
+  return crypto.createHash('sha256').update(`${day}:${term.toLowerCase()}`).digest('hex');
+}
+
+// Lo guardado ese día, completado con la entrada actual si sigue publicada
+function formatWord(row, entries) {
+  const entry = entries.find(e => e.id === row.entry_id);
+  return {
+    date: row.day,
+    id: row.entry_id,
+    term: row.term,
+    meaning: entry ? entry.meaning : row.meaning,
+    etymology: entry ? entry.etymology : null,
+    examples: entry ? entry.examples : [],
+    register: entry ? entry.register : null,
+    audio_url: entry ? entry.audio_url : null
+  };
+}
+
+// Palabra del día `day`; la elige y la guarda si es la primera vez que se pide.
+// Devuelve null si el diccionario no tiene palabras publicadas.
+async function getWordOfTheDay(db, day = dayKey()) {
+  const entries = await getPublishedEntries(db);
+  const existing = await dbGet(db, 'SELECT * FROM word_of_the_day WHERE day = ?', [day]);
+  if (existing) return formatWord(existing, entries);
+
+  const words = entries.filter(e => e.kind === 'word');
+  if (words.length === 0) return null;
+
+  const recent = await dbAll(db, `
+    SELECT term FROM word_of_the_day
+    WHERE day < ?
+    ORDER BY day DESC
+    LIMIT ?
+  `, [day, Math.min(NO_REPEAT_DAYS, words.length - 1)]);
+  const used = new Set(recent.map(row => row.term.toLowerCase()));
+
+  const candidates = words.filter(e => !used.has(e.term.toLowerCase()));
+  const [chosen] = (candidates.length > 0 ? candidates : words)
+    .map(entry => ({ entry, rank: rank(day, entry.term) }))
+    .sort((a, b) => (a.rank < b.rank ? -1 : 1))
+    .map(({ entry }) => entry);
+
+  // Si dos peticiones llegan a la vez, se queda la primera que escribe
+  await dbRun(db, `
+    INSERT OR IGNORE INTO word_of_the_day (day, entry_id, term, meaning)
+    VALUES (?, ?, ?, ?)
+  `, [day, chosen.id, chosen.term, chosen.meaning]);
+
+  const row = await dbGet(db, 'SELECT * FROM word_of_the_day WHERE day = ?', [day]);
+  return formatWord(row, entries);
+}
+
+function parseHistoryLimit(query) {
+  return Math.min(MAX_HISTORY, Math.max(1, parseInt(query.limit, 10) || DEFAULT_HISTORY));
+}
+
+// Últimas palabras del día, de hoy hacia atrás
+async function getWordHistory(db, limit = DEFAULT_HISTORY) {
+  const today = dayKey();
+  await getWordOfTheDay(db, today);
+
+  const entries = await getPublishedEntries(db);
+  const rows = await dbAll(db, `
+    SELECT * FROM word_of_the_day
+    WHERE day <= ?
+    ORDER BY day DESC
+    LIMIT ?
+  `, [today, limit]);
+  return rows.map(row => formatWord(row, entries));
+}
+
+// Avisa a todos los clientes conectados cuando cambia el día
+function scheduleWordOfTheDay(db, io) {
+  let current = dayKey();
+
+  const timer = setInterval(async () => {
+    const today = dayKey();
+    if (today === current) return;
+    current = today;
+
+    try {
+      const word = await getWordOfTheDay(db, today);
+      if (word) {
+        io.emit('palabra_del_dia', word);
+        console.log(`📚 Palabra del día (${today}): ${word.term}`);
+      }
+    } catch (error) {
+      console.error('Error eligiendo la palabra del día:', error);
+    }
+  }, CHECK_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  dayKey,
+  getWordOfTheDay,
+  getWordHistory,
+  parseHistoryLimit,
+  scheduleWordOfTheDay
+};
@@ -0,0 +1,18 @@
+const { carnavalitoIA } = require('../lib/carnavalito_ia');
+
+// Motor de reglas CarnavalitoIA: responde sin conexión a ningún servicio
+// externo, por eso es el último escalón por defecto de la cadena.
+module.exports = {
+  name: 'carnavalito',
+  offline: true,
+  defaults: { timeout: 1000, retries: 0, contextWindow: null },
+
+  isConfigured() {
+    return true;
+  },
+
+  async generate(request) {
+    const respuesta = carnavalitoIA.procesarMensaje(request.message);
+    return { text: respuesta.mensaje, data: respuesta };
+  }
+};
@@ -0,0 +1,51 @@
+const axios = require('axios');
+const { streamChatCompletion } = require('./openai_stream');
+
+const GROQ_URL = 'https://api.groq.com/openai/v1/chat/completions';
+
+function buildBody(request) {
+  return {
+    messages: [
+      { role: 'system', content: request.systemPrompt },
+      { role: 'user', content: request.contextPrompt + request.message }
+    ],
+    model: process.env.GROQ_MODEL || 'llama3-70b-8192',
+    max_tokens: 600,
+    temperature: 0.8
+  };
+}
+
+function buildHeaders(config) {
+  return {
+    'Authorization': `Bearer ${config.groq_api_key}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+// Proveedor Groq (API compatible con OpenAI)
+module.exports = {
+  name: 'groq',
+  defaults: { timeout: 20000, retries: 1, contextWindow: 8192 },
+
+  isConfigured(config) {
+    return Boolean(config.groq_api_key);
+  },
+
+  async generate(request, { config, timeout, signal }) {
+    const groqResponse = await axios.post(GROQ_URL, buildBody(request), {
+      timeout,
+      signal,
+      headers: buildHeaders(config)
+    });
+
+    return groqResponse.data.choices[0].message.content;
+  },
+
+  async stream(request, { config, timeout, signal }, onToken) {
+    return streamChatCompletion(GROQ_URL, buildBody(request), {
+      timeout,
+      signal,
+      headers: buildHeaders(config)
+    }, onToken);
+  }
+};
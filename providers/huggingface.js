@@ -0,0 +1,32 @@
+const axios = require('axios');
+
+// Proveedor HuggingFace Inference (DialoGPT)
+module.exports = {
+  name: 'huggingface',
+  defaults: { timeout: 30000, retries: 0, contextWindow: 1024 },
+
+  isConfigured(config) {
+    return Boolean(config.hf_api_key);
+  },
+
+  async generate(request, { config, timeout, signal }) {
+    const fullPrompt = request.fullPrompt;
+    const model = process.env.HF_MODEL || 'microsoft/DialoGPT-medium';
+
+    const hfResponse = await axios.post(
+      `https://api-inference.huggingface.co/models/${model}`,
+      { inputs: fullPrompt },
+      {
+        timeout,
+        signal,
+        headers: {
+          'Authorization': `Bearer ${config.hf_api_key}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    return hfResponse.data[0]?.generated_text?.replace(fullPrompt, '').trim() ||
+           '¡Viva el Carnaval, pisha! 🎭';
+  }
+};
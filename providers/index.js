@@ -0,0 +1,188 @@
+// Registro de proveedores LLM
+//
+// Cada proveedor es un módulo con la misma interfaz:
+//   name                     identificador usado en LLM_PROVIDERS
+//   defaults                 { timeout, retries, contextWindow } por defecto
+//   offline                  (opcional) true si responde sin LLM (reglas, plantillas)
+//   isConfigured(config)     si tiene lo necesario (API key, URL...) para responder
+//   generate(request, ctx)   devuelve el texto de la respuesta, o { text, data }
+//                            si además aporta datos extra (tipo, personalidad...)
+//   stream(request, ctx, onToken)  (opcional) igual que generate pero emitiendo
+//                            cada fragmento según llega; devuelve el texto completo
+//
+// El orden de prioridad se configura con LLM_PROVIDERS (lista separada por comas)
+// y la política de cada uno con <NOMBRE>_TIMEOUT_MS, <NOMBRE>_RETRIES y
+// <NOMBRE>_CONTEXT_WINDOW (tokens que admite el modelo).
+
+const providers = new Map();
+
+const DEFAULT_ORDER = ['groq', 'huggingface', 'openai_compatible', 'carnavalito'];
+const RETRY_DELAY_MS = 500;
+const DEFAULT_CONTEXT_WINDOW = 4096;
+
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.generate !== 'function') {
+    throw new Error('Proveedor LLM inválido: necesita name y generate()');
+  }
+  providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+  return providers.get(name);
+}
+
+function getProviderOrder() {
+  const configured = process.env.LLM_PROVIDERS
+    ? process.env.LLM_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_ORDER;
+
+  return configured.filter(name => {
+    if (providers.has(name)) return true;
+    console.warn(`⚠️ Proveedor LLM desconocido en LLM_PROVIDERS: ${name}`);
+    return false;
+  });
+}
+
+function getProviderPolicy(provider) {
+  const prefix = provider.name.toUpperCase();
+  const timeout = parseInt(process.env[`${prefix}_TIMEOUT_MS`], 10);
+  const retries = parseInt(process.env[`${prefix}_RETRIES`], 10);
+  const contextWindow = parseInt(process.env[`${prefix}_CONTEXT_WINDOW`], 10);
+
+  return {
+    timeout: Number.isNaN(timeout) ? provider.defaults.timeout : timeout,
+    retries: Number.isNaN(retries) ? provider.defaults.retries : retries,
+    contextWindow: Number.isNaN(contextWindow) ? provider.defaults.contextWindow : contextWindow
+  };
+}
+
+// Ventana de contexto del primer proveedor LLM que va a intentar responder
+function getContextWindow(config) {
+  for (const name of getProviderOrder()) {
+    const provider = providers.get(name);
+    if (provider.offline || !provider.isConfigured(config)) continue;
+
+    return getProviderPolicy(provider).contextWindow || DEFAULT_CONTEXT_WINDOW;
+  }
+  return DEFAULT_CONTEXT_WINDOW;
+}
+
+function normalizeOutput(output) {
+  return typeof output === 'string' || !output ? { text: output } : output;
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Recorre los proveedores por orden de prioridad hasta que uno responda.
+// Con onlineOnly se saltan los proveedores offline (p. ej. para resumir).
+async function generateReply(request, config, { onlineOnly = false } = {}) {
+  const errors = [];
+
+  for (const name of getProviderOrder()) {
+    const provider = providers.get(name);
+
+    if (onlineOnly && provider.offline) continue;
+
+    if (!provider.isConfigured(config)) {
+      errors.push({ provider: name, error: 'no configurado' });
+      continue;
+    }
+
+    const policy = getProviderPolicy(provider);
+
+    for (let attempt = 1; attempt <= policy.retries + 1; attempt++) {
+      try {
+        const { text, data } = normalizeOutput(
+          await provider.generate(request, { config, timeout: policy.timeout })
+        );
+        if (!text || !text.trim()) throw new Error('Respuesta vacía');
+
+        return { text, data, provider: name, attempts: attempt, errors };
+      } catch (error) {
+        console.log(`${name} falló (intento ${attempt}/${policy.retries + 1}):`, error.message);
+        errors.push({ provider: name, attempt, error: error.message });
+
+        if (attempt <= policy.retries) await delay(RETRY_DELAY_MS * attempt);
+      }
+    }
+  }
+
+  const error = new Error('Ningún proveedor LLM pudo responder');
+  error.providerErrors = errors;
+  throw error;
+}
+
+// Igual que generateReply, pero emite los fragmentos con onToken según llegan.
+// Solo se pasa al siguiente proveedor si el actual falla antes de emitir nada:
+// una vez enviado texto al cliente ya no se puede cambiar de proveedor.
+async function streamReply(request, config, onToken, { signal } = {}) {
+  const errors = [];
+
+  for (const name of getProviderOrder()) {
+    const provider = providers.get(name);
+
+    if (!provider.isConfigured(config)) {
+      errors.push({ provider: name, error: 'no configurado' });
+      continue;
+    }
+
+    const policy = getProviderPolicy(provider);
+
+    for (let attempt = 1; attempt <= policy.retries + 1; attempt++) {
+      let emitted = false;
+      const emit = token => {
+        emitted = true;
+        onToken(token);
+      };
+
+      try {
+        const ctx = { config, timeout: policy.timeout, signal };
+        let text;
+        let data;
+
+        if (typeof provider.stream === 'function') {
+          text = await provider.stream(request, ctx, emit);
+        } else {
+          ({ text, data } = normalizeOutput(await provider.generate(request, ctx)));
+          if (text) emit(text);
+        }
+
+        if (!text || !text.trim()) throw new Error('Respuesta vacía');
+
+        return { text, data, provider: name, attempts: attempt, errors };
+      } catch (error) {
+        if (emitted || signal?.aborted) throw error;
+
+        console.log(`${name} falló en streaming (intento ${attempt}/${policy.retries + 1}):`, error.message);
+        errors.push({ provider: name, attempt, error: error.message });
+
+        if (attempt <= policy.retries) await delay(RETRY_DELAY_MS * attempt);
+      }
+    }
+  }
+
+  const error = new Error('Ningún proveedor LLM pudo responder');
+  error.providerErrors = errors;
+  throw error;
+}
+
+// Proveedores incluidos
+[
+  require('./groq'),
+  require('./huggingface'),
+  require('./openai_compatible'),
+  require('./carnavalito'),
+  require('./local')
+].forEach(registerProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviderOrder,
+  getProviderPolicy,
+  getContextWindow,
+  generateReply,
+  streamReply
+};
@@ -0,0 +1,39 @@
+// Respuestas locales basadas en el tema detectado. Nunca falla; se puede
+// usar en LLM_PROVIDERS como alternativa más simple a 'carnavalito'.
+const localResponses = {
+  carnaval: [
+    "¡Olé tus cojones! Eso que dices del Carnaval tiene más miga que una copla de Los Millonarios. 🎭",
+    "En el COAC eso lo cantaría una chirigota de las buenas, pisha. ¡Qué arte tienes! 🎵",
+    "¡Zambombazo! Eso es pura esencia carnavalera gaditana. Como las coplas del Falla. 💃"
+  ],
+  cadiz: [
+    "¡Eso es más gaditano que los pescaítos fritos en La Caleta, mostro! 🐟",
+    "Como buen hijo de la tacita de plata, te digo que tienes razón. ⚓",
+    "¡Viva Cádiz y viva la sal de esta tierra! Eso que dices tiene salero. 🌊"
+  ],
+  futbol: [
+    "¡Viva er Cádiz CF! Eso lo dirían en las gradas del Nuevo Mirandilla. ⚽",
+    "Como cadista de pura cepa, te digo que tienes razón, pisha. 💛💙",
+    "¡Amarillo submarino! El Cádiz en Primera es un sueño hecho realidad. 🚢"
+  ],
+  general: [
+    "¡Qué bueno, mostro! Me has sacado una sonrisa carnavalera. 😄",
+    "Eso se merece un aplauso en el Falla, pisha. ¡Olé! 👏",
+    "¡Zambombazo! Lo que dices tiene mucho salero gaditano. 🎉"
+  ]
+};
+
+module.exports = {
+  name: 'local',
+  offline: true,
+  defaults: { timeout: 1000, retries: 0, contextWindow: null },
+
+  isConfigured() {
+    return true;
+  },
+
+  async generate(request) {
+    const responses = localResponses[request.topic] || localResponses.general;
+    return responses[Math.floor(Math.random() * responses.length)];
+  }
+};
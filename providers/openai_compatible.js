@@ -0,0 +1,55 @@
+const axios = require('axios');
+const { streamChatCompletion } = require('./openai_stream');
+
+function buildUrl() {
+  return `${process.env.LOCAL_LLM_URL.replace(/\/+$/, '')}/chat/completions`;
+}
+
+function buildBody(request) {
+  return {
+    messages: [
+      { role: 'system', content: request.systemPrompt },
+      { role: 'user', content: request.contextPrompt + request.message }
+    ],
+    model: process.env.LOCAL_LLM_MODEL || 'llama3',
+    max_tokens: 600,
+    temperature: 0.8
+  };
+}
+
+function buildHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.LOCAL_LLM_API_KEY) {
+    headers['Authorization'] = `Bearer ${process.env.LOCAL_LLM_API_KEY}`;
+  }
+  return headers;
+}
+
+// Endpoint local compatible con OpenAI (llama.cpp server, Ollama, LM Studio...)
+// Se activa definiendo LOCAL_LLM_URL, p. ej. http://localhost:11434/v1
+module.exports = {
+  name: 'openai_compatible',
+  defaults: { timeout: 60000, retries: 0, contextWindow: 4096 },
+
+  isConfigured() {
+    return Boolean(process.env.LOCAL_LLM_URL);
+  },
+
+  async generate(request, { timeout, signal }) {
+    const localResponse = await axios.post(buildUrl(), buildBody(request), {
+      timeout,
+      signal,
+      headers: buildHeaders()
+    });
+
+    return localResponse.data.choices[0].message.content;
+  },
+
+  async stream(request, { timeout, signal }, onToken) {
+    return streamChatCompletion(buildUrl(), buildBody(request), {
+      timeout,
+      signal,
+      headers: buildHeaders()
+    }, onToken);
+  }
+};
@@ -0,0 +1,54 @@
+const axios = require('axios');
+
+// Lee una respuesta en streaming con el formato de OpenAI (data: {...}\n\n)
+// y llama a onToken con cada fragmento de texto. Devuelve el texto completo.
+async function streamChatCompletion(url, body, { headers, timeout, signal }, onToken) {
+  const response = await axios.post(url, { ...body, stream: true }, {
+    timeout,
+    headers,
+    signal,
+    responseType: 'stream'
+  });
+
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let fullText = '';
+    let finished = false;
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      resolve(fullText);
+    };
+
+    response.data.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return finish();
+
+        try {
+          const token = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (token) {
+            fullText += token;
+            onToken(token);
+          }
+        } catch (err) {
+          // Fragmento que no es JSON (comentarios keep-alive), se ignora
+        }
+      }
+    });
+
+    response.data.on('end', finish);
+    response.data.on('error', reject);
+  });
+}
+
+module.exports = { streamChatCompletion };
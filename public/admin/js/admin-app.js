@@ -0,0 +1,368 @@
+// 🎛️ PANEL DE ADMINISTRACIÓN CARNIVALITO
+// Login, gráficas de estadísticas y ajustes de API keys
+
+const COLORES = {
+    oro: '#FFD700',
+    azul: '#1e3a8a',
+    rojo: '#dc2626',
+    verde: '#059669',
+    gris: '#94a3b8'
+};
+
+const COLORES_SENTIMIENTO = {
+    positive: COLORES.verde,
+    neutral: COLORES.gris,
+    negative: COLORES.rojo
+};
+
+const NOMBRES_SENTIMIENTO = {
+    positive: 'Positivo',
+    neutral: 'Neutral',
+    negative: 'Negativo'
+};
+
+class PanelAdmin {
+    constructor() {
+        this.admin = null;
+        this.graficas = {};
+        this.pestanaActual = 'estadisticas';
+
+        this.configurarEventos();
+        this.iniciar();
+    }
+
+    // 🌐 Petición a la API. La cookie httpOnly del login va sola.
+    async api(ruta, opciones = {}) {
+        const respuesta = await fetch(ruta, {
+            ...opciones,
+            credentials: 'same-origin',
+            headers: {
+                'Accept': 'application/json',
+                ...(opciones.body && { 'Content-Type': 'application/json' }),
+                ...opciones.headers
+            }
+        });
+
+        const datos = await respuesta.json().catch(() => ({}));
+
+        if (respuesta.status === 401 || (respuesta.status === 403 && ruta === '/admin/me')) {
+            this.mostrarLogin();
+        }
+
+        if (!respuesta.ok) {
+            const error = new Error(datos.error || `Error ${respuesta.status}`);
+            error.status = respuesta.status;
+            throw error;
+        }
+
+        return datos;
+    }
+
+    configurarEventos() {
+        document.getElementById('formLogin').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+
+        document.getElementById('btnLogout').addEventListener('click', () => this.logout());
+        document.getElementById('btnRecargar').addEventListener('click', () => this.cargarPestana());
+
+        document.querySelectorAll('.pestana').forEach(boton => {
+            boton.addEventListener('click', () => this.cambiarPestana(boton.dataset.pestana));
+        });
+
+        document.getElementById('formAjustes').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.guardarAjustes();
+        });
+    }
+
+    async iniciar() {
+        try {
+            const { admin } = await this.api('/admin/me');
+            this.mostrarPanel(admin);
+        } catch (error) {
+            this.mostrarLogin();
+        }
+    }
+
+    // 🔐 SESIÓN
+    async login() {
+        const error = document.getElementById('loginError');
+        error.textContent = '';
+
+        try {
+            await this.api('/admin/login', {
+                method: 'POST',
+                body: JSON.stringify({
+                    username: document.getElementById('loginUsuario').value,
+                    password: document.getElementById('loginPassword').value
+                })
+            });
+
+            document.getElementById('loginPassword').value = '';
+            const { admin } = await this.api('/admin/me');
+            this.mostrarPanel(admin);
+        } catch (err) {
+            error.textContent = err.message;
+        }
+    }
+
+    async logout() {
+        try {
+            await this.api('/admin/logout', { method: 'POST' });
+        } catch (error) {
+            // Con el token caducado ya estamos fuera
+        }
+        this.admin = null;
+        this.mostrarLogin();
+    }
+
+    mostrarLogin() {
+        document.getElementById('vistaPanel').classList.add('oculto');
+        document.getElementById('vistaLogin').classList.remove('oculto');
+        document.getElementById('loginUsuario').focus();
+    }
+
+    mostrarPanel(admin) {
+        this.admin = admin;
+        document.getElementById('adminNombre').textContent = admin.username;
+        document.getElementById('adminRol').textContent = admin.role;
+        document.getElementById('vistaLogin').classList.add('oculto');
+        document.getElementById('vistaPanel').classList.remove('oculto');
+        this.cargarPestana();
+    }
+
+    cambiarPestana(pestana) {
+        this.pestanaActual = pestana;
+
+        document.querySelectorAll('.pestana').forEach(boton => {
+            boton.classList.toggle('activa', boton.dataset.pestana === pestana);
+        });
+        document.getElementById('pestanaEstadisticas').classList.toggle('oculto', pestana !== 'estadisticas');
+        document.getElementById('pestanaAjustes').classList.toggle('oculto', pestana !== 'ajustes');
+
+        this.cargarPestana();
+    }
+
+    cargarPestana() {
+        if (this.pestanaActual === 'ajustes') {
+            this.cargarAjustes();
+        } else {
+            this.cargarEstadisticas();
+        }
+    }
+
+    // 📊 ESTADÍSTICAS
+    async cargarEstadisticas() {
+        const [general, usuarios, ranking] = await Promise.allSettled([
+            this.api('/api/stats/general'),
+            this.api('/api/stats/users'),
+            this.api('/api/ai/ranking')
+        ]);
+
+        if (general.status === 'fulfilled') {
+            this.pintarGenerales(general.value);
+        }
+        if (usuarios.status === 'fulfilled') {
+            this.pintarUsuarios(usuarios.value.data);
+        }
+        if (ranking.status === 'fulfilled') {
+            this.pintarRanking(ranking.value.rankings);
+        }
+
+        const fallo = [general, usuarios, ranking].find(r => r.status === 'rejected');
+        if (fallo && fallo.reason.status !== 401) {
+            console.error('Error cargando estadísticas:', fallo.reason);
+        }
+    }
+
+    pintarGenerales(stats) {
+        this.ponerCifra('cifraConversaciones', stats.totalConversations);
+        this.ponerCifra('cifraConversaciones24h', stats.conversations24h);
+        this.ponerCifra('cifraUsuarios', stats.totalUsers);
+
+        const dias = this.rellenarDias(stats.conversationsPerDay || [], 30);
+        this.dibujar('graficaConversaciones', {
+            type: 'line',
+            data: {
+                labels: dias.map(d => d.day.slice(5)),
+                datasets: [{
+                    label: 'Conversaciones',
+                    data: dias.map(d => d.count),
+                    borderColor: COLORES.azul,
+                    backgroundColor: 'rgba(30, 58, 138, 0.15)',
+                    fill: true,
+                    tension: 0.3
+                }]
+            },
+            options: { plugins: { legend: { display: false } }, scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } }
+        });
+
+        const temas = stats.topTopics || [];
+        this.dibujar('graficaTemas', {
+            type: 'bar',
+            data: {
+                labels: temas.map(t => t.topic),
+                datasets: [{ label: 'Conversaciones', data: temas.map(t => t.count), backgroundColor: COLORES.oro }]
+            },
+            options: { plugins: { legend: { display: false } }, scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } }
+        });
+
+        const sentimientos = stats.sentimentDistribution || [];
+        this.dibujar('graficaSentimiento', {
+            type: 'doughnut',
+            data: {
+                labels: sentimientos.map(s => NOMBRES_SENTIMIENTO[s.sentiment] || s.sentiment),
+                datasets: [{
+                    data: sentimientos.map(s => s.count),
+                    backgroundColor: sentimientos.map(s => COLORES_SENTIMIENTO[s.sentiment] || COLORES.oro)
+                }]
+            }
+        });
+    }
+
+    pintarUsuarios(datos) {
+        this.ponerCifra('cifraActivos24h', datos.active_24h);
+        this.ponerCifra('cifraActivos7d', datos.active_7d);
+        this.ponerCifra('cifraMensajesUsuario', datos.avg_messages_per_user === null
+            ? null
+            : Number(datos.avg_messages_per_user).toFixed(1));
+
+        this.dibujar('graficaUsuarios', {
+            type: 'bar',
+            data: {
+                labels: ['Últimas 24h', 'Últimos 7 días', 'Total'],
+                datasets: [{
+                    label: 'Usuarios',
+                    data: [datos.active_24h, datos.active_7d, datos.total_users],
+                    backgroundColor: [COLORES.verde, COLORES.azul, COLORES.gris]
+                }]
+            },
+            options: { plugins: { legend: { display: false } }, scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } }
+        });
+    }
+
+    pintarRanking(rankings = []) {
+        const top = rankings.slice(0, 10);
+
+        this.dibujar('graficaRanking', {
+            type: 'bar',
+            data: {
+                labels: top.map(r => `${r.agrupacion} (${r.categoria})`),
+                datasets: [{
+                    label: 'Puntuación media',
+                    data: top.map(r => r.avgScore),
+                    backgroundColor: COLORES.rojo
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            afterLabel: (item) => `${top[item.dataIndex].voteCount} votos`
+                        }
+                    }
+                },
+                scales: { x: { min: 0, max: 10 } }
+            }
+        });
+    }
+
+    // Días sin conversaciones también salen, a cero
+    rellenarDias(filas, numDias) {
+        const porDia = new Map(filas.map(f => [f.day, f.count]));
+        const dias = [];
+        const hoy = new Date();
+
+        for (let i = numDias - 1; i >= 0; i--) {
+            const fecha = new Date(Date.UTC(hoy.getUTCFullYear(), hoy.getUTCMonth(), hoy.getUTCDate() - i));
+            const day = fecha.toISOString().slice(0, 10);
+            dias.push({ day, count: porDia.get(day) || 0 });
+        }
+
+        return dias;
+    }
+
+    ponerCifra(id, valor) {
+        document.getElementById(id).textContent = valor ?? '–';
+    }
+
+    // Crea la gráfica o la actualiza si ya existía
+    dibujar(id, config) {
+        if (typeof Chart === 'undefined') return;
+
+        if (this.graficas[id]) {
+            this.graficas[id].destroy();
+        }
+        this.graficas[id] = new Chart(document.getElementById(id), {
+            ...config,
+            options: { responsive: true, maintainAspectRatio: true, ...config.options }
+        });
+    }
+
+    // ⚙️ AJUSTES
+    async cargarAjustes() {
+        const esSuperadmin = this.admin?.role === 'superadmin';
+        document.getElementById('avisoPermisos').classList.toggle('oculto', esSuperadmin);
+        document.querySelectorAll('#formAjustes input, #formAjustes button').forEach(el => {
+            el.disabled = !esSuperadmin;
+        });
+
+        try {
+            const { encryptionEnabled, secrets } = await this.api('/admin/config');
+
+            const aviso = document.getElementById('avisoCifrado');
+            aviso.classList.toggle('oculto', encryptionEnabled);
+            aviso.textContent = 'Falta CONFIG_MASTER_KEY en el servidor: no se pueden guardar API keys.';
+
+            document.getElementById('estadoGroq').textContent = this.describirClave(secrets.groq_api_key);
+            document.getElementById('estadoHf').textContent = this.describirClave(secrets.hf_api_key);
+        } catch (error) {
+            this.mensajeAjustes(error.message, true);
+        }
+    }
+
+    describirClave(secreto) {
+        if (!secreto) return '';
+        if (secreto.error) return `⚠️ ${secreto.error}`;
+        if (!secreto.configured) return 'sin configurar';
+        const origen = secreto.source === 'env' ? '.env' : 'base de datos';
+        return `${secreto.masked} (${origen})`;
+    }
+
+    async guardarAjustes() {
+        const groqApiKey = document.getElementById('groqApiKey').value.trim();
+        const hfApiKey = document.getElementById('hfApiKey').value.trim();
+
+        if (!groqApiKey && !hfApiKey) {
+            this.mensajeAjustes('Escribe al menos una API key, pisha', true);
+            return;
+        }
+
+        try {
+            const datos = await this.api('/admin/update-config', {
+                method: 'POST',
+                body: JSON.stringify({ groqApiKey, hfApiKey })
+            });
+
+            document.getElementById('formAjustes').reset();
+            this.mensajeAjustes(datos.message);
+            this.cargarAjustes();
+        } catch (error) {
+            this.mensajeAjustes(error.message, true);
+        }
+    }
+
+    mensajeAjustes(texto, esError = false) {
+        const mensaje = document.getElementById('ajustesMensaje');
+        mensaje.textContent = texto;
+        mensaje.className = esError ? 'error' : '';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.panelAdmin = new PanelAdmin();
+});
@@ -9,6 +9,8 @@ class CarnavalitoSupremo {
         this.ultimaRespuesta = '';
         this.efectosActivos = true;
         this.modoCarnaval = true;
+        this.userId = this.obtenerUserId();
+        this.sessionId = localStorage.getItem('carnavalito_sessionId');
         
         // 🎵 Configuración de voces gaditanas
         this.vocesGaditanas = {
@@ -47,6 +49,7 @@ class CarnavalitoSupremo {
         this.setupSpeech();
         this.startVisualEffects();
         this.preloadSounds();
+        this.cargarSesiones();
         
         // Mostrar entrada espectacular
         setTimeout(() => {
@@ -66,7 +69,9 @@ class CarnavalitoSupremo {
             loading: document.getElementById('loading'),
             btnJorge: document.getElementById('btnJorge'),
             btnPablo: document.getElementById('btnPablo'),
-            btnCantar: document.getElementById('btnCantar')
+            btnCantar: document.getElementById('btnCantar'),
+            listaSesiones: document.getElementById('listaSesiones'),
+            btnNuevaSesion: document.getElementById('btnNuevaSesion')
         };
         
         // Event listeners
@@ -82,11 +87,27 @@ class CarnavalitoSupremo {
         this.elements.btnPablo.addEventListener('click', () => this.cambiarVoz('Pablo'));
         this.elements.btnCantar.addEventListener('click', () => this.cantarUltimaRespuesta());
         
+        if (this.elements.btnNuevaSesion) {
+            this.elements.btnNuevaSesion.addEventListener('click', () => this.nuevaSesion());
+        }
+        
         // Efectos en el escudo del Hércules
         const escudo = document.querySelector('.escudo-hercules');
         if (escudo) {
             escudo.addEventListener('click', () => this.efectoEscudoHercules());
         }
+        
+        // Palabras y acciones rápidas del panel (sin onclick en el HTML, que la CSP no los deja)
+        document.querySelectorAll('[data-palabra]').forEach(elemento => {
+            elemento.addEventListener('click', () => enviarPalabraRapida(elemento.dataset.palabra));
+        });
+        document.querySelectorAll('[data-mensaje]').forEach(boton => {
+            boton.addEventListener('click', () => enviarMensajeRapido(boton.dataset.mensaje));
+        });
+        const btnTrivia = document.getElementById('btnTrivia');
+        if (btnTrivia) {
+            btnTrivia.addEventListener('click', () => trivia());
+        }
     }
     
     // 🔌 SOCKET SETUP
@@ -102,12 +123,11 @@ class CarnavalitoSupremo {
             console.log('🎉 Bienvenida:', data);
         });
         
-        this.socket.on('nueva_respuesta', (respuesta) => {
-            if (respuesta.cantar && this.modoCarnaval) {
-                setTimeout(() => {
-                    this.hablarTexto(respuesta.mensaje, respuesta.personalidad);
-                }, 1000);
-            }
+        // 📚 Al conectar y cada vez que cambia el día
+        this.socket.on('palabra_del_dia', (palabra) => {
+            if (this.palabraDelDia === palabra.date) return;
+            this.palabraDelDia = palabra.date;
+            this.mostrarNotificacion(`📚 Palabra del día: ${palabra.term} — ${palabra.meaning}`, 'info');
         });
         
         this.socket.on('disconnect', () => {
@@ -313,6 +333,16 @@ class CarnavalitoSupremo {
         }
     }
     
+    // 🆔 Identificador persistente del usuario para la memoria del chat
+    obtenerUserId() {
+        let userId = localStorage.getItem('carnavalito_userId');
+        if (!userId) {
+            userId = 'user_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+            localStorage.setItem('carnavalito_userId', userId);
+        }
+        return userId;
+    }
+    
     // 💬 FUNCIONES DE CHAT
     async enviarMensaje() {
         const mensaje = this.elements.messageInput.value.trim();
@@ -326,28 +356,23 @@ class CarnavalitoSupremo {
         this.mostrarLoading(true);
         
         try {
-            const response = await fetch(`${this.apiBase}/api/chat`, {
+            // Primero intentamos la respuesta en streaming
+            const respondido = await this.enviarMensajeStream(mensaje);
+            if (respondido) return;
+            
+            const response = await fetch(`${this.apiBase}/api/ai/chat`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ message: mensaje })
+                body: JSON.stringify({ message: mensaje, userId: this.userId, sessionId: this.sessionId, annotate: true })
             });
             
             const data = await response.json();
             
-            if (data.success) {
-                this.ultimaRespuesta = data.response;
-                this.agregarMensaje(data.response, 'bot');
-                
-                // Efectos según el tipo de respuesta
-                this.manejarEfectosPorTipo(data.data);
-                
-                // Hablar automáticamente si está habilitado
-                if (data.data.personalidad && this.modoCarnaval) {
-                    setTimeout(() => {
-                        this.hablarTexto(data.response, data.data.personalidad);
-                    }, 800);
-                }
-                
+            if (data.reply) {
+                this.activarSesion(data.metadata.sessionId);
+                this.ultimaRespuesta = data.reply;
+                this.agregarMensaje(data.reply, 'bot', { anotaciones: data.annotations });
+                this.finalizarRespuesta(data);
             } else {
                 this.agregarMensaje('Lo siento miarma, ha habido un problemilla técnico', 'bot');
             }
@@ -361,6 +386,203 @@ class CarnavalitoSupremo {
         }
     }
     
+    // 🌊 Respuesta en streaming (SSE) desde /api/ai/chat/stream.
+    // Devuelve false si el servidor no ofrece streaming para usar el chat clásico.
+    async enviarMensajeStream(mensaje) {
+        const response = await fetch(`${this.apiBase}/api/ai/chat/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: mensaje, userId: this.userId, sessionId: this.sessionId, annotate: true })
+        });
+        
+        // La sesión guardada ya no existe: empezamos una nueva
+        if (response.status === 404 && this.sessionId) {
+            this.activarSesion(null);
+            return this.enviarMensajeStream(mensaje);
+        }
+        
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!response.ok || !contentType.includes('text/event-stream') || !response.body) {
+            return false;
+        }
+        
+        const content = this.agregarMensaje('', 'bot', { typing: false });
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let texto = '';
+        
+        const procesarEvento = (bloque) => {
+            let evento = 'message';
+            let datos = '';
+            bloque.split('\n').forEach(linea => {
+                if (linea.startsWith('event:')) evento = linea.slice(6).trim();
+                else if (linea.startsWith('data:')) datos += linea.slice(5).trim();
+            });
+            if (!datos) return;
+            
+            const payload = JSON.parse(datos);
+            if (evento === 'meta') {
+                this.activarSesion(payload.sessionId);
+            } else if (evento === 'token') {
+                texto += payload.text;
+                content.textContent = texto;
+                this.elements.chatMessages.scrollTop = this.elements.chatMessages.scrollHeight;
+            } else if (evento === 'done') {
+                texto = payload.reply;
+                this.pintarAnotaciones(content, texto, payload.annotations);
+                this.ultimaRespuesta = texto;
+                this.finalizarRespuesta(payload);
+            } else if (evento === 'error') {
+                content.textContent = payload.error;
+            }
+        };
+        
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            
+            this.mostrarLoading(false);
+            buffer += decoder.decode(value, { stream: true });
+            
+            const bloques = buffer.split('\n\n');
+            buffer = bloques.pop();
+            bloques.forEach(procesarEvento);
+        }
+        
+        if (buffer.trim()) procesarEvento(buffer);
+        
+        return true;
+    }
+    
+    // 🗂️ SESIONES DE CONVERSACIÓN
+    activarSesion(sessionId) {
+        const nueva = sessionId !== this.sessionId;
+        this.sessionId = sessionId;
+        
+        if (sessionId) {
+            localStorage.setItem('carnavalito_sessionId', sessionId);
+        } else {
+            localStorage.removeItem('carnavalito_sessionId');
+        }
+        
+        if (nueva) this.cargarSesiones();
+    }
+    
+    async cargarSesiones() {
+        if (!this.elements.listaSesiones) return;
+        
+        try {
+            const response = await fetch(`${this.apiBase}/api/ai/sessions?userId=${encodeURIComponent(this.userId)}`);
+            const data = await response.json();
+            if (!data.success) return;
+            
+            this.elements.listaSesiones.innerHTML = '';
+            data.sessions.forEach(sesion => {
+                const item = document.createElement('div');
+                item.className = 'sesion-item' + (sesion.id === this.sessionId ? ' activa' : '');
+                item.title = `${sesion.message_count} mensajes`;
+                
+                const titulo = document.createElement('span');
+                titulo.className = 'sesion-titulo';
+                titulo.textContent = sesion.title;
+                titulo.addEventListener('click', () => this.abrirSesion(sesion.id));
+                
+                const renombrar = document.createElement('button');
+                renombrar.className = 'sesion-accion';
+                renombrar.textContent = '✏️';
+                renombrar.title = 'Renombrar';
+                renombrar.addEventListener('click', () => this.renombrarSesion(sesion));
+                
+                const borrar = document.createElement('button');
+                borrar.className = 'sesion-accion';
+                borrar.textContent = '🗑️';
+                borrar.title = 'Borrar';
+                borrar.addEventListener('click', () => this.borrarSesion(sesion));
+                
+                item.appendChild(titulo);
+                item.appendChild(renombrar);
+                item.appendChild(borrar);
+                this.elements.listaSesiones.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error cargando sesiones:', error);
+        }
+    }
+    
+    async abrirSesion(sessionId) {
+        try {
+            const response = await fetch(
+                `${this.apiBase}/api/ai/sessions/${sessionId}/messages?userId=${encodeURIComponent(this.userId)}&limit=50`
+            );
+            const data = await response.json();
+            if (!data.success) {
+                this.mostrarNotificacion('No se pudo abrir la conversación', 'error');
+                return;
+            }
+            
+            this.elements.chatMessages.innerHTML = '';
+            data.messages.forEach(m => {
+                this.agregarMensaje(m.message, 'user');
+                this.agregarMensaje(m.response, 'bot', { typing: false });
+            });
+            
+            const ultimo = data.messages[data.messages.length - 1];
+            this.ultimaRespuesta = ultimo ? ultimo.response : '';
+            this.activarSesion(sessionId);
+            this.cargarSesiones();
+        } catch (error) {
+            console.error('Error abriendo sesión:', error);
+        }
+    }
+    
+    nuevaSesion() {
+        this.activarSesion(null);
+        this.elements.chatMessages.innerHTML = '';
+        this.ultimaRespuesta = '';
+        this.agregarMensaje('¡Conversación nueva, miarma! ¿De qué hablamos?', 'bot');
+        this.cargarSesiones();
+    }
+    
+    async renombrarSesion(sesion) {
+        const title = prompt('Nuevo nombre de la conversación:', sesion.title);
+        if (!title || !title.trim()) return;
+        
+        await fetch(`${this.apiBase}/api/ai/sessions/${sesion.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ userId: this.userId, title: title.trim() })
+        });
+        this.cargarSesiones();
+    }
+    
+    async borrarSesion(sesion) {
+        if (!confirm(`¿Borrar "${sesion.title}"?`)) return;
+        
+        await fetch(`${this.apiBase}/api/ai/sessions/${sesion.id}?userId=${encodeURIComponent(this.userId)}`, {
+            method: 'DELETE'
+        });
+        
+        if (sesion.id === this.sessionId) {
+            this.nuevaSesion();
+        } else {
+            this.cargarSesiones();
+        }
+    }
+    
+    // Efectos y voz cuando la respuesta está completa. `data` solo viene
+    // cuando ha contestado el motor de reglas (tipo, personalidad, cantar...)
+    finalizarRespuesta({ reply, data }) {
+        this.manejarEfectosPorTipo(data || {});
+        
+        // Hablar automáticamente si está habilitado
+        if (data && data.personalidad && this.modoCarnaval) {
+            setTimeout(() => {
+                this.hablarTexto(reply, data.personalidad);
+            }, 800);
+        }
+    }
+    
     manejarEfectosPorTipo(data) {
         switch (data.tipo) {
             case 'poesia':
@@ -383,7 +605,9 @@ class CarnavalitoSupremo {
         }
     }
     
-    agregarMensaje(texto, tipo) {
+    agregarMensaje(texto, tipo, opciones = {}) {
+        const { typing = true, anotaciones = [] } = opciones;
+
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${tipo}`;
         
@@ -393,7 +617,7 @@ class CarnavalitoSupremo {
         
         const content = document.createElement('div');
         content.className = 'message-content';
-        content.textContent = texto;
+        this.pintarAnotaciones(content, texto, anotaciones);
         
         messageDiv.appendChild(avatar);
         messageDiv.appendChild(content);
@@ -404,13 +628,81 @@ class CarnavalitoSupremo {
         this.elements.chatMessages.appendChild(messageDiv);
         this.elements.chatMessages.scrollTop = this.elements.chatMessages.scrollHeight;
         
-        // Efecto de typing si es bot
-        if (tipo === 'bot') {
-            this.efectoTyping(content, texto);
+        // Efecto de typing si es bot (las respuestas en streaming ya llegan poco a poco)
+        if (tipo === 'bot' && typing) {
+            this.efectoTyping(content, texto, () => this.pintarAnotaciones(content, texto, anotaciones));
+        }
+        
+        return content;
+    }
+    
+    // 🧠 TRIVIA: la pregunta con un botón por opción; corrige el servidor
+    mostrarTrivia(pregunta, metadata) {
+        const nivel = metadata.skill && !metadata.skill.provisional ? ` · nivel ${metadata.skill.label}` : '';
+        const content = this.agregarMensaje(
+            `🧠 TRIVIA DEL COAC (${metadata.timeLimitSeconds} segundos${nivel}):\n\n${pregunta.pregunta}\n\n`,
+            'bot',
+            { typing: false }
+        );
+        
+        const opciones = document.createElement('div');
+        opciones.className = 'trivia-opciones';
+        pregunta.opciones.forEach((opcion, index) => {
+            const boton = document.createElement('button');
+            boton.className = 'btn-accion';
+            boton.textContent = `${index + 1}. ${opcion}`;
+            boton.addEventListener('click', () => this.responderTrivia(pregunta, index, opciones, metadata));
+            opciones.appendChild(boton);
+        });
+        content.appendChild(opciones);
+    }
+    
+    async responderTrivia(pregunta, respuesta, opciones, metadata) {
+        opciones.querySelectorAll('button').forEach(boton => { boton.disabled = true; });
+        
+        try {
+            const response = await fetch(`${this.apiBase}/api/ai/trivia/answer`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ roundId: pregunta.roundId, userId: this.userId, answer: respuesta })
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                this.agregarMensaje(data.error || 'No he podido corregir la respuesta, pisha', 'bot');
+                return;
+            }
+            
+            const correcta = pregunta.opciones[data.correctIndex];
+            let mensaje;
+            if (data.correct) {
+                mensaje = `✅ ¡Olé! +${data.points} puntos (llevas ${data.totalScore})`;
+                if (data.streak > 1) mensaje += ` · racha de ${data.streak} 🔥`;
+                this.mostrarEfectoEspecial('🎉✅');
+            } else if (data.outcome === 'timeout') {
+                mensaje = `⏰ Se acabó el tiempo, miarma. Era "${correcta}".`;
+            } else {
+                mensaje = `❌ ¡Ay, pisha! Era "${correcta}".`;
+            }
+            if (data.explanation) mensaje += `\n\n${data.explanation}`;
+            
+            // Aviso cuando la dificultad adaptativa cambia de nivel
+            const anterior = metadata.skill && metadata.skill.level;
+            if (metadata.adaptive && data.skill && anterior && data.skill.level !== anterior) {
+                const niveles = ['easy', 'medium', 'hard'];
+                const sube = niveles.indexOf(data.skill.level) > niveles.indexOf(anterior);
+                mensaje += sube
+                    ? '\n\n📈 ¡Subes de nivel, pisha! Ahora vienen más difíciles.'
+                    : '\n\n📉 Bajamos un poquito el nivel, miarma, sin agobios.';
+            }
+            
+            this.agregarMensaje(mensaje, 'bot');
+        } catch (error) {
+            console.error('Error respondiendo trivia:', error);
         }
     }
     
-    efectoTyping(element, texto) {
+    efectoTyping(element, texto, alTerminar) {
         element.textContent = '';
         let i = 0;
         
@@ -419,12 +711,34 @@ class CarnavalitoSupremo {
                 element.textContent += texto.charAt(i);
                 i++;
                 setTimeout(escribir, 30);
+            } else if (alTerminar) {
+                alTerminar();
             }
         };
         
         escribir();
     }
     
+    // 📚 Palabras del diccionario gaditano con su definición al pasar el ratón
+    pintarAnotaciones(element, texto, anotaciones = []) {
+        element.textContent = '';
+        let posicion = 0;
+        
+        (anotaciones || []).forEach(anotacion => {
+            element.appendChild(document.createTextNode(texto.slice(posicion, anotacion.start)));
+            
+            const termino = document.createElement('abbr');
+            termino.className = 'termino-gaditano';
+            termino.title = anotacion.meaning;
+            termino.textContent = texto.slice(anotacion.start, anotacion.end);
+            element.appendChild(termino);
+            
+            posicion = anotacion.end;
+        });
+        
+        element.appendChild(document.createTextNode(texto.slice(posicion)));
+    }
+    
     // 🎤 FUNCIONES DE VOZ
     cambiarVoz(voz) {
         this.vozActual = voz;
@@ -448,7 +762,7 @@ class CarnavalitoSupremo {
         
         try {
             // Limpiar texto para mejor pronunciación gaditana
-            let textoLimpio = this.adaptarTextoGaditano(texto);
+            let textoLimpio = await this.adaptarTextoGaditano(texto);
             
             const utterance = new SpeechSynthesisUtterance(textoLimpio);
             
@@ -494,18 +808,21 @@ class CarnavalitoSupremo {
         }
     }
     
-    adaptarTextoGaditano(texto) {
-        // Adaptaciones para pronunciación gaditana
-        return texto
-            .replace(/pescadito/g, 'pescaíto')
-            .replace(/mira/g, 'mía')
-            .replace(/para/g, 'pa')
-            .replace(/madre/g, 'mare')
-            .replace(/padre/g, 'pare')
-            .replace(/ahora/g, 'aora')
-            .replace(/después/g, 'despué')
-            .replace(/antes/g, 'ante')
-            .replace(/detrás/g, 'detrá');
+    async adaptarTextoGaditano(texto) {
+        // El traductor del servidor respeta las palabras enteras ("admira" no es "mira");
+        // sin conexión se lee tal cual
+        try {
+            const response = await fetch(`${this.apiBase}/api/speak`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text: texto, voice: this.vozActual })
+            });
+            const data = await response.json();
+            return data.success ? data.config.text : texto;
+        } catch (error) {
+            console.error('Error adaptando el texto:', error);
+            return texto;
+        }
     }
     
     cantarUltimaRespuesta() {
@@ -674,19 +991,17 @@ function enviarPalabraRapida(palabra) {
 }
 
 async function trivia() {
+    if (!carnavalitoApp) return;
+    
     try {
-        const response = await fetch('/api/trivia');
+        const response = await fetch(`/api/ai/trivia?userId=${encodeURIComponent(carnavalitoApp.userId)}`);
         const data = await response.json();
         
-        if (data.success && carnavalitoApp) {
-            const pregunta = data.trivia;
-            let mensaje = `🧠 TRIVIA DEL COAC:\n\n${pregunta.pregunta}\n\n`;
-            pregunta.opciones.forEach((opcion, index) => {
-                mensaje += `${index + 1}. ${opcion}\n`;
-            });
-            
-            carnavalitoApp.agregarMensaje(mensaje, 'bot');
+        if (data.success) {
+            carnavalitoApp.mostrarTrivia(data.trivia, data.metadata);
             carnavalitoApp.mostrarEfectoEspecial('🧠🎭❓');
+        } else {
+            carnavalitoApp.agregarMensaje(data.error || 'No hay trivia ahora mismo, pisha', 'bot');
         }
     } catch (error) {
         console.error('Error en trivia:', error);
@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const { dbAll, dbGet, dbRun } = require('../lib/db');
+const {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  authMiddleware,
+  requireRole
+} = require('../lib/auth');
+
+// Gestión de cuentas de administración: solo superadmin
+router.use(authMiddleware, requireRole('superadmin'));
+
+function validateAdminInput({ username, password, role }, { partial = false } = {}) {
+  if (!partial || username !== undefined) {
+    if (typeof username !== 'string' || !/^[\w.-]{3,32}$/.test(username)) {
+      return 'Usuario inválido (3-32 caracteres: letras, números, punto, guion)';
+    }
+  }
+  if (!partial || password !== undefined) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`;
+    }
+  }
+  if (!partial || role !== undefined) {
+    if (!ROLES.includes(role)) {
+      return `Rol inválido. Roles válidos: ${ROLES.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+// Evita quedarse sin ningún superadmin al degradar o borrar
+async function isLastSuperadmin(db, admin) {
+  if (admin.role !== 'superadmin') return false;
+  const { total } = await dbGet(db, "SELECT COUNT(*) as total FROM admins WHERE role = 'superadmin'");
+  return total <= 1;
+}
+
+// Listar administradores
+router.get('/', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const admins = await dbAll(db, `
+      SELECT id, username, role, created_at, updated_at, last_login
+      FROM admins
+      ORDER BY username
+    `);
+    res.json({ success: true, admins });
+  } catch (error) {
+    console.error('Error listando administradores:', error);
+    res.status(500).json({ error: 'Error obteniendo administradores' });
+  }
+});
+
+// Crear administrador
+router.post('/', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const { username, password, role } = req.body;
+
+  const invalid = validateAdminInput({ username, password, role });
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const existing = await dbGet(db, 'SELECT id FROM admins WHERE username = ?', [username]);
+    if (existing) {
+      return res.status(409).json({ error: 'Ya existe un administrador con ese usuario' });
+    }
+
+    const { lastID } = await dbRun(db,
+      'INSERT INTO admins (username, password_hash, role) VALUES (?, ?, ?)',
+      [username, await hashPassword(password), role]
+    );
+
+    console.log(`👑 ${req.user.username} creó el administrador ${username} (${role})`);
+    res.status(201).json({ success: true, admin: { id: lastID, username, role } });
+  } catch (error) {
+    console.error('Error creando administrador:', error);
+    res.status(500).json({ error: 'Error creando administrador' });
+  }
+});
+
+// Cambiar rol o contraseña
+router.patch('/:id', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const { password, role } = req.body;
+
+  if (password === undefined && role === undefined) {
+    return res.status(400).json({ error: 'Nada que actualizar: indica role o password' });
+  }
+
+  const invalid = validateAdminInput({ password, role }, { partial: true });
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const admin = await dbGet(db, 'SELECT id, username, role FROM admins WHERE id = ?', [req.params.id]);
+    if (!admin) {
+      return res.status(404).json({ error: 'Administrador no encontrado' });
+    }
+
+    if (role && role !== 'superadmin' && await isLastSuperadmin(db, admin)) {
+      return res.status(409).json({ error: 'No se puede degradar al último superadmin' });
+    }
+
+    const sets = ['updated_at = CURRENT_TIMESTAMP'];
+    const params = [];
+    if (role) {
+      sets.push('role = ?');
+      params.push(role);
+    }
+    if (password) {
+      sets.push('password_hash = ?');
+      params.push(await hashPassword(password));
+    }
+    params.push(admin.id);
+
+    await dbRun(db, `UPDATE admins SET ${sets.join(', ')} WHERE id = ?`, params);
+
+    res.json({ success: true, admin: { id: admin.id, username: admin.username, role: role || admin.role } });
+  } catch (error) {
+    console.error('Error actualizando administrador:', error);
+    res.status(500).json({ error: 'Error actualizando administrador' });
+  }
+});
+
+// Borrar administrador
+router.delete('/:id', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const admin = await dbGet(db, 'SELECT id, username, role FROM admins WHERE id = ?', [req.params.id]);
+    if (!admin) {
+      return res.status(404).json({ error: 'Administrador no encontrado' });
+    }
+
+    if (admin.id === req.user.id) {
+      return res.status(409).json({ error: 'No puedes borrar tu propia cuenta' });
+    }
+
+    if (await isLastSuperadmin(db, admin)) {
+      return res.status(409).json({ error: 'No se puede borrar al último superadmin' });
+    }
+
+    await dbRun(db, 'DELETE FROM admins WHERE id = ?', [admin.id]);
+
+    console.log(`👑 ${req.user.username} borró el administrador ${admin.username}`);
+    res.json({ success: true, message: 'Administrador borrado' });
+  } catch (error) {
+    console.error('Error borrando administrador:', error);
+    res.status(500).json({ error: 'Error borrando administrador' });
+  }
+});
+
+module.exports = router;
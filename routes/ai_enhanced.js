@@ -1,31 +1,30 @@
 const express = require('express');
-const axios = require('axios');
 const router = express.Router();
-
-// Función para obtener configuración de APIs desde la base de datos
-async function getAPIConfig() {
-  const { cache, db } = require('../app_enhanced');
-  
-  const cached = cache.get('api_config');
-  if (cached) return cached;
-  
-  return new Promise((resolve, reject) => {
-    db.all('SELECT key, value FROM system_config WHERE key LIKE "%api_key"', (err, rows) => {
-      if (err) return reject(err);
-      
-      const config = {};
-      rows.forEach(row => {
-        config[row.key] = row.value;
-      });
-      
-      // Fallback a variables de entorno
-      if (!config.groq_api_key) config.groq_api_key = process.env.GROQ_API_KEY;
-      if (!config.hf_api_key) config.hf_api_key = process.env.HF_API_KEY;
-      
-      cache.set('api_config', config, 300);
-      resolve(config);
-    });
-  });
+const { generateReply, streamReply, getContextWindow } = require('../providers');
+const { createSession, getUserSession, touchSession } = require('../lib/sessions');
+const { dbRun } = require('../lib/db');
+const { findActiveBan, rejectBanned } = require('../lib/moderation');
+const { issueVoter, verifyVoter, validateVote, castVote, clearRankingCache } = require('../lib/votes');
+const { analyzeMetrics } = require('../lib/metrics');
+const { FORM_KEYS, analyzeForm } = require('../lib/stanzas');
+const { getUserDraft, getDraftVersion } = require('../lib/drafts');
+const { parseComposeRequest, composeCopla } = require('../lib/composer');
+const { parseRhymeQuery, findRhymes } = require('../lib/rhymes');
+const { getPublishedEntries } = require('../lib/dictionary');
+const { annotateText } = require('../lib/dictionary_search');
+const { translate } = require('../lib/translator');
+const { DIFFICULTIES, DEFAULT_CATEGORY } = require('../lib/trivia');
+const { startRound, answerRound, parseLeaderboardQuery, getLeaderboard } = require('../lib/trivia_game');
+const {
+  getHistoryBudget,
+  buildContextPrompt,
+  loadSessionHistory,
+  maybeSummarizeSession
+} = require('../lib/context_builder');
+
+// Configuración de APIs desde la base de datos (descifrada en lib/api_config)
+function getAPIConfig() {
+  return require('../app_enhanced').getAPIConfig();
 }
 
 // Análisis de sentimiento básico
@@ -71,156 +70,147 @@ function detectTopic(text) {
   return 'general';
 }
 
-// ==================== RUTAS PRINCIPALES ====================
-
-// Chat principal con contexto inteligente
-router.post('/chat', async (req, res) => {
-  const { message, userId, sessionId } = req.body;
-  const { db } = require('../app_enhanced');
-  
-  if (!message || !userId) {
-    return res.status(400).json({ error: 'Mensaje y userId requeridos' });
+// Sesión activa del chat: la indicada (si es del usuario) o una nueva
+// titulada con el primer mensaje. Devuelve null si la sesión no existe.
+async function resolveChatSession(db, { userId, sessionId, message }) {
+  if (sessionId) {
+    return getUserSession(db, sessionId, userId);
   }
+  return createSession(db, userId, message);
+}
 
-  const sentiment = analyzeSentiment(message);
-  const topic = detectTopic(message);
-  const ipAddress = req.ip;
-
+// Mensaje pasado a castellano estándar ("ehto ehtá mu bien" → "esto está muy bien")
+// para que el tema y el sentimiento se detecten igual se escriba como se escriba
+async function normalizeMessage(db, message) {
   try {
-    // Obtener contexto de conversaciones recientes del usuario
-    const recentContext = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT message, response 
-        FROM conversations 
-        WHERE userId = ? 
-        ORDER BY timestamp DESC 
-        LIMIT 5
-      `, [userId], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    return translate(message, { to: 'estandar', entries: await getPublishedEntries(db) }).text;
+  } catch (error) {
+    console.error('Error normalizando el mensaje:', error);
+    return message;
+  }
+}
 
-    // Construir prompt contextual
-    let contextPrompt = '';
-    if (recentContext.length > 0) {
-      contextPrompt = '\n\nContexto de conversación previa:\n' + 
-        recentContext.reverse().map(row => 
-          `Usuario: ${row.message}\nAsistente: ${row.response}`
-        ).join('\n') + '\n\n';
-    }
+// Prepara el contexto y los prompts de una petición de chat. El historial
+// de la sesión (resumen + turnos recientes) se ajusta a la ventana del modelo.
+async function buildChatRequest(db, { message, sessionId, config }) {
+  const normalized = await normalizeMessage(db, message);
+  const sentiment = analyzeSentiment(normalized);
+  const topic = detectTopic(normalized);
 
-    const systemPrompt = `Eres Carnivalito Pro Elite, el mejor asistente experto en Carnaval de Cádiz y Cádiz CF. 
+  const systemPrompt = `Eres Carnivalito Pro Elite, el mejor asistente experto en Carnaval de Cádiz y Cádiz CF. 
     Responde con auténtico salero gaditano, usando expresiones como "pisha", "mostro", "zambombazo".
     Integra referencias al carnaval, COAC, chirigotas, comparsas, y al Cádiz CF cuando sea relevante.
     Sé ingenioso, divertido, pero también informativo y útil.
     
     Contexto detectado: Tema=${topic}, Sentimiento=${sentiment}`;
 
-    const fullPrompt = systemPrompt + contextPrompt + `\nUsuario: ${message}\nAsistente:`;
+  const { summary, turns } = await loadSessionHistory(db, sessionId);
+  const budget = getHistoryBudget({
+    contextWindow: getContextWindow(config),
+    systemPrompt,
+    message
+  });
+  const context = buildContextPrompt({ summary, turns, budget });
+  const contextPrompt = context.contextPrompt;
+
+  const fullPrompt = systemPrompt + contextPrompt + `\nUsuario: ${message}\nAsistente:`;
+
+  return {
+    systemPrompt,
+    contextPrompt,
+    message,
+    fullPrompt,
+    topic,
+    sentiment,
+    normalizedMessage: normalized !== message ? normalized : undefined,
+    context: {
+      budget,
+      tokens: context.tokens,
+      turns: context.includedTurns,
+      droppedTurns: context.droppedTurns,
+      summarized: context.summarized
+    }
+  };
+}
 
-    let response;
+// Guarda el intercambio, actualiza las estadísticas del usuario y, si la
+// sesión ha crecido mucho, pliega los turnos viejos en su resumen
+async function saveConversation(db, { userId, message, response, ipAddress, sessionId, sentiment, topic }, config) {
+  // Alta del usuario la primera vez que habla (first_seen alimenta las estadísticas)
+  await dbRun(db, 'INSERT OR IGNORE INTO users (userId, total_messages) VALUES (?, 0)', [userId]);
+
+  await dbRun(db, `
+    INSERT INTO conversations (userId, message, response, ip_address, session_id, sentiment, topic)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [userId, message, response, ipAddress, sessionId, sentiment, topic]);
+
+  await dbRun(db, `
+    UPDATE users 
+    SET last_active = CURRENT_TIMESTAMP, 
+        total_messages = total_messages + 1 
+    WHERE userId = ?
+  `, [userId]);
+
+  await touchSession(db, sessionId);
+  await maybeSummarizeSession(db, sessionId, config);
+}
 
-    try {
-      // Intentar con Groq primero
-      const config = await getAPIConfig();
-      
-      if (config.groq_api_key) {
-        const groqResponse = await axios.post('https://api.groq.com/openai/v1/chat/completions', {
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: contextPrompt + message }
-          ],
-          model: 'llama3-70b-8192',
-          max_tokens: 600,
-          temperature: 0.8
-        }, {
-          headers: {
-            'Authorization': `Bearer ${config.groq_api_key}`,
-            'Content-Type': 'application/json'
-          }
-        });
-
-        response = groqResponse.data.choices[0].message.content;
-      } else {
-        throw new Error('No Groq API key available');
-      }
+// Con `annotate` la respuesta trae las palabras del diccionario gaditano que
+// usa, con su posición en el texto, para mostrar la definición al pasar por encima
+function wantsAnnotations(annotate) {
+  return annotate === true || annotate === 'true' || annotate === '1';
+}
 
-    } catch (groqError) {
-      console.log('Groq falló, intentando con HuggingFace:', groqError.message);
-      
-      try {
-        const config = await getAPIConfig();
-        
-        if (config.hf_api_key) {
-          const hfResponse = await axios.post(
-            'https://api-inference.huggingface.co/models/microsoft/DialoGPT-medium',
-            { inputs: fullPrompt },
-            { 
-              headers: { 
-                'Authorization': `Bearer ${config.hf_api_key}`,
-                'Content-Type': 'application/json'
-              }
-            }
-          );
-          
-          response = hfResponse.data[0]?.generated_text?.replace(fullPrompt, '').trim() || 
-                     '¡Viva el Carnaval, pisha! 🎭';
-        } else {
-          throw new Error('No HF API key available');
-        }
-        
-      } catch (hfError) {
-        console.log('HuggingFace también falló, usando respuesta local');
-        
-        // Respuestas inteligentes locales basadas en el tema detectado
-        const localResponses = {
-          carnaval: [
-            "¡Olé tus cojones! Eso que dices del Carnaval tiene más miga que una copla de Los Millonarios. 🎭",
-            "En el COAC eso lo cantaría una chirigota de las buenas, pisha. ¡Qué arte tienes! 🎵",
-            "¡Zambombazo! Eso es pura esencia carnavalera gaditana. Como las coplas del Falla. 💃"
-          ],
-          cadiz: [
-            "¡Eso es más gaditano que los pescaítos fritos en La Caleta, mostro! 🐟",
-            "Como buen hijo de la tacita de plata, te digo que tienes razón. ⚓",
-            "¡Viva Cádiz y viva la sal de esta tierra! Eso que dices tiene salero. 🌊"
-          ],
-          futbol: [
-            "¡Viva er Cádiz CF! Eso lo dirían en las gradas del Nuevo Mirandilla. ⚽",
-            "Como cadista de pura cepa, te digo que tienes razón, pisha. 💛💙",
-            "¡Amarillo submarino! El Cádiz en Primera es un sueño hecho realidad. 🚢"
-          ],
-          general: [
-            "¡Qué bueno, mostro! Me has sacado una sonrisa carnavalera. 😄",
-            "Eso se merece un aplauso en el Falla, pisha. ¡Olé! 👏",
-            "¡Zambombazo! Lo que dices tiene mucho salero gaditano. 🎉"
-          ]
-        };
-        
-        const responses = localResponses[topic] || localResponses.general;
-        response = responses[Math.floor(Math.random() * responses.length)];
-      }
+async function annotateReply(db, reply) {
+  try {
+    return annotateText(reply, await getPublishedEntries(db));
+  } catch (error) {
+    console.error('Error anotando la respuesta:', error);
+    return [];
+  }
+}
+
+// ==================== RUTAS PRINCIPALES ====================
+
+// Chat principal con contexto inteligente
+router.post('/chat', rejectBanned, async (req, res) => {
+  const { message, userId, sessionId, annotate } = req.body;
+  const { db } = require('../app_enhanced');
+  
+  if (!message || !userId) {
+    return res.status(400).json({ error: 'Mensaje y userId requeridos' });
+  }
+
+  try {
+    const session = await resolveChatSession(db, { userId, sessionId, message });
+    if (!session) {
+      return res.status(404).json({ error: 'Sesión no encontrada, pisha' });
     }
 
-    // Guardar conversación en base de datos
-    db.run(`
-      INSERT INTO conversations (userId, message, response, ip_address, session_id, sentiment, topic)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `, [userId, message, response, ipAddress, sessionId, sentiment, topic]);
+    const config = await getAPIConfig();
+    const chatRequest = await buildChatRequest(db, { message, sessionId: session.id, config });
+    const { sentiment, topic } = chatRequest;
+
+    // Pedir respuesta a los proveedores LLM por orden de prioridad
+    const result = await generateReply(chatRequest, config);
+    const response = result.text;
 
-    // Actualizar estadísticas del usuario
-    db.run(`
-      UPDATE users 
-      SET last_active = CURRENT_TIMESTAMP, 
-          total_messages = total_messages + 1 
-      WHERE userId = ?
-    `, [userId]);
+    saveConversation(db, {
+      userId, message, response, ipAddress: req.ip, sessionId: session.id, sentiment, topic
+    }, config).catch(err => console.error('Error guardando conversación:', err));
 
     res.json({ 
       reply: response,
+      annotations: wantsAnnotations(annotate) ? await annotateReply(db, response) : undefined,
+      data: result.data,
       metadata: {
+        sessionId: session.id,
         sentiment,
         topic,
+        provider: result.provider,
+        attempts: result.attempts,
+        context: chatRequest.context,
+        normalizedMessage: chatRequest.normalizedMessage,
         timestamp: new Date().toISOString()
       }
     });
@@ -234,106 +224,149 @@ router.post('/chat', async (req, res) => {
   }
 });
 
-// Análisis poético avanzado
-router.post('/analyze-poem', async (req, res) => {
-  const { text, userId } = req.body;
+// Chat en streaming (Server-Sent Events). Acepta GET (para EventSource) y POST.
+// Eventos: meta (sesión, tema y sentimiento), token (fragmento de texto),
+// done (respuesta completa y proveedor) y error.
+async function chatStream(req, res) {
+  const { message, userId, sessionId, annotate } = req.method === 'GET' ? req.query : req.body;
   const { db } = require('../app_enhanced');
-  
-  if (!text) {
-    return res.status(400).json({ error: 'Texto requerido para análisis' });
+
+  if (!message || !userId) {
+    return res.status(400).json({ error: 'Mensaje y userId requeridos' });
   }
 
+  let session;
   try {
-    // Análisis de métrica
-    function analyzeMetrics(text) {
-      const verses = text.split('\n').filter(v => v.trim());
-      
-      const analysis = verses.map(verse => {
-        const cleanVerse = verse.toLowerCase()
-          .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
-          .replace(/[.,;:!?¿¡()"\[\]]/g, '')
-          .trim();
-        
-        // Contador de sílabas más preciso
-        let syllables = 0;
-        let inVowel = false;
-        
-        for (let i = 0; i < cleanVerse.length; i++) {
-          const char = cleanVerse[i];
-          if ('aeiouáéíóúü'.includes(char)) {
-            if (!inVowel) syllables++;
-            inVowel = true;
-          } else if (char !== ' ') {
-            inVowel = false;
-          }
-        }
-        
-        return {
-          verse: verse.trim(),
-          syllables: Math.max(1, syllables),
-          words: verse.trim().split(/\s+/).length
-        };
-      });
+    session = await resolveChatSession(db, { userId, sessionId, message });
+  } catch (error) {
+    console.error('Error obteniendo sesión:', error);
+    return res.status(500).json({ error: '¡Ay, pisha! Algo ha fallado en el tangai. Inténtalo de nuevo.' });
+  }
+  if (!session) {
+    return res.status(404).json({ error: 'Sesión no encontrada, pisha' });
+  }
 
-      // Análisis de rima
-      const lastWords = analysis.map(a => 
-        a.verse.split(/\s+/).pop().toLowerCase()
-          .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
-          .replace(/[.,;:!?¿¡()"\[\]]/g, '')
-      );
-
-      const rhymeScheme = detectRhymeScheme(lastWords);
-      
-      return {
-        verses: analysis,
-        totalVerses: verses.length,
-        averageSyllables: analysis.reduce((sum, a) => sum + a.syllables, 0) / analysis.length,
-        rhymeScheme,
-        metricalPattern: getMetricalPattern(analysis.map(a => a.syllables))
-      };
-    }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
 
-    function detectRhymeScheme(words) {
-      const groups = {};
-      let currentLetter = 'A';
-      const scheme = [];
-
-      words.forEach(word => {
-        const suffix = word.slice(-3); // Últimas 3 letras para rima
-        
-        let found = false;
-        for (const [letter, suffixes] of Object.entries(groups)) {
-          if (suffixes.some(s => suffix.includes(s.slice(-2)) || s.includes(suffix.slice(-2)))) {
-            scheme.push(letter);
-            groups[letter].push(suffix);
-            found = true;
-            break;
-          }
-        }
-        
-        if (!found) {
-          groups[currentLetter] = [suffix];
-          scheme.push(currentLetter);
-          currentLetter = String.fromCharCode(currentLetter.charCodeAt(0) + 1);
-        }
-      });
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Cancelar la petición al proveedor si el cliente se va
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const config = await getAPIConfig();
+    const chatRequest = await buildChatRequest(db, { message, sessionId: session.id, config });
+    const { sentiment, topic } = chatRequest;
+    sendEvent('meta', { sessionId: session.id, sentiment, topic });
+
+    const result = await streamReply(
+      chatRequest,
+      config,
+      token => sendEvent('token', { text: token }),
+      { signal: controller.signal }
+    );
+    const response = result.text;
+
+    saveConversation(db, {
+      userId, message, response, ipAddress: req.ip, sessionId: session.id, sentiment, topic
+    }, config).catch(err => console.error('Error guardando conversación:', err));
+
+    sendEvent('done', {
+      reply: response,
+      annotations: wantsAnnotations(annotate) ? await annotateReply(db, response) : undefined,
+      data: result.data,
+      metadata: {
+        sessionId: session.id,
+        sentiment,
+        topic,
+        provider: result.provider,
+        attempts: result.attempts,
+        context: chatRequest.context,
+        normalizedMessage: chatRequest.normalizedMessage,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+
+    console.error('Error en chat streaming:', error);
+    sendEvent('error', {
+      error: '¡Ay, pisha! Algo ha fallado en el tangai. Inténtalo de nuevo.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
+  res.end();
+}
+
+router.get('/chat/stream', rejectBanned, chatStream);
+router.post('/chat/stream', rejectBanned, chatStream);
+
+// Análisis poético avanzado
+router.post('/analyze-poem', async (req, res) => {
+  const { userId, meter, form, draftId, version } = req.body;
+  const { db } = require('../app_enhanced');
+  let { text } = req.body;
+  let draftVersion = null;
 
-      return scheme.join('');
+  // Con draftId se analiza una versión del borrador (la actual si no se indica)
+  if (draftId) {
+    if (!userId) {
+      return res.status(400).json({ error: 'userId requerido para analizar un borrador' });
+    }
+    if (version !== undefined && !(Number.isInteger(version) && version >= 1)) {
+      return res.status(400).json({ error: 'version debe ser un número de versión válido' });
     }
 
-    function getMetricalPattern(syllableCounts) {
-      const unique = [...new Set(syllableCounts)];
-      if (unique.length === 1) {
-        const count = unique[0];
-        if (count === 8) return 'Octosílabos';
-        if (count === 11) return 'Endecasílabos';
-        if (count === 7) return 'Heptasílabos';
-        return `${count} sílabas`;
+    try {
+      const draft = await getUserDraft(db, draftId, userId);
+      if (!draft) {
+        return res.status(404).json({ error: 'Borrador no encontrado, pisha' });
+      }
+      draftVersion = await getDraftVersion(db, draft.id, version ?? draft.current_version);
+      if (!draftVersion) {
+        return res.status(404).json({ error: 'Esa versión del borrador no existe' });
       }
-      return 'Métrica libre';
+    } catch (error) {
+      console.error('Error cargando borrador:', error);
+      return res.status(500).json({ error: 'Error cargando el borrador' });
     }
 
-    const analysis = analyzeMetrics(text);
+    if (text && text !== draftVersion.text) {
+      return res.status(400).json({ error: 'El texto no coincide con la versión del borrador; guarda antes una versión nueva' });
+    }
+    text = draftVersion.text;
+  }
+  
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'Texto requerido para análisis' });
+  }
+
+  if (meter !== undefined && !(Number.isInteger(meter) && meter >= 2 && meter <= 20)) {
+    return res.status(400).json({ error: 'meter debe ser un número de sílabas entre 2 y 20' });
+  }
+
+  if (form !== undefined && !FORM_KEYS.includes(form)) {
+    return res.status(400).json({ error: `Forma desconocida. Formas válidas: ${FORM_KEYS.join(', ')}` });
+  }
+
+  try {
+    const analysis = analyzeMetrics(text, { meter });
+    // Solo etiquetas de estrofa o líneas en blanco: no hay versos que analizar
+    if (analysis.totalVerses === 0) {
+      return res.status(400).json({ error: 'Texto requerido para análisis' });
+    }
+    analysis.form = analyzeForm(analysis, { form });
     const sentiment = analyzeSentiment(text);
 
     // Generar explicación contextual
@@ -341,8 +374,22 @@ router.post('/analyze-poem', async (req, res) => {
     explanation += `🎭 **Estructura:**\n`;
     explanation += `• Versos: ${analysis.totalVerses}\n`;
     explanation += `• Métrica: ${analysis.metricalPattern}\n`;
-    explanation += `• Rima: ${analysis.rhymeScheme}\n`;
-    explanation += `• Promedio silábico: ${analysis.averageSyllables.toFixed(1)}\n\n`;
+    if (analysis.measure) {
+      explanation += `• Medida de referencia: ${analysis.measure} sílabas\n`;
+    }
+    explanation += `• Rima: ${analysis.rhymeScheme} (mayúscula = consonante, minúscula = asonante, - = verso suelto)\n`;
+    if (analysis.rhyme.romance) {
+      explanation += `• ${analysis.rhyme.romance.type[0].toUpperCase() + analysis.rhyme.romance.type.slice(1)}: ` +
+        `asonancia ${analysis.rhyme.romance.assonance} en los versos pares\n`;
+    }
+    explanation += `• Promedio silábico: ${analysis.averageSyllables.toFixed(1)}\n`;
+    if (analysis.form) {
+      explanation += `• Forma: ${analysis.form.name}` +
+        (analysis.form.matches ? ' ✔️' : ` (${analysis.form.deviations.length} desviaciones)`) + '\n';
+    } else {
+      explanation += `• Forma: libre, no encaja con ninguna estrofa conocida\n`;
+    }
+    explanation += '\n';
     
     explanation += `🎨 **Sentimiento:** ${sentiment}\n\n`;
     
@@ -352,15 +399,28 @@ router.post('/analyze-poem', async (req, res) => {
     
     explanation += `🔍 **Desglose por verso:**\n`;
     analysis.verses.forEach((verse, index) => {
-      explanation += `${index + 1}. "${verse.verse}" (${verse.syllables} sílabas)\n`;
+      explanation += `${index + 1}. "${verse.verse}" (${verse.metricSyllables} sílabas métricas, ` +
+        `${verse.grammaticalSyllables} gramaticales, ${verse.finalStress})\n`;
+      explanation += `   ${verse.breakdown}\n`;
+      if (verse.licenses.length > 0) {
+        explanation += `   Licencias: ${verse.licenses.map(l => `${l.type} en "${l.word}"`).join(', ')}\n`;
+      }
     });
 
-    // Guardar análisis en base de datos
+    if (analysis.form && !analysis.form.matches) {
+      explanation += `\n⚠️ **Desviaciones respecto a la ${analysis.form.name.toLowerCase()}:**\n`;
+      analysis.form.deviations.forEach(d => {
+        const where = d.verse ? `Verso ${d.verse}` : `Estrofa ${d.stanza || '-'}`;
+        explanation += `• ${where}: ${d.message}\n`;
+      });
+    }
+
+    // Guardar análisis en base de datos, enganchado a la versión del borrador si la hay
     if (userId) {
-      db.run(`
+      const { lastID } = await dbRun(db, `
         INSERT INTO poetry_analysis 
-        (userId, text, analysis_result, verses_count, syllables_analysis, rhyme_scheme, sentiment)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        (userId, text, analysis_result, verses_count, syllables_analysis, rhyme_scheme, sentiment, draft_id, draft_version)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         userId, 
         text, 
@@ -368,15 +428,22 @@ router.post('/analyze-poem', async (req, res) => {
         analysis.totalVerses,
         JSON.stringify(analysis.verses.map(v => v.syllables)),
         analysis.rhymeScheme,
-        sentiment
+        sentiment,
+        draftVersion ? draftVersion.draft_id : null,
+        draftVersion ? draftVersion.version : null
       ]);
+
+      if (draftVersion) {
+        await dbRun(db, 'UPDATE draft_versions SET analysis_id = ? WHERE id = ?', [lastID, draftVersion.id]);
+      }
     }
 
     res.json({
       success: true,
       analysis,
       sentiment,
-      explanation
+      explanation,
+      ...(draftVersion && { draft: { id: draftVersion.draft_id, version: draftVersion.version } })
     });
 
   } catch (error) {
@@ -388,88 +455,116 @@ router.post('/analyze-poem', async (req, res) => {
   }
 });
 
-// Trivia carnavalera
-router.get('/trivia', async (req, res) => {
-  const { difficulty = 'medium', category = 'carnaval' } = req.query;
-
-  const triviaBank = {
-    carnaval: {
-      easy: [
-        {
-          pregunta: "¿En qué ciudad se celebra el Carnaval más famoso de España?",
-          opciones: ["Sevilla", "Cádiz", "Madrid", "Barcelona"],
-          respuestaCorrecta: 1,
-          explicacion: "¡En Cádiz, pisha! La tacita de plata tiene el carnaval más famoso de España."
-        },
-        {
-          pregunta: "¿Cómo se llama el teatro donde se celebra el COAC?",
-          opciones: ["Teatro Real", "Teatro Falla", "Teatro Calderón", "Teatro Principal"],
-          respuestaCorrecta: 1,
-          explicacion: "¡El Teatro Falla! Donde se corona a los mejores del Carnaval gaditano."
-        }
-      ],
-      medium: [
-        {
-          pregunta: "¿Cuántas modalidades compiten en el COAC?",
-          opciones: ["3", "4", "5", "6"],
-          respuestaCorrecta: 1,
-          explicacion: "¡Son 4! Chirigotas, comparsas, coros y cuartetos. ¡Olé!"
-        },
-        {
-          pregunta: "¿Qué agrupación escribió 'Los Millonarios'?",
-          opciones: ["Chirigota", "Comparsa", "Coro", "Cuarteto"],
-          respuestaCorrecta: 0,
-          explicacion: "¡Una chirigota legendaria! Los Millonarios marcaron época en el Carnaval."
-        }
-      ],
-      hard: [
-        {
-          pregunta: "¿En qué año se creó oficialmente el COAC?",
-          opciones: ["1980", "1985", "1982", "1979"],
-          respuestaCorrecta: 2,
-          explicacion: "¡En 1982! Aunque el Carnaval gaditano es mucho más antiguo."
-        }
-      ]
-    },
-    cadiz: {
-      easy: [
-        {
-          pregunta: "¿Cómo se conoce popularmente a Cádiz?",
-          opciones: ["La Perla del Sur", "La Tacita de Plata", "La Joya Andaluza", "La Bella Gaditana"],
-          respuestaCorrecta: 1,
-          explicacion: "¡La Tacita de Plata! Por su forma y belleza únicas."
-        }
-      ],
-      medium: [
-        {
-          pregunta: "¿Cuál es el estadio del Cádiz CF?",
-          opciones: ["Ramón de Carranza", "Nuevo Mirandilla", "La Rosaleda", "El Arcángel"],
-          respuestaCorrecta: 1,
-          explicacion: "¡El Nuevo Mirandilla! Donde juega nuestro querido Cádiz CF."
-        }
-      ],
-      hard: [
-        {
-          pregunta: "¿En qué año ascendió el Cádiz CF a Primera División por última vez?",
-          opciones: ["2019", "2020", "2021", "2018"],
-          respuestaCorrecta: 1,
-          explicacion: "¡En 2020! Un ascenso histórico que emocionó a toda la ciudad."
-        }
-      ]
+// Componer una copla con el LLM, validada (y corregida) con el analizador métrico
+router.post('/compose', rejectBanned, async (req, res) => {
+  const params = parseComposeRequest(req.body);
+  if (params.error) {
+    return res.status(400).json({ error: params.error });
+  }
+
+  try {
+    const config = await getAPIConfig();
+    const result = await composeCopla(params, config);
+
+    res.json({
+      success: true,
+      theme: params.theme,
+      modality: params.modality,
+      style: params.style,
+      verses: result.verses,
+      text: result.text,
+      valid: result.report.valid,
+      report: result.report,
+      metadata: {
+        fixRounds: result.rounds,
+        providers: result.providers,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error componiendo copla:', error);
+
+    if (error.providerErrors) {
+      return res.status(503).json({
+        error: 'No hay ningún LLM disponible para componer ahora mismo, pisha',
+        details: process.env.NODE_ENV === 'development' ? error.providerErrors : undefined
+      });
     }
-  };
+
+    res.status(500).json({ 
+      error: 'Error componiendo la copla, pisha',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Rimas para una palabra, agrupadas por sílabas y acento
+router.get('/rhymes', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const query = parseRhymeQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  try {
+    const entries = await getPublishedEntries(db);
+    const result = findRhymes(query, {
+      dictionaryWords: entries.filter(e => e.kind === 'word').map(e => e.term)
+    });
+    if (!result) {
+      return res.status(400).json({ error: 'Esa palabra no tiene ni una vocal, pisha' });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error buscando rimas:', error);
+    res.status(500).json({ 
+      error: 'Error buscando rimas, pisha',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Trivia carnavalera
+// Pregunta de trivia sin la respuesta: se contesta con POST /trivia/answer y el roundId.
+// Sin difficulty (o con difficulty=auto) se adapta al nivel del usuario en la categoría.
+router.get('/trivia', rejectBanned, async (req, res) => {
+  const { userId } = req.query;
+  const category = String(req.query.category || DEFAULT_CATEGORY).toLowerCase();
+  const difficulty = req.query.difficulty && req.query.difficulty !== 'auto' ? req.query.difficulty : null;
+  const { db } = require('../app_enhanced');
+
+  if (!userId) {
+    return res.status(400).json({ error: 'userId requerido pa jugar, pisha' });
+  }
+  if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+    return res.status(400).json({ error: `Dificultad inválida. Dificultades válidas: auto, ${DIFFICULTIES.join(', ')}` });
+  }
 
   try {
-    const questions = triviaBank[category]?.[difficulty] || triviaBank.carnaval.medium;
-    const randomQuestion = questions[Math.floor(Math.random() * questions.length)];
+    const round = await startRound(db, { userId, category, difficulty });
+    if (!round) {
+      return res.status(404).json({ error: 'No hay preguntas de trivia todavía, pisha' });
+    }
 
+    const { question } = round;
     res.json({
       success: true,
-      trivia: randomQuestion,
+      trivia: {
+        roundId: round.roundId,
+        pregunta: question.question,
+        opciones: question.options
+      },
       metadata: {
-        difficulty,
-        category,
-        totalQuestions: questions.length
+        difficulty: question.difficulty,
+        category: question.category,
+        adaptive: round.adaptive,
+        skill: round.skill,
+        totalQuestions: round.pool.total,
+        unseenQuestions: round.pool.unseen,
+        timeLimitSeconds: round.timeLimitSeconds,
+        expiresAt: round.expiresAt
       }
     });
 
@@ -479,54 +574,106 @@ router.get('/trivia', async (req, res) => {
   }
 });
 
-// Sistema de votos mejorado
-router.post('/vote', async (req, res) => {
-  const { agrupacion, categoria, puntuacion, comentario, userId } = req.body;
+// Respuesta a una ronda: { roundId, userId, answer } con answer = índice de la opción
+router.post('/trivia/answer', rejectBanned, async (req, res) => {
+  const { roundId, userId, answer } = req.body;
   const { db } = require('../app_enhanced');
-  
-  if (!agrupacion || !categoria || !puntuacion || puntuacion < 1 || puntuacion > 10) {
-    return res.status(400).json({ error: 'Datos inválidos para votar' });
+
+  if (!roundId || !userId) {
+    return res.status(400).json({ error: 'roundId y userId requeridos' });
+  }
+  if (!Number.isInteger(answer) || answer < 0) {
+    return res.status(400).json({ error: 'answer debe ser el número de la opción (desde 0)' });
   }
 
   try {
-    // Verificar si el usuario ya votó por esta agrupación
-    db.get(
-      'SELECT id FROM votes WHERE userId = ? AND agrupacion = ? AND categoria = ?',
-      [userId, agrupacion, categoria],
-      (err, existingVote) => {
-        if (err) {
-          return res.status(500).json({ error: 'Error verificando voto previo' });
-        }
-
-        if (existingVote) {
-          return res.status(409).json({ 
-            error: 'Ya has votado por esta agrupación en esta categoría' 
-          });
-        }
-
-        // Insertar nuevo voto
-        db.run(
-          'INSERT INTO votes (userId, agrupacion, categoria, puntuacion, comentario, ip_address) VALUES (?, ?, ?, ?, ?, ?)',
-          [userId, agrupacion, categoria, puntuacion, comentario, req.ip],
-          function(err) {
-            if (err) {
-              return res.status(500).json({ error: 'Error guardando voto' });
-            }
-            
-            // Invalidar cache de ranking
-            const { cache } = require('../app_enhanced');
-            cache.del('ranking');
-            
-            res.json({ 
-              success: true,
-              message: '¡Voto guardado correctamente! 🎉',
-              voteId: this.lastID
-            });
-          }
-        );
-      }
-    );
+    const result = await answerRound(db, { roundId, userId, answer });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error corrigiendo trivia:', error);
+    res.status(500).json({ error: 'Error corrigiendo la respuesta' });
+  }
+});
+
+// Clasificación: ?period=daily|weekly|all (UTC), limit y userId para ver tu puesto
+router.get('/trivia/leaderboard', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const query = parseLeaderboardQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  try {
+    res.json({ success: true, ...(await getLeaderboard(db, query)) });
+  } catch (error) {
+    console.error('Error obteniendo clasificación de trivia:', error);
+    res.status(500).json({ error: 'Error obteniendo la clasificación' });
+  }
+});
+
+// Identidad de votante del usuario: se guarda y se manda en cada voto
+router.post('/voter', rejectBanned, async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const voter = await issueVoter(db, {
+      userId: req.body.userId,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    if (voter.error) {
+      return res.status(voter.status).json({ error: voter.error });
+    }
+
+    res.status(201).json({ success: true, ...voter });
+  } catch (error) {
+    console.error('Error creando votante:', error);
+    res.status(500).json({ error: 'Error creando la identidad de votante' });
+  }
+});
+
+// Sistema de votos: un voto por votante, agrupación y categoría
+router.post('/vote', rejectBanned, async (req, res) => {
+  const { db, cache } = require('../app_enhanced');
+
+  const voter = verifyVoter(req.body.voterToken);
+  if (!voter) {
+    return res.status(401).json({
+      error: 'Pa votar necesitas una identidad de votante, pisha: pídela en POST /api/ai/voter'
+    });
+  }
 
+  const { error, values } = validateVote(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    // El userId que cuenta es el del token, no el que mande el cliente
+    const ban = await findActiveBan(db, { userId: voter.uid, ip: req.ip });
+    if (ban) {
+      return res.status(403).json({
+        error: 'Tienes el acceso vetado, pisha. Habla con la organización.',
+        expiresAt: ban.expires_at
+      });
+    }
+
+    const result = await castVote(db, { voter, values, ip: req.ip });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    clearRankingCache(cache);
+
+    res.json({
+      success: true,
+      message: '¡Voto guardado correctamente! 🎉',
+      voteId: result.voteId
+    });
   } catch (error) {
     console.error('Error en sistema de votos:', error);
     res.status(500).json({ error: 'Error procesando voto' });
@@ -544,6 +691,7 @@ router.get('/ranking', async (req, res) => {
     return res.json({ success: true, rankings: cached, fromCache: true });
   }
 
+  // Los votos anulados por moderación no cuentan
   let query = `
     SELECT 
       agrupacion, 
@@ -553,11 +701,12 @@ router.get('/ranking', async (req, res) => {
       MIN(puntuacion) as minScore,
       MAX(puntuacion) as maxScore
     FROM votes 
+    WHERE voided_at IS NULL
   `;
   
   let params = [];
   if (categoria) {
-    query += ' WHERE categoria = ?';
+    query += ' AND categoria = ?';
     params.push(categoria);
   }
   
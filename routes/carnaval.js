@@ -0,0 +1,262 @@
+const express = require('express');
+const router = express.Router();
+const { carnavalitoIA } = require('../lib/carnavalito_ia');
+const { dbGet, dbRun } = require('../lib/db');
+const { rejectBanned } = require('../lib/moderation');
+const {
+  validateEntry,
+  findDuplicate,
+  getPublishedEntries,
+  toLegacyShape
+} = require('../lib/dictionary');
+const { parseSearchQuery, searchEntries } = require('../lib/dictionary_search');
+const { getWordOfTheDay, getWordHistory, parseHistoryLimit } = require('../lib/word_of_the_day');
+const { translate, parseTranslateRequest } = require('../lib/translator');
+
+// Propuestas pendientes que puede acumular una misma IP
+const MAX_PENDING_PER_IP = 10;
+
+// 🎭 RUTAS CARNAVALERAS (poesía, diccionario, trivia y voz)
+
+// Generar poesía específica
+router.post('/poetry', (req, res) => {
+  try {
+    const { tema, estilo } = req.body;
+    const poesia = carnavalitoIA.crearPoesia(`${tema} en ${estilo || 'tanguillos'}`);
+
+    res.json({
+      success: true,
+      poetry: poesia.versos,
+      estilo: poesia.estilo,
+      cantar: true,
+      voz: poesia.personalidad
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Error creando poesía' });
+  }
+});
+
+// Diccionario gaditano (solo lo publicado)
+router.get('/diccionario', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const entries = await getPublishedEntries(db);
+    res.json({
+      success: true,
+      diccionario: toLegacyShape(entries)
+    });
+  } catch (error) {
+    console.error('Error obteniendo diccionario:', error);
+    res.status(500).json({ error: 'Error obteniendo el diccionario' });
+  }
+});
+
+// Búsqueda aproximada: sin tildes, por prefijo, con erratas y grafías gaditanas,
+// y también dentro de significados, ejemplos y frases
+router.get('/diccionario/buscar', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const query = parseSearchQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  try {
+    const entries = await getPublishedEntries(db);
+    const resultados = searchEntries(entries, query.q, { limit: query.limit });
+
+    res.json({ success: true, q: query.q, total: resultados.length, resultados });
+  } catch (error) {
+    console.error('Error buscando en diccionario:', error);
+    res.status(500).json({ error: 'Error buscando en el diccionario' });
+  }
+});
+
+// Palabra del día: la misma para todos durante el día (hora de Cádiz)
+router.get('/diccionario/palabra-del-dia', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const palabra = await getWordOfTheDay(db);
+    if (!palabra) {
+      return res.status(404).json({ error: 'El diccionario está vacío, pisha: hoy no hay palabra del día' });
+    }
+    res.json({ success: true, palabra });
+  } catch (error) {
+    console.error('Error obteniendo la palabra del día:', error);
+    res.status(500).json({ error: 'Error obteniendo la palabra del día' });
+  }
+});
+
+// Palabras de los últimos días, de hoy hacia atrás (?limit=, 7 por defecto)
+router.get('/diccionario/palabra-del-dia/historial', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const historial = await getWordHistory(db, parseHistoryLimit(req.query));
+    res.json({ success: true, total: historial.length, historial });
+  } catch (error) {
+    console.error('Error obteniendo el historial de palabras del día:', error);
+    res.status(500).json({ error: 'Error obteniendo el historial' });
+  }
+});
+
+// Búsqueda en diccionario
+router.get('/diccionario/:palabra', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const palabra = req.params.palabra.toLowerCase();
+
+  try {
+    const entries = await getPublishedEntries(db);
+    const encontrada = toLegacyShape(entries).palabras.find(p =>
+      p.word.toLowerCase() === palabra
+    );
+
+    if (encontrada) {
+      res.json({ success: true, palabra: encontrada });
+    } else {
+      // Solo sugerencias parecidas de verdad, no lo que sale por el significado
+      const sugerencias = searchEntries(entries, palabra, { limit: 3 })
+        .filter(e => e.score >= 50)
+        .map(e => e.term);
+      res.json({
+        success: false,
+        message: sugerencias.length > 0
+          ? `"${palabra}" no está en mi diccionario gaditano, chiquillo. ¿Querías decir ${sugerencias.map(t => `"${t}"`).join(', ')}?`
+          : `"${palabra}" no está en mi diccionario gaditano, chiquillo`,
+        sugerencias
+      });
+    }
+  } catch (error) {
+    console.error('Error buscando en diccionario:', error);
+    res.status(500).json({ error: 'Error buscando en el diccionario' });
+  }
+});
+
+// Proponer una palabra o frase: queda pendiente hasta que la revise un moderador
+router.post('/diccionario/propuestas', rejectBanned, async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const { userId } = req.body;
+
+  // El público no elige el audio: eso lo pone la organización
+  const { error, values } = validateEntry({ ...req.body, audio_url: undefined });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const duplicate = await findDuplicate(db, values);
+    if (duplicate) {
+      return res.status(409).json({
+        error: duplicate.status === 'published'
+          ? `"${values.term}" ya está en el diccionario, pisha`
+          : `"${values.term}" ya está propuesta y pendiente de revisión`
+      });
+    }
+
+    const { pending } = await dbGet(db,
+      "SELECT COUNT(*) as pending FROM dictionary_entries WHERE status = 'pending' AND submitted_ip = ?",
+      [req.ip]
+    );
+    if (pending >= MAX_PENDING_PER_IP) {
+      return res.status(429).json({ error: '¡Quillo, espera a que revisen lo que ya has mandado!' });
+    }
+
+    const { lastID } = await dbRun(db, `
+      INSERT INTO dictionary_entries
+        (kind, term, meaning, etymology, examples, synonyms, register, status, submitted_by, submitted_ip)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+    `, [
+      values.kind, values.term, values.meaning, values.etymology || null, values.examples || null,
+      values.synonyms || null, values.register || null, userId || null, req.ip
+    ]);
+
+    res.status(201).json({
+      success: true,
+      id: lastID,
+      status: 'pending',
+      message: `¡Gracias, miarma! "${values.term}" queda pendiente de revisión`
+    });
+  } catch (error) {
+    console.error('Error guardando propuesta:', error);
+    res.status(500).json({ error: 'Error guardando la propuesta' });
+  }
+});
+
+// Trivia del COAC: alias de /api/ai/trivia (la pregunta ya no trae la respuesta)
+router.get('/trivia', (req, res) => {
+  const query = new URLSearchParams(req.query).toString();
+  res.redirect(307, `/api/ai/trivia${query ? `?${query}` : ''}`);
+});
+
+// Traductor castellano ↔ gaditano: to = 'gaditano' (por defecto) o 'estandar'
+router.post('/traducir', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const request = parseTranslateRequest(req.body);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+
+  try {
+    const entries = await getPublishedEntries(db);
+    const { text, changes } = translate(request.text, { to: request.to, entries });
+    res.json({ success: true, to: request.to, original: request.text, text, changes });
+  } catch (error) {
+    console.error('Error traduciendo:', error);
+    res.status(500).json({ error: 'Error traduciendo el texto' });
+  }
+});
+
+// Síntesis de voz gaditana
+router.post('/speak', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const { text, voice = 'Jorge', speed = 0.8 } = req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'text requerido' });
+    }
+
+    // El texto se lee como se habla en Cádiz
+    const entries = await getPublishedEntries(db);
+    const hablado = translate(text, { to: 'gaditano', entries }).text;
+
+    // Aquí integrarías con Google Text-to-Speech
+    // Por ahora devolvemos configuración
+    res.json({
+      success: true,
+      config: {
+        text: hablado,
+        original: text,
+        voice: voice === 'Jorge' ? 'es-ES-Standard-B' : 'es-ES-Standard-D',
+        speed: speed,
+        pitch: -2.0, // Más grave para sonar gaditano
+        acento: 'andaluz'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Error generando voz' });
+  }
+});
+
+// Health check
+router.get('/health', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  let palabras = null;
+  try {
+    palabras = (await getPublishedEntries(db)).filter(e => e.kind === 'word').length;
+  } catch (error) {
+    console.error('Error contando el diccionario:', error);
+  }
+
+  res.json({
+    status: 'healthy',
+    servidor: 'Carnavalito Supremo',
+    version: '2.0.0',
+    diccionario: palabras === null ? 'no disponible' : palabras + ' palabras gaditanas',
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
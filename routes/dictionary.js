@@ -0,0 +1,278 @@
+const express = require('express');
+const router = express.Router();
+const { dbAll, dbGet, dbRun } = require('../lib/db');
+const { authMiddleware, requireRole } = require('../lib/auth');
+const {
+  ENTRY_KINDS,
+  ENTRY_STATUSES,
+  REGISTERS,
+  validateEntry,
+  formatEntry,
+  findDuplicate,
+  invalidateDictionary
+} = require('../lib/dictionary');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Mantenimiento del diccionario: moderator o superior
+router.use(authMiddleware, requireRole('moderator'));
+
+function getPagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+function validateNote(note) {
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 500)) {
+    return 'La nota debe ser texto de como mucho 500 caracteres';
+  }
+  return null;
+}
+
+function isUniqueViolation(error) {
+  return error && error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/i.test(error.message);
+}
+
+// Listado con filtros: status, kind, register y q (término o significado)
+router.get('/', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const { status, kind, register, q } = req.query;
+  const where = [];
+  const params = [];
+
+  if (status) {
+    if (!ENTRY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Estado inválido. Estados válidos: ${ENTRY_STATUSES.join(', ')}` });
+    }
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (kind) {
+    if (!ENTRY_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `Tipo inválido. Tipos válidos: ${ENTRY_KINDS.join(', ')}` });
+    }
+    where.push('kind = ?');
+    params.push(kind);
+  }
+  if (register) {
+    if (!REGISTERS.includes(register)) {
+      return res.status(400).json({ error: `Registro inválido. Registros válidos: ${REGISTERS.join(', ')}` });
+    }
+    where.push('register = ?');
+    params.push(register);
+  }
+  if (q) {
+    where.push('(term LIKE ? OR meaning LIKE ?)');
+    params.push(`%${q}%`, `%${q}%`);
+  }
+
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  const pagination = getPagination(req.query);
+
+  try {
+    const { total } = await dbGet(db, `SELECT COUNT(*) as total FROM dictionary_entries ${whereSql}`, params);
+    const rows = await dbAll(db, `
+      SELECT * FROM dictionary_entries
+      ${whereSql}
+      ORDER BY term COLLATE NOCASE, id
+      LIMIT ? OFFSET ?
+    `, [...params, pagination.limit, pagination.offset]);
+
+    const totalPages = Math.ceil(total / pagination.limit);
+
+    res.json({
+      success: true,
+      entries: rows.map(formatEntry),
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+        totalPages,
+        hasMore: pagination.page < totalPages
+      }
+    });
+  } catch (error) {
+    console.error('Error listando diccionario:', error);
+    res.status(500).json({ error: 'Error obteniendo el diccionario' });
+  }
+});
+
+// Cola de propuestas del público, la más antigua primero
+router.get('/submissions', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const rows = await dbAll(db, `
+      SELECT * FROM dictionary_entries
+      WHERE status = 'pending'
+      ORDER BY created_at, id
+    `);
+    res.json({ success: true, submissions: rows.map(formatEntry) });
+  } catch (error) {
+    console.error('Error listando propuestas:', error);
+    res.status(500).json({ error: 'Error obteniendo las propuestas' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const entry = await dbGet(db, 'SELECT * FROM dictionary_entries WHERE id = ?', [req.params.id]);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entrada no encontrada' });
+    }
+    res.json({ success: true, entry: formatEntry(entry) });
+  } catch (error) {
+    console.error('Error obteniendo entrada:', error);
+    res.status(500).json({ error: 'Error obteniendo la entrada' });
+  }
+});
+
+// Alta directa: lo que crea un moderador sale publicado
+router.post('/', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  const { error, values } = validateEntry(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const duplicate = await findDuplicate(db, values);
+    if (duplicate) {
+      return res.status(409).json({ error: `"${values.term}" ya está en el diccionario (${duplicate.status})`, id: duplicate.id });
+    }
+
+    const { lastID } = await dbRun(db, `
+      INSERT INTO dictionary_entries
+        (kind, term, meaning, etymology, examples, synonyms, register, audio_url, status, reviewed_by, reviewed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'published', ?, CURRENT_TIMESTAMP)
+    `, [
+      values.kind, values.term, values.meaning, values.etymology || null, values.examples || null,
+      values.synonyms || null, values.register || null, values.audio_url || null, req.user.username
+    ]);
+
+    invalidateDictionary();
+
+    const entry = await dbGet(db, 'SELECT * FROM dictionary_entries WHERE id = ?', [lastID]);
+    console.log(`📚 ${req.user.username} añadió "${entry.term}" al diccionario`);
+    res.status(201).json({ success: true, entry: formatEntry(entry) });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: `"${values.term}" ya está en el diccionario` });
+    }
+    console.error('Error creando entrada:', error);
+    res.status(500).json({ error: 'Error creando la entrada' });
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const current = await dbGet(db, 'SELECT * FROM dictionary_entries WHERE id = ?', [req.params.id]);
+    if (!current) {
+      return res.status(404).json({ error: 'Entrada no encontrada' });
+    }
+
+    const { error, values } = validateEntry(req.body, { partial: true, currentKind: current.kind });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (values.term !== undefined || values.kind !== undefined) {
+      const duplicate = await findDuplicate(db, {
+        kind: values.kind || current.kind,
+        term: values.term || current.term
+      }, current.id);
+      if (duplicate) {
+        return res.status(409).json({ error: 'Ya hay otra entrada con ese término', id: duplicate.id });
+      }
+    }
+
+    const fields = Object.keys(values);
+    await dbRun(db, `
+      UPDATE dictionary_entries
+      SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [...fields.map(field => values[field]), current.id]);
+
+    invalidateDictionary();
+
+    const entry = await dbGet(db, 'SELECT * FROM dictionary_entries WHERE id = ?', [current.id]);
+    console.log(`📚 ${req.user.username} editó "${entry.term}" (${fields.join(', ')})`);
+    res.json({ success: true, entry: formatEntry(entry) });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'Ya hay otra entrada publicada con ese término' });
+    }
+    console.error('Error editando entrada:', error);
+    res.status(500).json({ error: 'Error editando la entrada' });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const { changes } = await dbRun(db, 'DELETE FROM dictionary_entries WHERE id = ?', [req.params.id]);
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Entrada no encontrada' });
+    }
+
+    invalidateDictionary();
+
+    console.log(`📚 ${req.user.username} borró la entrada ${req.params.id} del diccionario`);
+    res.json({ success: true, message: 'Entrada borrada' });
+  } catch (error) {
+    console.error('Error borrando entrada:', error);
+    res.status(500).json({ error: 'Error borrando la entrada' });
+  }
+});
+
+// Revisar una propuesta: publicarla o rechazarla, con nota opcional
+async function reviewSubmission(req, res, status) {
+  const { db } = require('../app_enhanced');
+  const { note } = req.body;
+
+  const invalid = validateNote(note);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  let entry;
+  try {
+    entry = await dbGet(db, 'SELECT * FROM dictionary_entries WHERE id = ?', [req.params.id]);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entrada no encontrada' });
+    }
+    if (entry.status !== 'pending') {
+      return res.status(409).json({ error: `Esta entrada ya está ${entry.status === 'published' ? 'publicada' : 'rechazada'}` });
+    }
+
+    await dbRun(db, `
+      UPDATE dictionary_entries
+      SET status = ?, review_note = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [status, note || null, req.user.username, entry.id]);
+
+    if (status === 'published') invalidateDictionary();
+
+    console.log(`📚 ${req.user.username} ${status === 'published' ? 'publicó' : 'rechazó'} la propuesta "${entry.term}"`);
+    res.json({ success: true, id: entry.id, status });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: `"${entry.term}" choca con una entrada ya publicada; edítala antes de aprobarla` });
+    }
+    console.error('Error revisando propuesta:', error);
+    res.status(500).json({ error: 'Error revisando la propuesta' });
+  }
+}
+
+router.post('/:id/approve', (req, res) => reviewSubmission(req, res, 'published'));
+router.post('/:id/reject', (req, res) => reviewSubmission(req, res, 'rejected'));
+
+module.exports = router;
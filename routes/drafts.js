@@ -0,0 +1,268 @@
+const express = require('express');
+const router = express.Router();
+const { dbAll, dbGet, dbRun } = require('../lib/db');
+const {
+  MAX_TITLE_LENGTH,
+  MAX_DRAFT_LENGTH,
+  createDraft,
+  getUserDraft,
+  getDraftVersion,
+  addVersion,
+  diffVersions
+} = require('../lib/drafts');
+
+// Todas las rutas de borradores necesitan saber de quién son
+function requireUserId(req, res, next) {
+  const userId = req.body?.userId || req.query.userId;
+  if (!userId) {
+    return res.status(400).json({ error: 'userId requerido' });
+  }
+  req.draftUserId = userId;
+  next();
+}
+
+// Carga el borrador de :id comprobando que es del usuario
+async function loadDraft(req, res, next) {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const draft = await getUserDraft(db, req.params.id, req.draftUserId);
+    if (!draft) {
+      return res.status(404).json({ error: 'Borrador no encontrado, pisha' });
+    }
+    req.draft = draft;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function validateText(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return 'El texto del borrador no puede estar vacío';
+  }
+  if (text.length > MAX_DRAFT_LENGTH) {
+    return `El texto no puede pasar de ${MAX_DRAFT_LENGTH} caracteres`;
+  }
+  return null;
+}
+
+function validateTitle(title) {
+  const trimmed = String(title || '').trim();
+  if (!trimmed || trimmed.length > MAX_TITLE_LENGTH) {
+    return `El título debe tener entre 1 y ${MAX_TITLE_LENGTH} caracteres`;
+  }
+  return null;
+}
+
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 1 ? version : null;
+}
+
+router.use(requireUserId);
+
+// Crear borrador con su primera versión
+router.post('/', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const { title, text } = req.body;
+
+  const error = validateText(text) || (title !== undefined && validateTitle(title));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const draft = await createDraft(db, req.draftUserId, { title, text });
+    res.status(201).json({ success: true, draft });
+  } catch (error) {
+    console.error('Error creando borrador:', error);
+    res.status(500).json({ error: 'Error creando el borrador' });
+  }
+});
+
+// Listar borradores del usuario, el último editado primero
+router.get('/', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const drafts = await dbAll(db, `
+      SELECT id, title, current_version, created_at, updated_at
+      FROM drafts
+      WHERE userId = ?
+      ORDER BY updated_at DESC
+    `, [req.draftUserId]);
+
+    res.json({ success: true, drafts });
+  } catch (error) {
+    console.error('Error listando borradores:', error);
+    res.status(500).json({ error: 'Error obteniendo los borradores' });
+  }
+});
+
+// Borrador con el texto de la versión actual y el historial de versiones
+router.get('/:id', loadDraft, async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const versions = await dbAll(db, `
+      SELECT version, analysis_id, restored_from, created_at
+      FROM draft_versions
+      WHERE draft_id = ?
+      ORDER BY version DESC
+    `, [req.draft.id]);
+
+    const current = await getDraftVersion(db, req.draft.id, req.draft.current_version);
+
+    res.json({ success: true, draft: { ...req.draft, text: current?.text ?? '' }, versions });
+  } catch (error) {
+    console.error('Error obteniendo borrador:', error);
+    res.status(500).json({ error: 'Error obteniendo el borrador' });
+  }
+});
+
+// Editar: el texto nuevo se guarda como otra versión; el título se cambia sin más
+router.patch('/:id', loadDraft, async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const { title, text } = req.body;
+
+  if (title === undefined && text === undefined) {
+    return res.status(400).json({ error: 'Nada que cambiar: manda title o text' });
+  }
+
+  const error = (text !== undefined && validateText(text)) || (title !== undefined && validateTitle(title));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    let draft = req.draft;
+
+    if (title !== undefined) {
+      await dbRun(db, 'UPDATE drafts SET title = ? WHERE id = ?', [title.trim(), draft.id]);
+      draft = { ...draft, title: title.trim() };
+    }
+
+    let version = null;
+    if (text !== undefined) {
+      const current = await getDraftVersion(db, draft.id, draft.current_version);
+      // Guardar el mismo texto otra vez no crea una versión
+      if (!current || current.text !== text) {
+        version = await addVersion(db, draft, text);
+        draft = await getUserDraft(db, draft.id, req.draftUserId);
+      }
+    }
+
+    res.json({ success: true, draft, version });
+  } catch (error) {
+    console.error('Error editando borrador:', error);
+    res.status(500).json({ error: 'Error guardando el borrador' });
+  }
+});
+
+// Borrar borrador, sus versiones y los análisis enganchados
+router.delete('/:id', loadDraft, async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    await dbRun(db, 'DELETE FROM poetry_analysis WHERE draft_id = ?', [req.draft.id]);
+    await dbRun(db, 'DELETE FROM draft_versions WHERE draft_id = ?', [req.draft.id]);
+    await dbRun(db, 'DELETE FROM drafts WHERE id = ?', [req.draft.id]);
+    res.json({ success: true, message: 'Borrador borrado' });
+  } catch (error) {
+    console.error('Error borrando borrador:', error);
+    res.status(500).json({ error: 'Error borrando el borrador' });
+  }
+});
+
+// Diferencias entre dos versiones (por defecto, la anterior y la actual)
+router.get('/:id/diff', loadDraft, async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const to = req.query.to ? parseVersion(req.query.to) : req.draft.current_version;
+  const from = req.query.from ? parseVersion(req.query.from) : (to && to - 1);
+
+  if (!from || !to) {
+    return res.status(400).json({ error: 'from y to deben ser números de versión válidos' });
+  }
+
+  try {
+    const [fromVersion, toVersion] = await Promise.all([
+      getDraftVersion(db, req.draft.id, from),
+      getDraftVersion(db, req.draft.id, to)
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Alguna de esas versiones no existe' });
+    }
+
+    const diff = diffVersions(fromVersion, toVersion);
+    if (diff.error) {
+      return res.status(400).json({ error: diff.error });
+    }
+
+    res.json({ success: true, diff });
+  } catch (error) {
+    console.error('Error comparando versiones:', error);
+    res.status(500).json({ error: 'Error comparando las versiones' });
+  }
+});
+
+// Una versión concreta con su último análisis, si se hizo
+router.get('/:id/versions/:version', loadDraft, async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const number = parseVersion(req.params.version);
+
+  if (!number) {
+    return res.status(400).json({ error: 'Número de versión inválido' });
+  }
+
+  try {
+    const version = await getDraftVersion(db, req.draft.id, number);
+    if (!version) {
+      return res.status(404).json({ error: 'Esa versión no existe' });
+    }
+
+    let analysis = null;
+    if (version.analysis_id) {
+      const row = await dbGet(db,
+        'SELECT analysis_result, sentiment, timestamp FROM poetry_analysis WHERE id = ?',
+        [version.analysis_id]
+      );
+      if (row) {
+        analysis = { ...JSON.parse(row.analysis_result), sentiment: row.sentiment, analyzedAt: row.timestamp };
+      }
+    }
+
+    res.json({ success: true, version, analysis });
+  } catch (error) {
+    console.error('Error obteniendo versión:', error);
+    res.status(500).json({ error: 'Error obteniendo la versión' });
+  }
+});
+
+// Restaurar una versión antigua: se copia como versión nueva y el historial no se pierde
+router.post('/:id/restore', loadDraft, async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const number = parseVersion(req.body.version);
+
+  if (!number) {
+    return res.status(400).json({ error: 'Indica la versión a restaurar' });
+  }
+
+  try {
+    const source = await getDraftVersion(db, req.draft.id, number);
+    if (!source) {
+      return res.status(404).json({ error: 'Esa versión no existe' });
+    }
+
+    const version = await addVersion(db, req.draft, source.text, { restoredFrom: number });
+    const draft = await getUserDraft(db, req.draft.id, req.draftUserId);
+
+    res.status(201).json({ success: true, draft, version });
+  } catch (error) {
+    console.error('Error restaurando versión:', error);
+    res.status(500).json({ error: 'Error restaurando la versión' });
+  }
+});
+
+module.exports = router;
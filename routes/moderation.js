@@ -0,0 +1,451 @@
+const express = require('express');
+const router = express.Router();
+const { dbAll, dbGet, dbRun } = require('../lib/db');
+const { authMiddleware, requireRole } = require('../lib/auth');
+const { MODERATION_STATUSES, BAN_TYPES } = require('../lib/moderation');
+const { SUSPICION_REASONS, clearRankingCache } = require('../lib/votes');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_VOTE_IDS = 500;
+// Diez años; más que eso es un veto indefinido y para eso se omite `hours`
+const MAX_BAN_HOURS = 24 * 365 * 10;
+
+// Moderación de contenido: moderator o superior
+router.use(authMiddleware, requireRole('moderator'));
+
+function getPagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+// Filtros comunes: userId, estado, rango de fechas y texto libre.
+// `to` con solo fecha incluye el día entero.
+function buildFilters(query, { searchColumns, extra = {} }) {
+  const where = [];
+  const params = [];
+
+  if (query.userId) {
+    where.push('userId = ?');
+    params.push(query.userId);
+  }
+
+  if (query.status) {
+    if (!MODERATION_STATUSES.includes(query.status)) {
+      return { error: `Estado inválido. Estados válidos: ${MODERATION_STATUSES.join(', ')}` };
+    }
+    where.push('moderation_status = ?');
+    params.push(query.status);
+  }
+
+  for (const [param, column] of Object.entries(extra)) {
+    if (query[param]) {
+      where.push(`${column} = ?`);
+      params.push(query[param]);
+    }
+  }
+
+  for (const bound of ['from', 'to']) {
+    if (!query[bound]) continue;
+    if (Number.isNaN(Date.parse(query[bound]))) {
+      return { error: `Fecha "${bound}" inválida (usa YYYY-MM-DD o ISO 8601)` };
+    }
+    if (bound === 'from') {
+      where.push('timestamp >= datetime(?)');
+    } else {
+      where.push(DATE_ONLY.test(query.to) ? "timestamp < datetime(?, '+1 day')" : 'timestamp <= datetime(?)');
+    }
+    params.push(query[bound]);
+  }
+
+  if (query.q) {
+    where.push('(' + searchColumns.map(column => `${column} LIKE ?`).join(' OR ') + ')');
+    searchColumns.forEach(() => params.push(`%${query.q}%`));
+  }
+
+  return { where, params };
+}
+
+async function paginatedList(db, { table, columns, where, params, pagination }) {
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const { total } = await dbGet(db, `SELECT COUNT(*) as total FROM ${table} ${whereSql}`, params);
+  const items = await dbAll(db, `
+    SELECT ${columns}
+    FROM ${table}
+    ${whereSql}
+    ORDER BY timestamp DESC, id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, pagination.limit, pagination.offset]);
+
+  const totalPages = Math.ceil(total / pagination.limit);
+
+  return {
+    items,
+    pagination: {
+      page: pagination.page,
+      limit: pagination.limit,
+      total,
+      totalPages,
+      hasMore: pagination.page < totalPages
+    }
+  };
+}
+
+function validateModeration({ status, note }) {
+  if (!MODERATION_STATUSES.includes(status)) {
+    return `Estado inválido. Estados válidos: ${MODERATION_STATUSES.join(', ')}`;
+  }
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 500)) {
+    return 'La nota debe ser texto de como mucho 500 caracteres';
+  }
+  return null;
+}
+
+// ===== CONVERSACIONES =====
+
+router.get('/conversations', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  const filters = buildFilters(req.query, {
+    searchColumns: ['message', 'response'],
+    extra: { topic: 'topic', sentiment: 'sentiment', sessionId: 'session_id', ip: 'ip_address' }
+  });
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  try {
+    const result = await paginatedList(db, {
+      table: 'conversations',
+      columns: `id, userId, session_id, message, response, timestamp, ip_address,
+        sentiment, topic, moderation_status, moderation_note, moderated_by, moderated_at`,
+      where: filters.where,
+      params: filters.params,
+      pagination: getPagination(req.query)
+    });
+    res.json({ success: true, conversations: result.items, pagination: result.pagination });
+  } catch (error) {
+    console.error('Error listando conversaciones:', error);
+    res.status(500).json({ error: 'Error obteniendo conversaciones' });
+  }
+});
+
+// Marcar, ocultar o volver a mostrar
+router.patch('/conversations/:id', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const { status, note } = req.body;
+
+  const invalid = validateModeration({ status, note });
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const { changes } = await dbRun(db, `
+      UPDATE conversations
+      SET moderation_status = ?, moderation_note = ?, moderated_by = ?, moderated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [status, note || null, req.user.username, req.params.id]);
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
+
+    console.log(`🛡️ ${req.user.username} marcó la conversación ${req.params.id} como ${status}`);
+    res.json({ success: true, id: Number(req.params.id), status });
+  } catch (error) {
+    console.error('Error moderando conversación:', error);
+    res.status(500).json({ error: 'Error moderando la conversación' });
+  }
+});
+
+router.delete('/conversations/:id', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const { changes } = await dbRun(db, 'DELETE FROM conversations WHERE id = ?', [req.params.id]);
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
+
+    console.log(`🛡️ ${req.user.username} borró la conversación ${req.params.id}`);
+    res.json({ success: true, message: 'Conversación borrada' });
+  } catch (error) {
+    console.error('Error borrando conversación:', error);
+    res.status(500).json({ error: 'Error borrando la conversación' });
+  }
+});
+
+// ===== COMENTARIOS DE VOTOS =====
+
+router.get('/comments', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  const filters = buildFilters(req.query, {
+    searchColumns: ['comentario', 'agrupacion'],
+    extra: { agrupacion: 'agrupacion', categoria: 'categoria', ip: 'ip_address' }
+  });
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+  filters.where.unshift("comentario IS NOT NULL AND comentario != ''");
+
+  try {
+    const result = await paginatedList(db, {
+      table: 'votes',
+      columns: `id, userId, agrupacion, categoria, puntuacion, comentario, timestamp, ip_address,
+        moderation_status, moderation_note, moderated_by, moderated_at`,
+      where: filters.where,
+      params: filters.params,
+      pagination: getPagination(req.query)
+    });
+    res.json({ success: true, comments: result.items, pagination: result.pagination });
+  } catch (error) {
+    console.error('Error listando comentarios:', error);
+    res.status(500).json({ error: 'Error obteniendo comentarios' });
+  }
+});
+
+router.patch('/comments/:id', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const { status, note } = req.body;
+
+  const invalid = validateModeration({ status, note });
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const { changes } = await dbRun(db, `
+      UPDATE votes
+      SET moderation_status = ?, moderation_note = ?, moderated_by = ?, moderated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [status, note || null, req.user.username, req.params.id]);
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Voto no encontrado' });
+    }
+
+    console.log(`🛡️ ${req.user.username} marcó el comentario del voto ${req.params.id} como ${status}`);
+    res.json({ success: true, id: Number(req.params.id), status });
+  } catch (error) {
+    console.error('Error moderando comentario:', error);
+    res.status(500).json({ error: 'Error moderando el comentario' });
+  }
+});
+
+// Borra solo el comentario: la puntuación del voto se mantiene
+router.delete('/comments/:id', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const { changes } = await dbRun(db, `
+      UPDATE votes
+      SET comentario = NULL, moderated_by = ?, moderated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [req.user.username, req.params.id]);
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Voto no encontrado' });
+    }
+
+    console.log(`🛡️ ${req.user.username} borró el comentario del voto ${req.params.id}`);
+    res.json({ success: true, message: 'Comentario borrado' });
+  } catch (error) {
+    console.error('Error borrando comentario:', error);
+    res.status(500).json({ error: 'Error borrando el comentario' });
+  }
+});
+
+// ===== VOTOS SOSPECHOSOS =====
+
+// Filtros: reason (same_ip|burst), voided (true|false), agrupacion, categoria,
+// ip, voterId, userId, from/to, q
+router.get('/votes/suspicious', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const { reason, voided } = req.query;
+
+  if (reason && !SUSPICION_REASONS.includes(reason)) {
+    return res.status(400).json({ error: `Motivo inválido. Motivos válidos: ${SUSPICION_REASONS.join(', ')}` });
+  }
+  if (voided !== undefined && !['true', 'false'].includes(voided)) {
+    return res.status(400).json({ error: 'voided debe ser true o false' });
+  }
+
+  const filters = buildFilters(req.query, {
+    searchColumns: ['comentario', 'agrupacion'],
+    extra: {
+      agrupacion: 'agrupacion',
+      categoria: 'categoria',
+      ip: 'ip_address',
+      voterId: 'voter_id',
+      reason: 'suspicious_reason'
+    }
+  });
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+  filters.where.unshift('suspicious_reason IS NOT NULL');
+  if (voided !== undefined) {
+    filters.where.push(voided === 'true' ? 'voided_at IS NOT NULL' : 'voided_at IS NULL');
+  }
+
+  try {
+    const result = await paginatedList(db, {
+      table: 'votes',
+      columns: `id, userId, voter_id, agrupacion, categoria, puntuacion, comentario, timestamp, ip_address,
+        suspicious_reason, flagged_at, voided_at, voided_by, void_reason`,
+      where: filters.where,
+      params: filters.params,
+      pagination: getPagination(req.query)
+    });
+    res.json({ success: true, votes: result.items, pagination: result.pagination });
+  } catch (error) {
+    console.error('Error listando votos sospechosos:', error);
+    res.status(500).json({ error: 'Error obteniendo votos sospechosos' });
+  }
+});
+
+function validateVoteIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_VOTE_IDS ||
+    ids.some(id => !Number.isInteger(id) || id < 1)) {
+    return `ids debe ser una lista de 1 a ${MAX_VOTE_IDS} ids de voto`;
+  }
+  return null;
+}
+
+// Anula votos: dejan de contar en el ranking pero se quedan para el historial
+router.post('/votes/void', async (req, res) => {
+  const { db, cache } = require('../app_enhanced');
+  const { ids, reason } = req.body;
+
+  const invalid = validateVoteIds(ids);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+    return res.status(400).json({ error: 'El motivo debe ser texto de como mucho 500 caracteres' });
+  }
+
+  try {
+    const { changes } = await dbRun(db, `
+      UPDATE votes
+      SET voided_at = CURRENT_TIMESTAMP, voided_by = ?, void_reason = ?
+      WHERE id IN (${ids.map(() => '?').join(', ')}) AND voided_at IS NULL
+    `, [req.user.username, reason || null, ...ids]);
+
+    clearRankingCache(cache);
+    console.log(`🛡️ ${req.user.username} anuló ${changes} votos`);
+    res.json({ success: true, voided: changes });
+  } catch (error) {
+    console.error('Error anulando votos:', error);
+    res.status(500).json({ error: 'Error anulando los votos' });
+  }
+});
+
+// Deshace una anulación
+router.post('/votes/restore', async (req, res) => {
+  const { db, cache } = require('../app_enhanced');
+  const { ids } = req.body;
+
+  const invalid = validateVoteIds(ids);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const { changes } = await dbRun(db, `
+      UPDATE votes
+      SET voided_at = NULL, voided_by = NULL, void_reason = NULL
+      WHERE id IN (${ids.map(() => '?').join(', ')}) AND voided_at IS NOT NULL
+    `, ids);
+
+    clearRankingCache(cache);
+    console.log(`🛡️ ${req.user.username} restauró ${changes} votos`);
+    res.json({ success: true, restored: changes });
+  } catch (error) {
+    console.error('Error restaurando votos:', error);
+    res.status(500).json({ error: 'Error restaurando los votos' });
+  }
+});
+
+// ===== VETOS =====
+
+router.get('/bans', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const bans = await dbAll(db, `
+      SELECT id, type, value, reason, created_by, created_at, expires_at,
+        (expires_at IS NULL OR expires_at > datetime('now')) as active
+      FROM bans
+      ORDER BY created_at DESC, id DESC
+    `);
+    res.json({ success: true, bans: bans.map(ban => ({ ...ban, active: Boolean(ban.active) })) });
+  } catch (error) {
+    console.error('Error listando vetos:', error);
+    res.status(500).json({ error: 'Error obteniendo vetos' });
+  }
+});
+
+// Vetar un userId o una IP. `hours` opcional; sin él el veto es indefinido.
+router.post('/bans', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const { type, value, reason, hours } = req.body;
+
+  if (!BAN_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Tipo inválido. Tipos válidos: ${BAN_TYPES.join(', ')}` });
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return res.status(400).json({ error: 'Indica el userId o la IP a vetar' });
+  }
+  if (hours !== undefined && !(Number(hours) > 0 && Number(hours) <= MAX_BAN_HOURS)) {
+    return res.status(400).json({ error: `hours debe ser un número positivo de como mucho ${MAX_BAN_HOURS}` });
+  }
+
+  try {
+    // En segundos enteros: SQLite no entiende "1e-9 hours" y dejaría el veto sin caducidad
+    const expiresModifier = hours !== undefined ? `+${Math.ceil(Number(hours) * 3600)} seconds` : null;
+
+    // Si ya existía se renueva con los datos nuevos
+    await dbRun(db, `
+      INSERT INTO bans (type, value, reason, created_by, expires_at)
+      VALUES (?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)
+      ON CONFLICT(type, value) DO UPDATE SET
+        reason = excluded.reason,
+        created_by = excluded.created_by,
+        created_at = CURRENT_TIMESTAMP,
+        expires_at = excluded.expires_at
+    `, [type, value.trim(), reason || null, req.user.username, expiresModifier, expiresModifier]);
+
+    const ban = await dbGet(db, 'SELECT * FROM bans WHERE type = ? AND value = ?', [type, value.trim()]);
+
+    console.log(`🛡️ ${req.user.username} vetó ${type} ${ban.value}`);
+    res.status(201).json({ success: true, ban });
+  } catch (error) {
+    console.error('Error creando veto:', error);
+    res.status(500).json({ error: 'Error creando el veto' });
+  }
+});
+
+router.delete('/bans/:id', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const { changes } = await dbRun(db, 'DELETE FROM bans WHERE id = ?', [req.params.id]);
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Veto no encontrado' });
+    }
+
+    console.log(`🛡️ ${req.user.username} levantó el veto ${req.params.id}`);
+    res.json({ success: true, message: 'Veto levantado' });
+  } catch (error) {
+    console.error('Error levantando veto:', error);
+    res.status(500).json({ error: 'Error levantando el veto' });
+  }
+});
+
+module.exports = router;
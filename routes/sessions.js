@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const { dbAll, dbGet, dbRun } = require('../lib/db');
+const {
+  MAX_TITLE_LENGTH,
+  createSession,
+  getUserSession
+} = require('../lib/sessions');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Todas las rutas de sesiones necesitan saber de quién son
+function requireUserId(req, res, next) {
+  const userId = req.body?.userId || req.query.userId;
+  if (!userId) {
+    return res.status(400).json({ error: 'userId requerido' });
+  }
+  req.sessionUserId = userId;
+  next();
+}
+
+// Carga la sesión de :id comprobando que es del usuario
+async function loadSession(req, res, next) {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const session = await getUserSession(db, req.params.id, req.sessionUserId);
+    if (!session) {
+      return res.status(404).json({ error: 'Sesión no encontrada, pisha' });
+    }
+    req.chatSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+router.use(requireUserId);
+
+// Crear sesión
+router.post('/', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const session = await createSession(db, req.sessionUserId, req.body.title);
+    res.status(201).json({ success: true, session });
+  } catch (error) {
+    console.error('Error creando sesión:', error);
+    res.status(500).json({ error: 'Error creando la sesión' });
+  }
+});
+
+// Listar sesiones del usuario, la más reciente primero
+router.get('/', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const sessions = await dbAll(db, `
+      SELECT 
+        s.id, s.title, s.created_at, s.updated_at,
+        COUNT(c.id) as message_count,
+        MAX(c.timestamp) as last_message_at
+      FROM sessions s
+      LEFT JOIN conversations c ON c.session_id = s.id AND c.moderation_status != 'hidden'
+      WHERE s.userId = ?
+      GROUP BY s.id
+      ORDER BY s.updated_at DESC
+    `, [req.sessionUserId]);
+
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('Error listando sesiones:', error);
+    res.status(500).json({ error: 'Error obteniendo las sesiones' });
+  }
+});
+
+// Reanudar sesión: datos de la sesión y sus últimos mensajes
+router.get('/:id', loadSession, async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const recent = await dbAll(db, `
+      SELECT id, message, response, timestamp, sentiment, topic
+      FROM conversations
+      WHERE session_id = ? AND moderation_status != 'hidden'
+      ORDER BY timestamp DESC, id DESC
+      LIMIT ?
+    `, [req.chatSession.id, DEFAULT_PAGE_SIZE]);
+
+    res.json({ success: true, session: req.chatSession, messages: recent.reverse() });
+  } catch (error) {
+    console.error('Error reanudando sesión:', error);
+    res.status(500).json({ error: 'Error obteniendo la sesión' });
+  }
+});
+
+// Renombrar sesión
+router.patch('/:id', loadSession, async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const title = String(req.body.title || '').trim();
+
+  if (!title || title.length > MAX_TITLE_LENGTH) {
+    return res.status(400).json({ error: `El título debe tener entre 1 y ${MAX_TITLE_LENGTH} caracteres` });
+  }
+
+  try {
+    await dbRun(db, 'UPDATE sessions SET title = ? WHERE id = ?', [title, req.chatSession.id]);
+    res.json({ success: true, session: { ...req.chatSession, title } });
+  } catch (error) {
+    console.error('Error renombrando sesión:', error);
+    res.status(500).json({ error: 'Error renombrando la sesión' });
+  }
+});
+
+// Borrar sesión y sus mensajes
+router.delete('/:id', loadSession, async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    await dbRun(db, 'DELETE FROM conversations WHERE session_id = ?', [req.chatSession.id]);
+    await dbRun(db, 'DELETE FROM sessions WHERE id = ?', [req.chatSession.id]);
+    res.json({ success: true, message: 'Sesión borrada' });
+  } catch (error) {
+    console.error('Error borrando sesión:', error);
+    res.status(500).json({ error: 'Error borrando la sesión' });
+  }
+});
+
+// Mensajes paginados. La página 1 son los más recientes; dentro de cada
+// página los mensajes van en orden cronológico para pintarlos tal cual.
+router.get('/:id/messages', loadSession, async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+  try {
+    const { total } = await dbGet(db,
+      "SELECT COUNT(*) as total FROM conversations WHERE session_id = ? AND moderation_status != 'hidden'",
+      [req.chatSession.id]
+    );
+
+    const rows = await dbAll(db, `
+      SELECT id, message, response, timestamp, sentiment, topic
+      FROM conversations
+      WHERE session_id = ? AND moderation_status != 'hidden'
+      ORDER BY timestamp DESC, id DESC
+      LIMIT ? OFFSET ?
+    `, [req.chatSession.id, limit, (page - 1) * limit]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      messages: rows.reverse(),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasMore: page < totalPages
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo mensajes:', error);
+    res.status(500).json({ error: 'Error obteniendo los mensajes de la sesión' });
+  }
+});
+
+module.exports = router;
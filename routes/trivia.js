@@ -0,0 +1,297 @@
+const express = require('express');
+const router = express.Router();
+const { dbAll, dbGet, dbRun } = require('../lib/db');
+const { authMiddleware, requireRole } = require('../lib/auth');
+const {
+  DIFFICULTIES,
+  validateQuestion,
+  formatQuestion,
+  findDuplicateQuestion,
+  insertQuestion,
+  questionsFromCsv,
+  questionsToCsv,
+  toExportShape,
+  importQuestions
+} = require('../lib/trivia');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const EXPORT_FORMATS = ['json', 'csv'];
+
+// Banco de trivia: moderator o superior
+router.use(authMiddleware, requireRole('moderator'));
+
+// La importación en CSV llega tal cual, sin JSON
+router.use(express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }));
+
+function getPagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+function isUniqueViolation(error) {
+  return error && error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/i.test(error.message);
+}
+
+// Filtros comunes del listado y la exportación: category, difficulty, tag, active y q
+function buildFilters(query) {
+  const { category, difficulty, tag, active, q } = query;
+  const where = [];
+  const params = [];
+
+  if (category) {
+    where.push('category = ?');
+    params.push(String(category).toLowerCase());
+  }
+  if (difficulty) {
+    if (!DIFFICULTIES.includes(difficulty)) {
+      return { error: `Dificultad inválida. Dificultades válidas: ${DIFFICULTIES.join(', ')}` };
+    }
+    where.push('difficulty = ?');
+    params.push(difficulty);
+  }
+  if (tag) {
+    where.push('EXISTS (SELECT 1 FROM json_each(trivia_questions.tags) WHERE value = ?)');
+    params.push(String(tag).toLowerCase());
+  }
+  if (active !== undefined) {
+    if (!['true', 'false'].includes(active)) {
+      return { error: 'active debe ser true o false' };
+    }
+    where.push('active = ?');
+    params.push(active === 'true' ? 1 : 0);
+  }
+  if (q) {
+    where.push('(question LIKE ? OR explanation LIKE ? OR source LIKE ?)');
+    params.push(`%${q}%`, `%${q}%`, `%${q}%`);
+  }
+
+  return { whereSql: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+router.get('/', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const filters = buildFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  const pagination = getPagination(req.query);
+
+  try {
+    const { total } = await dbGet(db, `SELECT COUNT(*) as total FROM trivia_questions ${filters.whereSql}`, filters.params);
+    const rows = await dbAll(db, `
+      SELECT * FROM trivia_questions
+      ${filters.whereSql}
+      ORDER BY category, difficulty, id
+      LIMIT ? OFFSET ?
+    `, [...filters.params, pagination.limit, pagination.offset]);
+
+    const totalPages = Math.ceil(total / pagination.limit);
+
+    res.json({
+      success: true,
+      questions: rows.map(formatQuestion),
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+        totalPages,
+        hasMore: pagination.page < totalPages
+      }
+    });
+  } catch (error) {
+    console.error('Error listando trivia:', error);
+    res.status(500).json({ error: 'Error obteniendo las preguntas' });
+  }
+});
+
+// Cuántas preguntas hay por categoría y dificultad
+router.get('/categories', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const rows = await dbAll(db, `
+      SELECT category, difficulty, COUNT(*) as total, SUM(active) as active
+      FROM trivia_questions
+      GROUP BY category, difficulty
+      ORDER BY category, difficulty
+    `);
+    res.json({ success: true, categories: rows });
+  } catch (error) {
+    console.error('Error contando categorías de trivia:', error);
+    res.status(500).json({ error: 'Error obteniendo las categorías' });
+  }
+});
+
+// Exportación con los mismos filtros que el listado: ?format=json|csv
+router.get('/export', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const format = req.query.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Formato inválido. Formatos válidos: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  const filters = buildFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  try {
+    const rows = await dbAll(db, `
+      SELECT * FROM trivia_questions
+      ${filters.whereSql}
+      ORDER BY category, difficulty, id
+    `, filters.params);
+    const questions = rows.map(formatQuestion);
+
+    res.attachment(`trivia.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv; charset=utf-8').send(questionsToCsv(questions));
+    } else {
+      res.json({ questions: questions.map(toExportShape) });
+    }
+  } catch (error) {
+    console.error('Error exportando trivia:', error);
+    res.status(500).json({ error: 'Error exportando las preguntas' });
+  }
+});
+
+// Importación masiva. JSON: [{...}] o { questions: [...] }; CSV con Content-Type text/csv.
+// Con ?dryRun=true solo valida y dice lo que haría.
+router.post('/import', async (req, res) => {
+  const { db } = require('../app_enhanced');
+  const dryRun = req.query.dryRun === 'true';
+
+  let questions;
+  if (typeof req.body === 'string') {
+    const parsed = questionsFromCsv(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    questions = parsed.questions;
+  } else {
+    questions = Array.isArray(req.body) ? req.body : req.body.questions;
+  }
+
+  try {
+    const result = await importQuestions(db, questions, { createdBy: req.user.username, dryRun });
+    if (result.errors) {
+      return res.status(400).json({ error: 'Hay preguntas con errores; no se ha importado ninguna', errors: result.errors });
+    }
+
+    if (!dryRun) {
+      console.log(`🧠 ${req.user.username} importó ${result.imported} preguntas de trivia (${result.skipped.length} repetidas)`);
+    }
+    res.status(dryRun ? 200 : 201).json({ success: true, dryRun, imported: result.imported, skipped: result.skipped });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'Otra importación ha metido alguna de estas preguntas a la vez; vuelve a intentarlo' });
+    }
+    console.error('Error importando trivia:', error);
+    res.status(500).json({ error: 'Error importando las preguntas' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const row = await dbGet(db, 'SELECT * FROM trivia_questions WHERE id = ?', [req.params.id]);
+    if (!row) {
+      return res.status(404).json({ error: 'Pregunta no encontrada' });
+    }
+    res.json({ success: true, question: formatQuestion(row) });
+  } catch (error) {
+    console.error('Error obteniendo pregunta:', error);
+    res.status(500).json({ error: 'Error obteniendo la pregunta' });
+  }
+});
+
+router.post('/', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  const { error, values } = validateQuestion(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const duplicate = await findDuplicateQuestion(db, values.question);
+    if (duplicate) {
+      return res.status(409).json({ error: 'Esa pregunta ya está en el banco', id: duplicate.id });
+    }
+
+    const id = await insertQuestion(db, values, req.user.username);
+    const row = await dbGet(db, 'SELECT * FROM trivia_questions WHERE id = ?', [id]);
+
+    console.log(`🧠 ${req.user.username} añadió la pregunta ${id} (${row.category}/${row.difficulty})`);
+    res.status(201).json({ success: true, question: formatQuestion(row) });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'Esa pregunta ya está en el banco' });
+    }
+    console.error('Error creando pregunta:', error);
+    res.status(500).json({ error: 'Error creando la pregunta' });
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const current = formatQuestion(await dbGet(db, 'SELECT * FROM trivia_questions WHERE id = ?', [req.params.id]));
+    if (!current) {
+      return res.status(404).json({ error: 'Pregunta no encontrada' });
+    }
+
+    const { error, values } = validateQuestion(req.body, { partial: true, current });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (values.question !== undefined) {
+      const duplicate = await findDuplicateQuestion(db, values.question, current.id);
+      if (duplicate) {
+        return res.status(409).json({ error: 'Ya hay otra pregunta con ese enunciado', id: duplicate.id });
+      }
+    }
+
+    const fields = Object.keys(values);
+    await dbRun(db, `
+      UPDATE trivia_questions
+      SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [...fields.map(field => values[field]), current.id]);
+
+    const row = await dbGet(db, 'SELECT * FROM trivia_questions WHERE id = ?', [current.id]);
+    console.log(`🧠 ${req.user.username} editó la pregunta ${current.id} (${fields.join(', ')})`);
+    res.json({ success: true, question: formatQuestion(row) });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'Ya hay otra pregunta con ese enunciado' });
+    }
+    console.error('Error editando pregunta:', error);
+    res.status(500).json({ error: 'Error editando la pregunta' });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  const { db } = require('../app_enhanced');
+
+  try {
+    const { changes } = await dbRun(db, 'DELETE FROM trivia_questions WHERE id = ?', [req.params.id]);
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Pregunta no encontrada' });
+    }
+
+    console.log(`🧠 ${req.user.username} borró la pregunta ${req.params.id}`);
+    res.json({ success: true, message: 'Pregunta borrada' });
+  } catch (error) {
+    console.error('Error borrando pregunta:', error);
+    res.status(500).json({ error: 'Error borrando la pregunta' });
+  }
+});
+
+module.exports = router;
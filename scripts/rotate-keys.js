@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+// Rotación de la clave maestra de los secretos de system_config.
+//
+//   CONFIG_MASTER_KEY_PREVIOUS=<clave vieja> CONFIG_MASTER_KEY=<clave nueva> npm run rotate-keys
+//
+// Descifra cada API key con la clave vieja (o la nueva, o en claro si es de
+// una instalación antigua) y la vuelve a cifrar con CONFIG_MASTER_KEY.
+// Después reinicia el servidor y quita CONFIG_MASTER_KEY_PREVIOUS del .env.
+
+require('dotenv').config();
+
+const sqlite3 = require('sqlite3').verbose();
+const { hasMasterKey } = require('../lib/secrets');
+const { reencryptSecrets } = require('../lib/api_config');
+
+// Abre la base de datos existente; sin el callback un fallo al abrir sería un
+// evento 'error' sin manejar en vez de un mensaje claro
+function openDatabase(dbPath) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE, (err) => {
+      if (err) reject(new Error(`No se puede abrir ${dbPath}: ${err.message}`));
+      else resolve(db);
+    });
+  });
+}
+
+async function main() {
+  if (!hasMasterKey()) {
+    throw new Error('Define CONFIG_MASTER_KEY con la clave nueva');
+  }
+
+  const dbPath = process.env.DB_PATH || './carnival_pro.db';
+  const db = await openDatabase(dbPath);
+
+  try {
+    const keys = await reencryptSecrets(db);
+    console.log(keys.length > 0
+      ? `🔐 Secretos cifrados de nuevo en ${dbPath}: ${keys.join(', ')}`
+      : `🔐 No hay secretos guardados en ${dbPath}`);
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Error rotando la clave maestra:', error.message);
+  process.exit(1);
+});
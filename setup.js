@@ -52,6 +52,9 @@ async function setup() {
     
     const jwtSecret = crypto.randomBytes(64).toString('hex');
     console.log('✅ JWT Secret generado automáticamente');
+
+    const masterKey = crypto.randomBytes(32).toString('hex');
+    console.log('✅ Clave maestra de cifrado generada automáticamente');
     
     console.log('\n🤖 Configuración de APIs:\n');
     console.log('Para obtener las API keys:');
@@ -92,8 +95,17 @@ DB_PATH=./carnival_pro_elite.db
 GROQ_API_KEY=${groqApiKey}
 HF_API_KEY=${hfApiKey}
 
+# Proveedores LLM por orden de prioridad
+LLM_PROVIDERS=groq,huggingface,openai_compatible,carnavalito
+# LOCAL_LLM_URL=http://localhost:11434/v1
+# LOCAL_LLM_MODEL=llama3
+
 # Seguridad
 JWT_SECRET=${jwtSecret}
+# Clave maestra para cifrar las API keys guardadas desde el panel.
+# Para rotarla: CONFIG_MASTER_KEY_PREVIOUS=<vieja> CONFIG_MASTER_KEY=<nueva> npm run rotate-keys
+CONFIG_MASTER_KEY=${masterKey}
+# Superadmin inicial (solo se usa si la tabla admins está vacía)
 ADMIN_USERNAME=${adminUser}
 ADMIN_PASSWORD=${adminPass}
 
@@ -0,0 +1,67 @@
+const { normalize, variantKey, parseSearchQuery, searchEntries, annotateText } = require('../lib/dictionary_search');
+
+const ENTRIES = [
+  { id: 1, kind: 'word', term: 'pisha', meaning: 'amigo, colega', synonyms: ['colega'] },
+  { id: 2, kind: 'word', term: 'harto', meaning: 'cansado de algo' },
+  { id: 3, kind: 'word', term: 'jartible', meaning: 'pesado, que cansa' },
+  { id: 4, kind: 'phrase', term: '¡Que no ni ná!', meaning: 'claro que sí' },
+  { id: 5, kind: 'word', term: 'miarma', meaning: 'mi alma, expresión cariñosa' },
+  { id: 6, kind: 'word', term: 'cansado', meaning: 'sin fuerzas' }
+];
+
+const search = q => searchEntries(ENTRIES, q).map(entry => [entry.term, entry.match]);
+
+describe('normalize y variantKey', () => {
+  test('quita tildes, mayúsculas y signos pero deja la ñ', () => {
+    expect(normalize('¡Cañaílla Cádiz!')).toBe('cañailla cadiz');
+  });
+
+  test('iguala grafías que en Cádiz suenan igual', () => {
+    expect(variantKey('pixa')).toBe(variantKey('pisha'));
+    expect(variantKey('jarto')).toBe(variantKey('harto'));
+  });
+});
+
+describe('searchEntries', () => {
+  test('exacta, variante y prefijo, de más a menos relevante', () => {
+    expect(search('PISHA')).toEqual([['pisha', 'exact']]);
+    expect(search('pixa')).toEqual([['pisha', 'variant']]);
+    expect(search('jarto')).toEqual([['harto', 'variant']]);
+    expect(search('jart')).toEqual([['jartible', 'prefix'], ['harto', 'variant_prefix']]);
+  });
+
+  test('la d y la s que se comen', () => {
+    expect(search('cansao')[0]).toEqual(['cansado', 'variant']);
+  });
+
+  test('aproximada, dentro de frases, sinónimos y significado', () => {
+    expect(search('misrma')).toEqual([['miarma', 'fuzzy']]);
+    expect(search('ná')).toEqual([['¡Que no ni ná!', 'phrase_word']]);
+    expect(search('colega')).toEqual([['pisha', 'synonym']]);
+    expect(search('cariñosa')).toEqual([['miarma', 'meaning']]);
+  });
+
+  test('respeta el límite', () => {
+    expect(searchEntries(ENTRIES, 'jart', { limit: 1 })).toHaveLength(1);
+  });
+});
+
+describe('parseSearchQuery', () => {
+  test('pide al menos dos letras y acota el límite', () => {
+    expect(parseSearchQuery({ q: 'a' }).error).toBeDefined();
+    expect(parseSearchQuery({ q: 'pisha' })).toEqual({ q: 'pisha', limit: 10 });
+    expect(parseSearchQuery({ q: 'pisha', limit: '500' })).toEqual({ q: 'pisha', limit: 50 });
+  });
+});
+
+describe('annotateText', () => {
+  test('marca términos y frases sin tildes ni mayúsculas y sin entrar en otras palabras', () => {
+    const annotations = annotateText('Oye PISHA, que no ni na, miarma: admiarma', ENTRIES);
+
+    expect(annotations.map(({ text, start, end, id }) => ({ text, start, end, id }))).toEqual([
+      { text: 'PISHA', start: 4, end: 9, id: 1 },
+      { text: 'que no ni na', start: 11, end: 23, id: 4 },
+      { text: 'miarma', start: 25, end: 31, id: 5 }
+    ]);
+  });
+});
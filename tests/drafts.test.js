@@ -0,0 +1,62 @@
+const { titleFromText, diffVersions } = require('../lib/drafts');
+
+const version = (number, verses) => ({ version: number, text: verses.join('\n') });
+
+describe('titleFromText', () => {
+  test('el primer verso, recortado si es muy largo', () => {
+    expect(titleFromText('\n  Ay Cádiz de mi alma  \nque bonita eres')).toBe('Ay Cádiz de mi alma');
+    expect(titleFromText('a'.repeat(100))).toHaveLength(80);
+    expect(titleFromText('   ')).toBe('Copla sin título');
+  });
+});
+
+describe('diffVersions', () => {
+  const first = version(1, ['Ay Cádiz de mi alma', 'que bonita eres', 'con tu carnaval']);
+
+  test('versos cambiados y añadidos con su medida y su rima', () => {
+    const diff = diffVersions(first, version(2, ['Ay Cádiz de mi alma', 'que bonita tú eres', 'con tu carnaval', 'y tu Caleta']));
+
+    expect(diff.from).toBe(1);
+    expect(diff.to).toBe(2);
+    expect(diff.before.verses).toBe(3);
+    expect(diff.after.verses).toBe(4);
+    expect(diff.changes).toEqual([
+      {
+        type: 'changed',
+        before: { number: 2, text: 'que bonita eres', metricSyllables: 6, rhyme: '-', ending: 'eres' },
+        after: { number: 2, text: 'que bonita tú eres', metricSyllables: 6, rhyme: '-', ending: 'eres' },
+        syllablesDelta: 0,
+        rhymeChanged: false
+      },
+      {
+        type: 'added',
+        before: null,
+        after: { number: 4, text: 'y tu Caleta', metricSyllables: 5, rhyme: '-', ending: 'eta' }
+      }
+    ]);
+  });
+
+  test('versos quitados', () => {
+    const diff = diffVersions(first, version(2, ['Ay Cádiz de mi alma', 'con tu carnaval']));
+    expect(diff.changes).toEqual([{ type: 'removed', before: expect.objectContaining({ number: 2 }), after: null }]);
+  });
+
+  test('sin cambios no hay diferencias', () => {
+    expect(diffVersions(first, version(2, [...first.text.split('\n')])).changes).toEqual([]);
+  });
+
+  test('solo cuenta lo que cambia entre un principio y un final iguales', () => {
+    const verses = Array.from({ length: 40 }, (_, i) => `verso número ${i + 1} del tango`);
+    const edited = [...verses];
+    edited[20] = 'un verso nuevo en medio';
+
+    const diff = diffVersions(version(1, verses), version(2, edited));
+    expect(diff.changes).toHaveLength(1);
+    expect(diff.changes[0]).toMatchObject({ type: 'changed', before: { number: 21 }, after: { number: 21 } });
+  });
+
+  test('no compara versiones de más de 500 versos', () => {
+    const long = version(2, Array.from({ length: 501 }, () => 'verso'));
+    expect(diffVersions(first, long)).toEqual({ error: 'Solo se comparan versiones de hasta 500 versos, pisha' });
+  });
+});
@@ -0,0 +1,140 @@
+const {
+  syllabifyWord,
+  stressedSyllableIndex,
+  stressType,
+  scanVerse,
+  rhymeEnding,
+  detectRhymeScheme,
+  analyzeMetrics
+} = require('../lib/metrics');
+
+const breakdown = word => syllabifyWord(word).join('-');
+const stressOf = word => {
+  const syllables = syllabifyWord(word);
+  return stressType(syllables.length, stressedSyllableIndex(word, syllables));
+};
+
+describe('syllabifyWord', () => {
+  test('separa diptongos, hiatos y grupos consonánticos', () => {
+    expect(breakdown('chirigota')).toBe('chi-ri-go-ta');
+    expect(breakdown('comparsa')).toBe('com-par-sa');
+    expect(breakdown('cuarteto')).toBe('cuar-te-to');
+    expect(breakdown('poesía')).toBe('po-e-sí-a');
+    expect(breakdown('ahora')).toBe('a-ho-ra');
+    expect(breakdown('pingüino')).toBe('pin-güi-no');
+  });
+
+  test('ch, ll y sh van enteras al ataque', () => {
+    expect(breakdown('chiquillo')).toBe('chi-qui-llo');
+    expect(breakdown('pisha')).toBe('pi-sha');
+  });
+
+  test('la y es vocal sola, al final tras vocal o si la palabra no tiene otra', () => {
+    expect(breakdown('y')).toBe('y');
+    expect(breakdown('rey')).toBe('rey');
+    expect(breakdown('mayo')).toBe('ma-yo');
+    expect(breakdown('gym')).toBe('gym');
+    expect(breakdown('by')).toBe('by');
+  });
+
+  test('sinéresis y diéresis como licencias', () => {
+    expect(syllabifyWord('poeta', { syneresis: true })).toEqual(['poe', 'ta']);
+    expect(syllabifyWord('ruido', { dieresis: true })).toEqual(['ru', 'i', 'do']);
+  });
+
+  test('palabra sin vocales', () => {
+    expect(syllabifyWord('pst')).toEqual([]);
+  });
+});
+
+describe('acento', () => {
+  test('aguda, llana y esdrújula', () => {
+    expect(stressOf('carnaval')).toBe('aguda');
+    expect(stressOf('murga')).toBe('llana');
+    expect(stressOf('música')).toBe('esdrújula');
+  });
+});
+
+describe('scanVerse', () => {
+  test('octosílabos con y sin sinalefa', () => {
+    expect(scanVerse('Verde que te quiero verde').metricSyllables).toBe(8);
+
+    const fragua = scanVerse('la luna vino a la fragua');
+    expect(fragua.metricSyllables).toBe(8);
+    expect(fragua.grammaticalSyllables).toBe(9);
+    expect(fragua.synalephas).toBe(1);
+    expect(fragua.breakdown).toBe('la-lu-na-vi-no‿a-la-fra-gua');
+  });
+
+  test('la aguda final suma una sílaba', () => {
+    const verse = scanVerse('Cádiz es mi corazón');
+    expect(verse.grammaticalSyllables).toBe(7);
+    expect(verse.metricSyllables).toBe(8);
+    expect(verse.finalStress).toBe('aguda');
+  });
+
+  test('aplica licencias para cuadrar con la medida pedida', () => {
+    const dialefa = scanVerse('la luna vino a la fragua', { target: 9 });
+    expect(dialefa.metricSyllables).toBe(9);
+    expect(dialefa.licenses).toEqual([{ type: 'dialefa', word: 'a' }]);
+
+    const sineresis = scanVerse('el poeta canta solo', { target: 7 });
+    expect(sineresis.metricSyllables).toBe(7);
+    expect(sineresis.licenses).toEqual([{ type: 'sinéresis', word: 'poeta' }]);
+  });
+
+  test('verso vacío', () => {
+    expect(scanVerse('   ').metricSyllables).toBe(0);
+  });
+
+  test('cuenta la palabra final cuya única vocal es la y', () => {
+    const verse = scanVerse('Tú eres mi gym');
+    expect(verse.breakdown).toBe('tú‿e-res-mi-gym');
+    expect(verse.metricSyllables).toBe(5);
+    expect(verse.finalStress).toBe('aguda');
+  });
+});
+
+describe('rima', () => {
+  test('final consonante y asonante de la última palabra', () => {
+    expect(rhymeEnding('mi amor es pasión')).toEqual({ word: 'pasión', ending: 'on', consonant: 'on', assonance: 'o' });
+    expect(rhymeEnding('la playa')).toMatchObject({ ending: 'aya', assonance: 'a-a' });
+  });
+
+  test('sin palabras con vocal no hay rima', () => {
+    expect(rhymeEnding('')).toBeNull();
+    expect(rhymeEnding('pst')).toBeNull();
+  });
+
+  test('esquema: mayúscula en consonante, minúscula en asonante y guion si va suelto', () => {
+    expect(detectRhymeScheme([
+      'Por la calle de la Palma',
+      'se me ha perdido el corazón',
+      'que se me quedó en el alma',
+      'cantando una canción'
+    ]).scheme).toBe('ABAB');
+    expect(detectRhymeScheme(['tengo una casa', 'junto a la mar', 'que tiene mala', 'fama de cantar']).scheme).toBe('aBaB');
+    expect(detectRhymeScheme(['hola', 'adiós', 'perro']).scheme).toBe('---');
+  });
+});
+
+describe('analyzeMetrics', () => {
+  test('versos, estrofas con etiqueta y media de sílabas', () => {
+    const analysis = analyzeMetrics('[Estribillo]\nAy Cádiz de mi alma\nque bonita eres\n\nTu carnaval me llama\ncon todas tus mujeres');
+
+    expect(analysis.totalVerses).toBe(4);
+    expect(analysis.stanzas).toEqual([
+      { number: 1, label: 'estribillo', verses: [1, 2] },
+      { number: 2, label: null, verses: [3, 4] }
+    ]);
+    expect(analysis.averageSyllables).toBe(6.5);
+  });
+
+  test('no revienta con versos acabados en una palabra sin más vocal que la y', () => {
+    const analysis = analyzeMetrics('vamos al gym\nque es muy bonito');
+
+    expect(analysis.totalVerses).toBe(2);
+    expect(analysis.verses.map(verse => verse.metricSyllables)).toEqual([5, 5]);
+    expect(analysis.rhyme.verses[0]).toMatchObject({ word: 'gym', assonance: 'i' });
+  });
+});
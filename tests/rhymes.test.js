@@ -0,0 +1,34 @@
+const { parseRhymeQuery, findRhymes } = require('../lib/rhymes');
+
+const words = result => result.groups.flatMap(group => group.words.map(entry => entry.word));
+
+describe('findRhymes', () => {
+  test('consonantes agrupadas por sílabas y acento', () => {
+    const result = findRhymes({ word: 'corazón', type: 'consonant', limit: 1000 });
+
+    expect(result.rhyme).toBe('-on');
+    expect(words(result)).toEqual(expect.arrayContaining(['canción', 'pasión', 'son']));
+    expect(result.groups[0]).toMatchObject({ syllables: 1, stress: 'aguda', metricValue: 2 });
+  });
+
+  test('no sugiere palabras átonas como preposiciones o artículos', () => {
+    expect(words(findRhymes({ word: 'corazón', type: 'consonant', limit: 1000 }))).not.toContain('con');
+    expect(words(findRhymes({ word: 'mar', type: 'assonant', limit: 1000 }))).not.toContain('la');
+    expect(words(findRhymes({ word: 'fiesta', type: 'assonant', limit: 1000 }))).not.toContain('desde');
+  });
+
+  test('las palabras gaditanas van primero en su grupo', () => {
+    const result = findRhymes({ word: 'corazón', type: 'consonant', syllables: 2, limit: 1000 }, { dictionaryWords: ['follón'] });
+    expect(result.groups[0].words[0]).toEqual({ word: 'follón', breakdown: 'fo-llón', gaditana: true });
+  });
+});
+
+describe('parseRhymeQuery', () => {
+  test('valida palabra, tipo y sílabas', () => {
+    expect(parseRhymeQuery({}).error).toMatch(/word requerida/);
+    expect(parseRhymeQuery({ word: 'dos palabras' }).error).toMatch(/una sola palabra/);
+    expect(parseRhymeQuery({ word: 'mar', type: 'libre' }).error).toMatch(/Tipo de rima inválido/);
+    expect(parseRhymeQuery({ word: 'mar', syllables: '9' }).error).toMatch(/syllables/);
+    expect(parseRhymeQuery({ word: 'Mar' })).toEqual({ word: 'mar', type: 'consonant', syllables: null, limit: 200 });
+  });
+});
@@ -0,0 +1,89 @@
+const sqlite3 = require('sqlite3');
+const { dbAll, dbRun } = require('../lib/db');
+const { isEncrypted, encryptSecret, decryptSecret, deriveKey, maskSecret } = require('../lib/secrets');
+const { reencryptSecrets } = require('../lib/api_config');
+
+describe('encryptSecret y decryptSecret', () => {
+  test('ida y vuelta con la misma clave', () => {
+    const stored = encryptSecret('gsk_supersecreta', 'clave-maestra');
+
+    expect(isEncrypted(stored)).toBe(true);
+    expect(stored).not.toContain('gsk_supersecreta');
+    expect(decryptSecret(stored, [deriveKey('clave-maestra')])).toBe('gsk_supersecreta');
+  });
+
+  test('cada cifrado lleva su propio iv', () => {
+    expect(encryptSecret('igual', 'clave')).not.toBe(encryptSecret('igual', 'clave'));
+  });
+
+  test('sin la clave con la que se cifró no se puede leer', () => {
+    const stored = encryptSecret('gsk_supersecreta', 'clave-vieja');
+    expect(() => decryptSecret(stored, [deriveKey('otra-clave')])).toThrow(/No hay clave maestra/);
+  });
+
+  test('un valor manipulado no pasa la autenticación', () => {
+    const stored = encryptSecret('gsk_supersecreta', 'clave');
+    const parts = stored.split(':');
+    parts[5] = Buffer.from('otra cosa').toString('base64');
+    expect(() => decryptSecret(parts.join(':'), [deriveKey('clave')])).toThrow();
+  });
+
+  test('los valores en claro de instalaciones antiguas se devuelven tal cual', () => {
+    expect(decryptSecret('gsk_en_claro', [])).toBe('gsk_en_claro');
+  });
+
+  test('sin clave maestra no se guarda nada', () => {
+    expect(() => encryptSecret('gsk', '')).toThrow(/CONFIG_MASTER_KEY/);
+  });
+});
+
+describe('maskSecret', () => {
+  test('deja ver solo el principio y el final', () => {
+    expect(maskSecret('gsk_abcdefghwxyz')).toBe('gsk_••••••••wxyz');
+    expect(maskSecret('corta')).toBe('••••••••');
+    expect(maskSecret(null)).toBeNull();
+  });
+});
+
+describe('reencryptSecrets', () => {
+  const env = { ...process.env };
+  let db;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await dbRun(db, 'CREATE TABLE system_config (key TEXT PRIMARY KEY, value TEXT, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP)');
+  });
+
+  afterEach(done => {
+    process.env = { ...env };
+    db.close(done);
+  });
+
+  test('rota de la clave vieja a la nueva y cifra lo que estaba en claro', async () => {
+    await dbRun(db, 'INSERT INTO system_config (key, value) VALUES (?, ?), (?, ?)', [
+      'groq_api_key', encryptSecret('gsk_groq', 'clave-vieja'),
+      'hf_api_key', 'hf_en_claro'
+    ]);
+
+    process.env.CONFIG_MASTER_KEY = 'clave-nueva';
+    process.env.CONFIG_MASTER_KEY_PREVIOUS = 'clave-vieja';
+
+    expect((await reencryptSecrets(db)).sort()).toEqual(['groq_api_key', 'hf_api_key']);
+
+    const rows = await dbAll(db, 'SELECT key, value FROM system_config ORDER BY key');
+    const onlyNewKey = [deriveKey('clave-nueva')];
+    expect(rows.every(row => isEncrypted(row.value))).toBe(true);
+    expect(rows.map(row => decryptSecret(row.value, onlyNewKey))).toEqual(['gsk_groq', 'hf_en_claro']);
+  });
+
+  test('sin la clave vieja falla y no toca nada', async () => {
+    const stored = encryptSecret('gsk_groq', 'clave-vieja');
+    await dbRun(db, 'INSERT INTO system_config (key, value) VALUES (?, ?)', ['groq_api_key', stored]);
+
+    process.env.CONFIG_MASTER_KEY = 'clave-nueva';
+    delete process.env.CONFIG_MASTER_KEY_PREVIOUS;
+
+    await expect(reencryptSecrets(db)).rejects.toThrow(/No hay clave maestra/);
+    expect(await dbAll(db, 'SELECT value FROM system_config')).toEqual([{ value: stored }]);
+  });
+});
@@ -0,0 +1,72 @@
+const { analyzeMetrics } = require('../lib/metrics');
+const { analyzeForm } = require('../lib/stanzas');
+
+const formOf = (text, options) => analyzeForm(analyzeMetrics(text), options);
+
+const REDONDILLA = [
+  'Hombres necios que acusáis',
+  'a la mujer sin razón',
+  'sin ver que sois la ocasión',
+  'de lo mismo que culpáis'
+].join('\n');
+
+describe('analyzeForm', () => {
+  test('reconoce una redondilla', () => {
+    expect(formOf(REDONDILLA)).toEqual({
+      key: 'redondilla',
+      name: 'Redondilla',
+      requested: false,
+      matches: true,
+      deviations: []
+    });
+  });
+
+  test('reconoce una copla aunque la rima sea consonante', () => {
+    const form = formOf('Por la calle de la Palma\nse me fue la chirigota\ny la estuve yo buscando\nhasta que llegó a la Rota');
+    expect(form).toMatchObject({ key: 'copla', matches: true });
+  });
+
+  test('reconoce un romance', () => {
+    const form = formOf([
+      'Verde que te quiero verde',
+      'verde viento verdes ramas',
+      'el barco sobre la mar',
+      'y el caballo en la montaña',
+      'con la sombra en la cintura',
+      'ella sueña en su baranda'
+    ].join('\n'));
+    expect(form).toMatchObject({ key: 'romance', name: 'Romance', matches: true });
+  });
+
+  test('con la forma pedida da las desviaciones de rima verso a verso', () => {
+    const form = formOf(REDONDILLA, { form: 'cuarteta' });
+
+    expect(form).toMatchObject({ key: 'cuarteta', requested: true, matches: false });
+    expect(form.deviations).toEqual([
+      { verse: 3, stanza: 1, type: 'rhyme', message: 'No rima con el verso 1 (se esperaba -ais)' },
+      { verse: 4, stanza: 1, type: 'rhyme', message: 'No rima con el verso 2 (se esperaba -on)' }
+    ]);
+  });
+
+  test('avisa de los versos que no tienen la medida', () => {
+    const form = formOf('Por la calle de la Palma\nse me fue la chirigota\ny la busqué\nhasta que llegó a la Rota', { form: 'copla' });
+
+    expect(form.deviations).toEqual([{
+      verse: 3,
+      stanza: 1,
+      type: 'measure',
+      message: 'Tiene 5 sílabas y se esperaban 8',
+      expected: 8,
+      found: 5
+    }]);
+  });
+
+  test('sin forma clara devuelve null', () => {
+    expect(formOf('La tacita de plata\nse ha llenado de luna\nsi pasas por la Caleta\nverás que no hay otra ninguna')).toBeNull();
+  });
+
+  test('no revienta si un verso acaba en una palabra sin vocales', () => {
+    expect(() => formOf('Hombres necios que acusáis\na la mujer sin razón\nsin ver que sois la ocasión\nde lo mismo pst', { form: 'redondilla' }))
+      .not.toThrow();
+  });
+});
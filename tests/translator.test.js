@@ -0,0 +1,51 @@
+const { translate, parseTranslateRequest } = require('../lib/translator');
+
+const ENTRIES = [
+  { kind: 'word', term: 'chiquillo', synonyms: ['niño', 'chaval'] },
+  { kind: 'word', term: 'miarma', synonyms: ['mi alma'] }
+];
+
+describe('translate hacia el gaditano', () => {
+  test('léxico, d entre vocales, s aspirada y sinónimos del diccionario', () => {
+    const result = translate('Esto está muy cansado, niño', { to: 'gaditano', entries: ENTRIES });
+
+    expect(result.text).toBe('Ehto ehtá mu cansao, chiquillo');
+    expect(result.changes.map(change => change.rules[0])).toEqual([
+      's_aspiration', 's_aspiration', 'lexicon', 'intervocalic_d', 'dictionary'
+    ]);
+    expect(result.changes[4]).toEqual({ from: 'niño', to: 'chiquillo', start: 23, end: 27, rules: ['dictionary'] });
+  });
+
+  test('sinónimos de varias palabras y mayúsculas del original', () => {
+    expect(translate('Para nada, mi alma', { to: 'gaditano', entries: ENTRIES }).text).toBe('Pa ná, miarma');
+    expect(translate('Voy a Cádiz', { to: 'gaditano' }).text).toBe('Voy a Cai');
+  });
+
+  test('no toca palabras dentro de otras', () => {
+    const result = translate('El niño admira la playa', { to: 'gaditano', entries: ENTRIES });
+    expect(result.text).toBe('El chiquillo admira la playa');
+    expect(result.changes).toHaveLength(1);
+  });
+});
+
+describe('translate hacia el estándar', () => {
+  test('deshace la h aspirada, el -ao y el léxico', () => {
+    expect(translate('ehto ehtá mu bien miarma', { to: 'estandar', entries: ENTRIES }).text)
+      .toBe('esto está muy bien mi alma');
+    expect(translate('Illo, er pescaíto ehtá cansao', { to: 'estandar', entries: ENTRIES }).text)
+      .toBe('Chiquillo, el pescadito está cansado');
+  });
+
+  test('lo dudoso se deja si no da una palabra conocida', () => {
+    expect(translate('me ha dolío la cabeza', { to: 'estandar' })).toEqual({ text: 'me ha dolío la cabeza', changes: [] });
+  });
+});
+
+describe('parseTranslateRequest', () => {
+  test('valida texto y dirección', () => {
+    expect(parseTranslateRequest({ text: '  ' }).error).toMatch(/text requerido/);
+    expect(parseTranslateRequest({ text: 'x'.repeat(5001) }).error).toMatch(/5000/);
+    expect(parseTranslateRequest({ text: 'hola', to: 'ingles' }).error).toMatch(/Dirección inválida/);
+    expect(parseTranslateRequest({ text: 'hola' })).toEqual({ text: 'hola', to: 'gaditano' });
+  });
+});
@@ -0,0 +1,110 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-los-tests';
+
+const sqlite3 = require('sqlite3');
+const { dbRun } = require('../lib/db');
+const { scoreAnswer, parseLeaderboardQuery, getLeaderboard } = require('../lib/trivia_game');
+
+describe('scoreAnswer', () => {
+  test('base por dificultad, bonus por rapidez y por racha', () => {
+    expect(scoreAnswer({ difficulty: 'medium', timeMs: 15000, streak: 3 }))
+      .toEqual({ base: 200, timeBonus: 50, streakBonus: 40, total: 290 });
+  });
+
+  test('sin tiempo no hay bonus de rapidez y la racha tiene tope', () => {
+    expect(scoreAnswer({ difficulty: 'hard', timeMs: 40000, streak: 1 }))
+      .toEqual({ base: 300, timeBonus: 0, streakBonus: 0, total: 300 });
+    expect(scoreAnswer({ difficulty: 'easy', timeMs: 0, streak: 20 }).streakBonus).toBe(50);
+  });
+});
+
+describe('parseLeaderboardQuery', () => {
+  test('periodo y límite', () => {
+    expect(parseLeaderboardQuery({})).toEqual({ period: 'all', limit: 10, userId: null });
+    expect(parseLeaderboardQuery({ period: 'weekly', limit: '1000', userId: 'u1' }))
+      .toEqual({ period: 'weekly', limit: 100, userId: 'u1' });
+    expect(parseLeaderboardQuery({ period: 'monthly' }).error).toMatch(/Periodo inválido/);
+  });
+});
+
+describe('getLeaderboard', () => {
+  let db;
+
+  // [userId, outcome, puntos, racha, hace cuántos minutos]
+  const ROUNDS = [
+    ['ana', 'correct', 300, 1, 30],
+    ['ana', 'correct', 250, 2, 20],
+    ['ana', 'wrong', 0, 0, 10],
+    ['ana', 'skipped', 0, 0, 5],
+    ['luis', 'correct', 550, 1, 15],
+    ['luis', 'timeout', 0, 0, 8],
+    ['pepa', 'correct', 900, 1, 3 * 24 * 60],
+    ['paco', 'skipped', 0, 0, 1]
+  ];
+
+  beforeAll(async () => {
+    db = new sqlite3.Database(':memory:');
+    await dbRun(db, `
+      CREATE TABLE trivia_rounds (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        question_id INTEGER NOT NULL,
+        category TEXT NOT NULL,
+        difficulty TEXT NOT NULL,
+        level TEXT,
+        correct_index INTEGER NOT NULL,
+        issued_at_ms INTEGER NOT NULL,
+        answered_at DATETIME,
+        answer_index INTEGER,
+        outcome TEXT,
+        correct INTEGER NOT NULL DEFAULT 0,
+        time_ms INTEGER,
+        points INTEGER NOT NULL DEFAULT 0,
+        streak INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+
+    for (const [index, [userId, outcome, points, streak, minutesAgo]] of ROUNDS.entries()) {
+      await dbRun(db, `
+        INSERT INTO trivia_rounds (id, userId, question_id, category, difficulty, correct_index, issued_at_ms,
+                                   answered_at, outcome, correct, points, streak)
+        VALUES (?, ?, 1, 'general', 'medium', 0, 0, datetime('now', ?), ?, ?, ?, ?)
+      `, [`r${index}`, userId, `-${minutesAgo} minutes`, outcome, outcome === 'correct' ? 1 : 0, points, streak]);
+    }
+  });
+
+  afterAll(done => {
+    db.close(done);
+  });
+
+  test('puntos, aciertos y precisión sin contar las saltadas', async () => {
+    const { leaderboard } = await getLeaderboard(db, { period: 'all', limit: 10 });
+
+    expect(leaderboard).toEqual([
+      { position: 1, userId: 'pepa', score: 900, correct: 1, answered: 1, accuracy: 1, bestStreak: 1 },
+      { position: 2, userId: 'ana', score: 550, correct: 2, answered: 3, accuracy: 0.67, bestStreak: 2 },
+      { position: 3, userId: 'luis', score: 550, correct: 1, answered: 2, accuracy: 0.5, bestStreak: 1 }
+    ]);
+  });
+
+  test('a igualdad de puntos va primero quien llegó antes', async () => {
+    const { leaderboard } = await getLeaderboard(db, { period: 'all', limit: 10 });
+    expect(leaderboard.map(row => row.userId)).toEqual(['pepa', 'ana', 'luis']);
+  });
+
+  test('el periodo deja fuera las rondas anteriores', async () => {
+    const { leaderboard } = await getLeaderboard(db, { period: 'daily', limit: 10 });
+    expect(leaderboard.map(row => row.userId)).not.toContain('pepa');
+  });
+
+  test('el puesto del usuario aunque no entre en el límite', async () => {
+    const { leaderboard, me } = await getLeaderboard(db, { period: 'all', limit: 1, userId: 'luis' });
+
+    expect(leaderboard).toHaveLength(1);
+    expect(me).toMatchObject({ position: 3, userId: 'luis', answered: 2 });
+  });
+
+  test('quien solo ha saltado preguntas no sale', async () => {
+    const { me } = await getLeaderboard(db, { period: 'all', limit: 10, userId: 'paco' });
+    expect(me).toBeNull();
+  });
+});